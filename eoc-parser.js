@@ -0,0 +1,426 @@
+// Extreme Overclocking user summary parser
+// Reads the stats out of https://folding.extremeoverclocking.com/user_summary.php. The page is old
+// table markup (unclosed cells, layout tables), so it is tokenized and built into an element tree the
+// way a browser would, and each section is located by its headings rather than by exact markup.
+// A section that can't be read is left out of the result and reported in `diagnostics` as
+// {section, message}, instead of coming back as zeros.
+//
+// Check saved pages with: node eoc-parser.js fixtures/eoc/user_summary.html
+
+// Bump when fields of the result change meaning or are removed
+const EOC_SCHEMA_VERSION = 1;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Summary table values, in column order
+const SUMMARY_FIELDS = ['rankTeam', 'rankProject', 'points24hrAvg', 'pointsLast24hr', 'pointsLast7days', 'pointsToday', 'pointsWeek', 'totalPoints', 'totalWUs', 'firstRecord'];
+
+const PRODUCTION_TABLES = [
+  { section: 'monthly', field: 'monthlyProduction', title: 'Monthly Production', key: 'month' },
+  { section: 'weekly', field: 'weeklyProduction', title: 'Weekly Production', key: 'week' },
+  { section: 'daily', field: 'dailyProduction', title: 'Daily Production', key: 'day' },
+  { section: 'hourly', field: 'hourlyProduction', title: 'Hourly Production', key: 'time' }
+];
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const value = ENTITIES[entity.toLowerCase()];
+    return value === undefined ? match : value;
+  });
+}
+
+// Reads the tag starting at `start` (the "<"). Returns {token, end} or null if it isn't a tag
+function readTag(html, start) {
+  let i = start + 1;
+  const type = html[i] === '/' ? 'close' : 'open';
+  if (type === 'close') i++;
+
+  const nameMatch = /^[a-zA-Z][a-zA-Z0-9-]*/.exec(html.slice(i, i + 64));
+  if (!nameMatch) return null;
+  const token = { type, name: nameMatch[0].toLowerCase(), attrs: {}, selfClosing: false };
+  i += nameMatch[0].length;
+
+  while (i < html.length) {
+    while (/\s/.test(html[i])) i++;
+    if (html[i] === '>') {
+      return { token, end: i + 1 };
+    }
+    if (html.startsWith('/>', i)) {
+      token.selfClosing = true;
+      return { token, end: i + 2 };
+    }
+    if (html[i] === '/') {
+      i++;
+      continue;
+    }
+
+    const attrMatch = /^[^\s"'>\/=]+/.exec(html.slice(i, i + 256));
+    if (!attrMatch) {
+      i++;
+      continue;
+    }
+    const attr = attrMatch[0].toLowerCase();
+    i += attrMatch[0].length;
+    while (/\s/.test(html[i])) i++;
+
+    let value = '';
+    if (html[i] === '=') {
+      i++;
+      while (/\s/.test(html[i])) i++;
+      const quote = html[i];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, i + 1);
+        const end = close === -1 ? html.length : close;
+        value = html.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        const valueMatch = /^[^\s>]*/.exec(html.slice(i));
+        value = valueMatch[0];
+        i += value.length;
+      }
+    }
+    if (type === 'open' && !(attr in token.attrs)) {
+      token.attrs[attr] = decodeEntities(value);
+    }
+  }
+  // Unterminated tag at the end of the page
+  return { token, end: html.length };
+}
+
+// HTML -> [{type: 'open', name, attrs, selfClosing} | {type: 'close', name} | {type: 'text', text}].
+// Comments, doctypes and the contents of script and style elements are dropped
+function tokenize(html) {
+  const tokens = [];
+  const lowerHtml = html.toLowerCase();
+  const pushText = text => {
+    if (text) tokens.push({ type: 'text', text: decodeEntities(text) });
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) {
+      pushText(html.slice(i));
+      break;
+    }
+    pushText(html.slice(i, lt));
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const tag = readTag(html, lt);
+    if (!tag) {
+      pushText('<');
+      i = lt + 1;
+      continue;
+    }
+    tokens.push(tag.token);
+    i = tag.end;
+
+    if (tag.token.type === 'open' && RAW_TEXT_ELEMENTS.has(tag.token.name) && !tag.token.selfClosing) {
+      const close = lowerHtml.indexOf(`</${tag.token.name}`, i);
+      i = close === -1 ? html.length : close;
+    }
+  }
+  return tokens;
+}
+
+// Builds the element tree from the tokens. As in browsers, a new row or cell ends the open one
+// (including unclosed formatting elements inside it), and end tags with nothing to close are ignored.
+// Elements are {name, attrs, children, parent}, text nodes {name: '#text', text, parent}
+function parseHTML(html) {
+  const root = { name: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+
+  // Close the innermost element named in `closes`, unless one named in `boundaries` comes first
+  const closeImplied = (closes, boundaries) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (closes.includes(stack[i].name)) {
+        stack.length = i;
+        return;
+      }
+      if (boundaries.includes(stack[i].name)) return;
+    }
+  };
+
+  tokenize(html).forEach(token => {
+    const parent = stack[stack.length - 1];
+    if (token.type === 'text') {
+      parent.children.push({ name: '#text', text: token.text, parent });
+      return;
+    }
+
+    if (token.type === 'close') {
+      // End tags don't reach outside the table they are in
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === token.name) {
+          stack.length = i;
+          return;
+        }
+        if (stack[i].name === 'table') return;
+      }
+      return;
+    }
+
+    if (token.name === 'td' || token.name === 'th') {
+      closeImplied(['td', 'th'], ['tr', 'table']);
+    } else if (token.name === 'tr') {
+      closeImplied(['tr'], ['thead', 'tbody', 'tfoot', 'table']);
+    } else if (['thead', 'tbody', 'tfoot'].includes(token.name)) {
+      closeImplied(['thead', 'tbody', 'tfoot'], ['table']);
+    } else if (token.name === 'p' || token.name === 'li' || token.name === 'option') {
+      closeImplied([token.name], ['table', 'td', 'th', 'ul', 'ol', 'select']);
+    }
+
+    const current = stack[stack.length - 1];
+    const element = { name: token.name, attrs: token.attrs, children: [], parent: current };
+    current.children.push(element);
+    if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) {
+      stack.push(element);
+    }
+  });
+  return root;
+}
+
+// All nodes below `node` in document order
+function getNodes(node) {
+  const nodes = [];
+  const visit = parent => {
+    (parent.children || []).forEach(child => {
+      nodes.push(child);
+      visit(child);
+    });
+  };
+  visit(node);
+  return nodes;
+}
+
+// Text content with whitespace collapsed
+function getText(node) {
+  if (node.name === '#text') return node.text.replace(/\s+/g, ' ').trim();
+  return getNodes(node).filter(child => child.name === '#text').map(child => child.text).join('').replace(/\s+/g, ' ').trim();
+}
+
+function getClosest(node, name) {
+  let current = node.parent;
+  while (current && current.name !== name) {
+    current = current.parent;
+  }
+  return current;
+}
+
+// Descendants named `names` that belong to `node` itself, not to a table nested in it
+function getOwn(node, names) {
+  const found = [];
+  const visit = parent => {
+    parent.children.forEach(child => {
+      if (names.includes(child.name)) {
+        found.push(child);
+      } else if (child.children && child.name !== 'table') {
+        visit(child);
+      }
+    });
+  };
+  visit(node);
+  return found;
+}
+
+function getRows(table) {
+  return getOwn(table, ['tr']);
+}
+
+function getCells(row) {
+  return getOwn(row, ['td', 'th']);
+}
+
+function parseFailure(section, message) {
+  const error = new Error(message);
+  error.section = section;
+  return error;
+}
+
+// "1,234,567" -> 1234567, NaN when it isn't a whole number
+function parseNumber(text) {
+  const normalized = text.replace(/[,\s]/g, '');
+  return /^[-+]?\d+$/.test(normalized) ? parseInt(normalized, 10) : NaN;
+}
+
+// Differences show "--" when there is none
+function parseDifference(text, section, label) {
+  if (text === '' || text === '--') return 0;
+  const value = parseNumber(text);
+  if (isNaN(value)) {
+    throw parseFailure(section, `${label} "${text}" is not a number`);
+  }
+  return value;
+}
+
+// The summary table has a header row starting with a "Rank" column and the values in the row below
+function parseSummary(document) {
+  const table = getNodes(document).find(node => node.name === 'table' && getRows(node).some(row =>
+    getCells(row).some(cell => cell.name === 'th' && /^rank(?!\s*diff)/i.test(getText(cell)))));
+  if (!table) {
+    throw parseFailure('summary', 'no stats table (a header row with a "Rank" column) on the page');
+  }
+
+  const rows = getRows(table);
+  const headerIndex = rows.findIndex(row => getCells(row).some(cell => cell.name === 'th'));
+  const valueRow = rows.slice(headerIndex + 1).find(row => getCells(row).some(cell => cell.name === 'td'));
+  if (!valueRow) {
+    throw parseFailure('summary', 'the stats table has no row of values');
+  }
+
+  // Values are the right-aligned cells, the row may start with the user's name
+  const values = getCells(valueRow).filter(cell => cell.name === 'td' && (cell.attrs.align || '').toLowerCase() === 'right').map(getText);
+  if (values.length < SUMMARY_FIELDS.length) {
+    throw parseFailure('summary', `expected ${SUMMARY_FIELDS.length} values in the stats table, found ${values.length}`);
+  }
+
+  const summary = {};
+  SUMMARY_FIELDS.forEach((field, index) => {
+    if (field === 'firstRecord') {
+      summary.firstRecord = values[index] || null;
+      return;
+    }
+    const value = parseNumber(values[index]);
+    if (isNaN(value)) {
+      throw parseFailure('summary', `${field} "${values[index]}" is not a number`);
+    }
+    summary[field] = value;
+  });
+  return summary;
+}
+
+// The first table after the "Top 5 Conquests and Threats" heading with a "User", "Rank Diff", ... header
+function parseConquests(document) {
+  const nodes = getNodes(document);
+  const headingIndex = nodes.findIndex(node => node.name === '#text' && /\btop\s*5\b/i.test(node.text));
+  if (headingIndex === -1) {
+    throw parseFailure('conquests', 'no "Top 5" conquests and threats section on the page');
+  }
+
+  const table = nodes.slice(headingIndex).find(node => node.name === 'table' && getRows(node).some(row => {
+    const cells = getCells(row);
+    return cells.length >= 5 && /^user/i.test(getText(cells[0])) && /diff/i.test(getText(cells[1]));
+  }));
+  if (!table) {
+    throw parseFailure('conquests', 'no table with "User" and "Rank Diff" columns after the "Top 5" heading');
+  }
+
+  const conquests = [];
+  getRows(table).forEach(row => {
+    const cells = getCells(row);
+    if (cells.some(cell => cell.name === 'th') || cells.length < 5) return;
+    const text = cells.map(getText);
+    // Some versions of the page put the header in td cells
+    if (!text[0] || /^user( name)?$/i.test(text[0])) return;
+    const label = `row ${conquests.length + 1}:`;
+    conquests.push({
+      name: text[0],
+      rankDiff: parseDifference(text[1], 'conquests', `${label} rank difference`),
+      pointsDiff: parseDifference(text[2], 'conquests', `${label} points difference`),
+      gainDaily: parseDifference(text[3], 'conquests', `${label} daily gain`),
+      dateOvertake: text[4] === '' || text[4] === '--' ? null : text[4]
+    });
+  });
+  if (conquests.length === 0) {
+    throw parseFailure('conquests', 'the conquests and threats table has no rows');
+  }
+  return conquests;
+}
+
+// A table headed "<period> Production" with rows of period, points and work units
+function parseProductionTable(document, { section, title, key }) {
+  const heading = getNodes(document).find(node => node.name === 'th' && getText(node).toLowerCase() === title.toLowerCase());
+  if (!heading) {
+    throw parseFailure(section, `no "${title}" table on the page`);
+  }
+  const table = getClosest(heading, 'table');
+  if (!table) {
+    throw parseFailure(section, `the "${title}" heading is not in a table`);
+  }
+
+  const entries = [];
+  getRows(table).forEach(row => {
+    const cells = getCells(row);
+    if (cells.length < 3 || cells.some(cell => cell.name === 'th')) return;
+    const text = cells.map(getText);
+    const points = parseNumber(text[1]);
+    const wus = parseNumber(text[2]);
+    if (isNaN(points) || isNaN(wus)) {
+      throw parseFailure(section, `row ${entries.length + 1}: points "${text[1]}" and work units "${text[2]}" must be numbers`);
+    }
+    entries.push({ [key]: text[0], points, wus });
+  });
+  if (entries.length === 0) {
+    throw parseFailure(section, `the "${title}" table has no rows`);
+  }
+  return entries;
+}
+
+// The user's stats from a user_summary.php page:
+// {schemaVersion, rankTeam, rankProject, points24hrAvg, pointsLast24hr, pointsLast7days, pointsToday,
+//  pointsWeek, totalPoints, totalWUs, firstRecord, conquests: [{name, rankDiff, pointsDiff, gainDaily,
+//  dateOvertake}], monthlyProduction: [{month, points, wus}], weeklyProduction: [{week, ...}],
+//  dailyProduction: [{day, ...}], hourlyProduction: [{time, ...}], diagnostics: [{section, message}]}.
+// Fields of sections that couldn't be read are left out
+function parseEOCUserSummary(html) {
+  const result = { schemaVersion: EOC_SCHEMA_VERSION, diagnostics: [] };
+  let document;
+  try {
+    document = parseHTML(String(html || ''));
+  } catch (error) {
+    result.diagnostics.push({ section: 'page', message: `could not read the page: ${error.message}` });
+    return result;
+  }
+
+  const sections = [
+    () => Object.assign(result, parseSummary(document)),
+    () => { result.conquests = parseConquests(document); },
+    ...PRODUCTION_TABLES.map(table => () => { result[table.field] = parseProductionTable(document, table); })
+  ];
+  sections.forEach(parseSection => {
+    try {
+      parseSection();
+    } catch (error) {
+      if (!error.section) throw error;
+      result.diagnostics.push({ section: error.section, message: error.message });
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  EOC_SCHEMA_VERSION,
+  parseEOCUserSummary,
+  parseHTML,
+  tokenize
+};
+
+if (require.main === module) {
+  const fs = require('fs');
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.error('Usage: node eoc-parser.js <user_summary.html>...');
+    process.exit(1);
+  }
+  files.forEach(file => {
+    const result = parseEOCUserSummary(fs.readFileSync(file, 'utf8'));
+    console.log(`${file}:`);
+    console.log(JSON.stringify(result, null, 2));
+  });
+}
@@ -2,11 +2,23 @@
 const state = {
     instances: [],
     machines: [],
+    machineStates: {}, // Raw FAH machine state per instance, kept current by live updates
     workUnits: [],
+    workUnitsView: 'current', // 'current' or 'history'
+    statsChartRange: '24h',
+    chartInterval: null,
     stats: {},
     projects: {},
     teams: [],
+    alerts: [], // Open alerts (active and acknowledged)
+    webhooks: [],
+    schedules: [], // Folding schedules with their current and next action
+    energy: null, // Power, cost and tariff from /api/energy
+    settings: null, // {global, user, effective, ...} from /api/settings
+    eocUserId: null,
+    currentUser: null, // {username, role, authMode} from /api/auth/status
     refreshInterval: null,
+    liveSocket: null,
     externalApiEnabled: true // Default to enabled
 };
 
@@ -16,19 +28,45 @@ const pausedProgress = new Map(); // key: `${instanceId}-${project}-${slot}`, va
 // API base URL
 const API_BASE = '';
 
+// Each role can do everything the roles before it can (enforced by the server)
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Send the browser back to the login page when the session has expired
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+    const response = await nativeFetch(...args);
+    const url = typeof args[0] === 'string' ? args[0] : args[0].url;
+    if (response.status === 401 && !url.includes('/api/auth/')) {
+        window.location.href = '/login.html';
+    }
+    return response;
+};
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
     initializeApp();
 });
 
 async function initializeApp() {
-    loadExternalApiSetting(); // Load external API setting first
-    loadCustomCss(); // Load and apply custom CSS
+    await loadCurrentUser();
     setupEventListeners();
+    await loadSettings(); // Teams, EOC user ID, custom CSS and the external API switch
     await loadInstances();
-    loadTeams(); // Load teams from localStorage
     await refreshData();
-    startAutoRefresh();
+    loadAlerts();
+    connectLiveUpdates();
+    
+    // Production history, schedules and energy use only change once a minute at most, no need to follow live updates
+    loadMachinesChart();
+    state.chartInterval = setInterval(() => {
+        if (document.getElementById('machinesTab').classList.contains('active')) {
+            loadMachinesChart();
+            Promise.all([loadSchedules(), loadEnergy()]).then(() => {
+                renderMachines();
+                loadSummary();
+            });
+        }
+    }, 60000);
 }
 
 function setupEventListeners() {
@@ -43,23 +81,30 @@ function setupEventListeners() {
     // Instances modal
     document.getElementById('instancesBtn').addEventListener('click', () => {
         document.getElementById('instancesModal').classList.add('active');
+        loadDiscoveryDefaults();
     });
 
     document.getElementById('closeInstances').addEventListener('click', () => {
         document.getElementById('instancesModal').classList.remove('active');
     });
 
+    // Alerts panel
+    document.getElementById('alertsBtn').addEventListener('click', () => {
+        showAlerts();
+    });
+
+    document.getElementById('closeAlerts').addEventListener('click', () => {
+        document.getElementById('alertsModal').classList.remove('active');
+    });
+
+    document.getElementById('saveAlertRules').addEventListener('click', () => {
+        saveAlertRules();
+    });
+
     // Settings modal
     document.getElementById('settingsBtn').addEventListener('click', () => {
         document.getElementById('settingsModal').classList.add('active');
-        loadTeams();
-        loadEOCUserId();
-        loadCustomCss();
-        // Update toggle state when opening settings
-        const toggle = document.getElementById('externalApiToggle');
-        if (toggle) {
-            toggle.checked = state.externalApiEnabled;
-        }
+        renderSettingsForm();
     });
     
     // Settings tab switching
@@ -70,6 +115,92 @@ function setupEventListeners() {
         });
     });
     
+    // Stats tab: production chart range
+    document.querySelectorAll('.view-tab[data-chart-range]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            loadStatsChart(tab.dataset.chartRange);
+        });
+    });
+    
+    // Work Units tab: current queue or history
+    document.querySelectorAll('.view-tab[data-workunits-view]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            switchWorkUnitsView(tab.dataset.workunitsView);
+        });
+    });
+    
+    document.getElementById('historyFilters').addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadWorkUnitHistory();
+    });
+    
+    // Audit tab
+    document.getElementById('auditFilters').addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadAudit();
+    });
+    
+    document.getElementById('exportAuditJson').addEventListener('click', () => {
+        window.location.href = `${API_BASE}/api/audit?${getAuditParams('json')}`;
+    });
+    
+    document.getElementById('exportAuditCsv').addEventListener('click', () => {
+        window.location.href = `${API_BASE}/api/audit?${getAuditParams('csv')}`;
+    });
+    
+    // Account settings
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+        logout();
+    });
+    
+    document.getElementById('changePasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await changePassword();
+    });
+    
+    document.getElementById('addUserForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addUser();
+    });
+    
+    document.getElementById('addTokenForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await createToken();
+    });
+    
+    document.getElementById('tariffForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveTariff();
+    });
+    
+    document.getElementById('outboundForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveOutboundPolicy();
+    });
+    
+    document.getElementById('outboundBlockedOnly').addEventListener('change', () => {
+        loadOutboundLog();
+    });
+    
+    document.getElementById('downloadBackup').addEventListener('click', () => {
+        downloadBackup();
+    });
+    
+    document.getElementById('restoreForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await restoreBackup();
+    });
+    
+    document.getElementById('addTariffPeriod').addEventListener('click', () => {
+        document.getElementById('tariffPeriods').insertAdjacentHTML('beforeend', getTariffPeriodHTML());
+    });
+    
+    // Add webhook form
+    document.getElementById('addWebhookForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addWebhook();
+    });
+    
     // Save EOC User ID button
     document.getElementById('saveEOCUserId').addEventListener('click', () => {
         saveEOCUserId();
@@ -79,47 +210,23 @@ function setupEventListeners() {
     document.getElementById('saveCustomCss').addEventListener('click', () => {
         saveCustomCss();
     });
+    
+    document.getElementById('settingsScope').addEventListener('change', () => {
+        renderSettingsForm();
+    });
 
     document.getElementById('closeSettings').addEventListener('click', () => {
         document.getElementById('settingsModal').classList.remove('active');
     });
 
-    // External API toggle
-    document.getElementById('externalApiToggle').addEventListener('change', (e) => {
-        state.externalApiEnabled = e.target.checked;
-        saveExternalApiSetting();
-        
-        // Immediately update the add team form state in the modal
-        renderTeamsList();
-        
-        // Update EOC User ID input state
-        const eocUserIdInput = document.getElementById('eocUserId');
-        const saveEOCBtn = document.getElementById('saveEOCUserId');
-        if (eocUserIdInput && saveEOCBtn) {
-            if (state.externalApiEnabled) {
-                eocUserIdInput.disabled = false;
-                saveEOCBtn.disabled = false;
-                eocUserIdInput.style.opacity = '1';
-                saveEOCBtn.style.opacity = '1';
-            } else {
-                eocUserIdInput.disabled = true;
-                saveEOCBtn.disabled = true;
-                eocUserIdInput.style.opacity = '0.5';
-                saveEOCBtn.style.opacity = '0.5';
-            }
-        }
-        
-        // Refresh current tab if it depends on external API
-        const activeTab = document.querySelector('.nav-tab.active');
-        if (activeTab) {
-            const tabName = activeTab.dataset.tab;
-            if (tabName === 'stats' || tabName === 'projects') {
-                if (tabName === 'stats') {
-                    loadStats();
-                } else if (tabName === 'projects') {
-                    loadProjects();
-                }
-            }
+    // External API toggle (admins, for everyone)
+    document.getElementById('externalApiToggle').addEventListener('change', async (e) => {
+        try {
+            await updateSettings({ externalApiEnabled: e.target.checked }, 'global');
+        } catch (error) {
+            e.target.checked = state.externalApiEnabled;
+            console.error('Error saving external API setting:', error);
+            alert(`Error saving external API setting: ${error.message}`);
         }
     });
 
@@ -128,6 +235,11 @@ function setupEventListeners() {
         e.preventDefault();
         await addInstance();
     });
+    
+    document.getElementById('discoveryForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await startDiscovery();
+    });
 
     // Add team form
     document.getElementById('addTeamForm').addEventListener('submit', async (e) => {
@@ -144,6 +256,10 @@ function setupEventListeners() {
         pauseAll();
     });
 
+    document.getElementById('finishAllBtn').addEventListener('click', () => {
+        finishAll();
+    });
+
     // Close modals on outside click
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
@@ -198,11 +314,14 @@ function switchTab(tabName) {
 
     // Load tab-specific data
     if (tabName === 'workunits') {
-        loadWorkUnits();
+        switchWorkUnitsView(state.workUnitsView);
     } else if (tabName === 'stats') {
+        loadStatsChart();
         loadStats();
     } else if (tabName === 'projects') {
         loadProjects();
+    } else if (tabName === 'audit') {
+        loadAudit();
     }
 }
 
@@ -266,611 +385,2098 @@ async function removeInstance(instanceId) {
     }
 }
 
+// Instance whose edit form is open, kept when live status updates re-render the list
+let editingInstanceId = null;
+
 function renderInstancesList() {
     const container = document.getElementById('instancesList');
+    const editing = editingInstanceId && document.getElementById(`instance-item-${editingInstanceId}`);
     container.innerHTML = '';
 
     state.instances.forEach(instance => {
+        if (editing && instance.id === editingInstanceId) {
+            container.appendChild(editing);
+            return;
+        }
         const item = document.createElement('div');
         item.className = 'instance-item';
+        item.id = `instance-item-${instance.id}`;
         item.innerHTML = `
             <div class="instance-item-info">
-                <div class="instance-item-name">${instance.name}</div>
-                <div class="instance-item-host">${instance.host}:${instance.port}</div>
+                <div class="instance-item-name">${escapeHtml(instance.name)}</div>
+                <div class="instance-item-host">${escapeHtml(instance.host)}:${instance.port}${instance.status ? ` • ${getConnectionStatusText(instance.status)}` : ''}</div>
             </div>
-            ${instance.id !== 'local' ? `<button class="btn btn-danger" onclick="removeInstance('${instance.id}')">Remove</button>` : ''}
+            <button class="btn btn-info" onclick="editInstance('${instance.id}')">Edit</button>
+            <button class="btn btn-info" onclick="updateInstance('${instance.id}', { enabled: ${!instance.enabled} })">${instance.enabled ? 'Disable' : 'Enable'}</button>
+            ${instance.id !== 'local' ? `
+                <button class="btn btn-danger" onclick="removeInstance('${instance.id}')">Remove</button>
+            ` : ''}
         `;
         container.appendChild(item);
     });
 }
 
-// External API settings
-function loadExternalApiSetting() {
+// Inline form in the instances list, e.g. for a machine that got a new DHCP address
+function editInstance(instanceId) {
+    const instance = state.instances.find(i => i.id === instanceId);
+    const item = document.getElementById(`instance-item-${instanceId}`);
+    if (!instance || !item) return;
+    
+    editingInstanceId = instanceId;
+    item.innerHTML = `
+        <form class="instance-edit-form">
+            <input type="text" data-field="name" value="${escapeHtml(instance.name)}" required title="Name">
+            <input type="text" data-field="host" value="${escapeHtml(instance.host)}" required title="Host/IP"${instance.id === 'local' ? ' disabled' : ''}>
+            <input type="number" data-field="port" value="${instance.port}" min="1" max="65535" required title="Port"${instance.id === 'local' ? ' disabled' : ''}>
+            <button type="submit" class="btn btn-primary">Save</button>
+            <button type="button" class="btn btn-info" onclick="cancelInstanceEdit()">Cancel</button>
+        </form>
+    `;
+    item.querySelector('form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await updateInstance(instanceId, {
+            name: item.querySelector('[data-field="name"]').value.trim(),
+            host: item.querySelector('[data-field="host"]').value.trim(),
+            port: parseInt(item.querySelector('[data-field="port"]').value)
+        });
+    });
+}
+
+function cancelInstanceEdit() {
+    editingInstanceId = null;
+    renderInstancesList();
+}
+
+async function updateInstance(instanceId, changes) {
     try {
-        const stored = localStorage.getItem('fah-external-api-enabled');
-        // Default to true if not set (null means first time, default to enabled)
-        state.externalApiEnabled = stored !== null ? stored === 'true' : true;
-        
-        // Update toggle UI
-        const toggle = document.getElementById('externalApiToggle');
-        if (toggle) {
-            toggle.checked = state.externalApiEnabled;
+        const response = await fetch(`${API_BASE}/api/instances/${instanceId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
         }
+        if (editingInstanceId === instanceId) editingInstanceId = null;
+        await loadInstances();
+        await refreshData();
     } catch (error) {
-        console.error('Error loading external API setting:', error);
-        state.externalApiEnabled = true; // Default to enabled on error
+        console.error('Error updating instance:', error);
+        alert(`Error updating instance: ${error.message}`);
     }
 }
 
-function saveExternalApiSetting() {
+// Network scan (Manage Instances, admins only)
+let discoveryJob = null;
+let discoveryPollTimer = null;
+
+async function loadDiscoveryDefaults() {
     try {
-        localStorage.setItem('fah-external-api-enabled', state.externalApiEnabled.toString());
+        const response = await fetch(`${API_BASE}/api/discovery/subnets`);
+        if (!response.ok) return;
+        const defaults = await response.json();
+        document.getElementById('discoveryCidr').placeholder = defaults.subnets.join(', ') || 'e.g., 192.168.1.0/24';
+        document.getElementById('discoveryConcurrency').placeholder = defaults.concurrency;
+        document.getElementById('discoveryTimeout').placeholder = defaults.timeout;
     } catch (error) {
-        console.error('Error saving external API setting:', error);
+        console.error('Error loading local subnets:', error);
     }
 }
 
-// Team management functions
-function loadTeams() {
+async function startDiscovery() {
+    const body = {
+        port: parseInt(document.getElementById('discoveryPort').value) || 7396
+    };
+    const cidr = document.getElementById('discoveryCidr').value.trim();
+    const concurrency = document.getElementById('discoveryConcurrency').value;
+    const timeout = document.getElementById('discoveryTimeout').value;
+    if (cidr) body.cidr = cidr;
+    if (concurrency) body.concurrency = parseInt(concurrency);
+    if (timeout) body.timeout = parseInt(timeout);
+    
     try {
-        const stored = localStorage.getItem('fah-teams');
-        state.teams = stored ? JSON.parse(stored) : [];
-        renderTeamsList();
+        const response = await fetch(`${API_BASE}/api/discovery`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        discoveryJob = result;
+        renderDiscovery();
+        pollDiscovery();
     } catch (error) {
-        console.error('Error loading teams:', error);
-        state.teams = [];
+        console.error('Error starting network scan:', error);
+        alert(`Error starting network scan: ${error.message}`);
     }
 }
 
-function loadEOCUserId() {
-    try {
-        const stored = localStorage.getItem('fah-eoc-user-id');
-        if (stored) {
-            const eocUserIdInput = document.getElementById('eocUserId');
-            if (eocUserIdInput) {
-                eocUserIdInput.value = stored;
+async function pollDiscovery() {
+    clearTimeout(discoveryPollTimer);
+    if (!discoveryJob || discoveryJob.status !== 'running') return;
+    
+    discoveryPollTimer = setTimeout(async () => {
+        try {
+            const response = await fetch(`${API_BASE}/api/discovery/${discoveryJob.id}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
+            discoveryJob = await response.json();
+            renderDiscovery();
+        } catch (error) {
+            console.error('Error loading network scan:', error);
+            discoveryJob.status = 'failed';
+            discoveryJob.error = error.message;
+            renderDiscovery();
         }
-    } catch (error) {
-        console.error('Error loading EOC user ID:', error);
-    }
+        pollDiscovery();
+    }, 1000);
 }
 
-function saveEOCUserId() {
+async function cancelDiscovery() {
+    if (!discoveryJob) return;
     try {
-        const eocUserIdInput = document.getElementById('eocUserId');
-        const userId = eocUserIdInput?.value.trim();
-        if (userId && parseInt(userId) > 0) {
-            localStorage.setItem('fah-eoc-user-id', userId);
-            // Refresh stats if on stats page
-            const activeTab = document.querySelector('.nav-tab.active');
-            if (activeTab && activeTab.dataset.tab === 'stats') {
-                loadStats();
-            }
-            alert('EOC User ID saved successfully!');
-        } else {
-            alert('Please enter a valid EOC User ID (positive number)');
-        }
+        await fetch(`${API_BASE}/api/discovery/${discoveryJob.id}`, { method: 'DELETE' });
     } catch (error) {
-        console.error('Error saving EOC user ID:', error);
-        alert('Error saving EOC User ID: ' + error.message);
+        console.error('Error cancelling network scan:', error);
     }
 }
 
-// Settings tab switching
-function switchSettingsTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.settings-tab').forEach(tab => {
-        tab.classList.remove('active');
-    });
-    document.querySelector(`[data-settings-tab="${tabName}"]`).classList.add('active');
+function renderDiscovery() {
+    const container = document.getElementById('discoveryResults');
+    const job = discoveryJob;
+    if (!job) {
+        container.innerHTML = '';
+        return;
+    }
     
-    // Update tab content
-    document.querySelectorAll('.settings-tab-content').forEach(content => {
-        content.classList.remove('active');
+    const running = job.status === 'running';
+    document.getElementById('startDiscovery').disabled = running;
+    
+    // Keep names and selections edited while the scan was still running
+    const edits = {};
+    container.querySelectorAll('.discovery-item').forEach(row => {
+        edits[row.dataset.address] = {
+            checked: row.querySelector('input[type="checkbox"]').checked,
+            name: row.querySelector('input[type="text"]').value
+        };
     });
-    document.getElementById(`${tabName}SettingsTab`).classList.add('active');
+    
+    const progress = `
+        <p style="color: var(--text-secondary); margin: 15px 0 10px;">
+            ${running ? 'Scanning' : job.status === 'cancelled' ? 'Cancelled after' : job.status === 'failed' ? 'Failed after' : 'Scanned'}
+            ${job.scanned} of ${job.total} addresses in ${job.cidrs.map(escapeHtml).join(', ')} •
+            ${job.found.length} found
+            ${job.error ? ` • ${escapeHtml(job.error)}` : ''}
+            ${running ? '<button type="button" class="btn btn-danger" onclick="cancelDiscovery()" style="margin-left: 10px;">Stop</button>' : ''}
+        </p>
+    `;
+    const rows = job.found.map((machine, index) => {
+        const address = `${machine.host}:${machine.port}`;
+        const edit = edits[address] || { checked: true, name: machine.name };
+        return `
+            <div class="instance-item discovery-item" data-index="${index}" data-address="${escapeHtml(address)}">
+                <input type="checkbox" ${machine.instanceId ? 'disabled' : (edit.checked ? 'checked' : '')} style="width: auto;">
+                <div class="instance-item-info">
+                    <input type="text" value="${escapeHtml(edit.name)}" ${machine.instanceId ? 'disabled' : ''} title="Name">
+                    <div class="instance-item-host">${escapeHtml(machine.host)}:${machine.port}${machine.hostname ? ` • ${escapeHtml(machine.hostname)}` : ''}${machine.version ? ` • v${escapeHtml(machine.version)}` : ''}${machine.instanceId ? ' • already added' : ''}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    const canAdd = job.found.some(machine => !machine.instanceId);
+    
+    container.innerHTML = `
+        ${progress}
+        ${rows}
+        ${canAdd ? '<button type="button" class="btn btn-primary" onclick="addDiscoveredInstances()">Add Selected</button>' : ''}
+    `;
 }
 
-// Custom CSS functions
-let customCssStyleElement = null;
-
-function loadCustomCss() {
+async function addDiscoveredInstances() {
+    const selected = Array.from(document.querySelectorAll('#discoveryResults .discovery-item')).filter(row => {
+        const checkbox = row.querySelector('input[type="checkbox"]');
+        return checkbox.checked && !checkbox.disabled;
+    }).map(row => {
+        const machine = discoveryJob.found[parseInt(row.dataset.index)];
+        return { name: row.querySelector('input[type="text"]').value.trim() || machine.name, host: machine.host, port: machine.port };
+    });
+    if (selected.length === 0) return;
+    
     try {
-        const stored = localStorage.getItem('fah-custom-css');
-        const cssTextarea = document.getElementById('customCss');
-        if (cssTextarea) {
-            cssTextarea.value = stored || '';
+        const response = await fetch(`${API_BASE}/api/instances/bulk`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instances: selected })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
         }
-        applyCustomCss(stored || '');
+        // Mark the new instances as added
+        result.added.forEach(instance => {
+            const machine = discoveryJob.found.find(m => m.host === instance.host && m.port === instance.port);
+            if (machine) machine.instanceId = instance.id;
+        });
+        renderDiscovery();
+        await loadInstances();
+        await refreshData();
     } catch (error) {
-        console.error('Error loading custom CSS:', error);
+        console.error('Error adding instances:', error);
+        alert(`Error adding instances: ${error.message}`);
     }
 }
 
-function saveCustomCss() {
+// Outbound requests (Settings > Outbound, admins only)
+async function loadOutboundSettings() {
     try {
-        const cssTextarea = document.getElementById('customCss');
-        const css = cssTextarea?.value || '';
-        localStorage.setItem('fah-custom-css', css);
-        applyCustomCss(css);
-        alert('Custom CSS saved successfully!');
+        const response = await fetch(`${API_BASE}/api/outbound`);
+        const policy = await response.json();
+        if (!response.ok) {
+            throw new Error(policy.error || `HTTP ${response.status}`);
+        }
+        renderOutboundPolicy(policy);
     } catch (error) {
-        console.error('Error saving custom CSS:', error);
-        alert('Error saving custom CSS: ' + error.message);
+        console.error('Error loading outbound policy:', error);
+        document.getElementById('outboundLog').innerHTML = `<div class="error">Error loading outbound policy: ${escapeHtml(error.message)}</div>`;
+        return;
     }
+    loadOutboundLog();
 }
 
-function applyCustomCss(css) {
-    // Remove existing custom CSS style element if it exists
-    if (customCssStyleElement) {
-        customCssStyleElement.remove();
-        customCssStyleElement = null;
-    }
-    
-    // Only create and add style element if CSS is not empty
-    if (css && css.trim()) {
-        customCssStyleElement = document.createElement('style');
-        customCssStyleElement.id = 'fah-custom-css';
-        customCssStyleElement.textContent = css;
-        document.head.appendChild(customCssStyleElement);
-    }
+function renderOutboundPolicy(policy) {
+    document.getElementById('outboundAllowlist').value = policy.allowlist.join('\n');
+    document.getElementById('outboundProxy').value = policy.proxy || '';
+    document.getElementById('outboundStatsHosts').textContent = `The stats servers are ${policy.statsHosts.join(', ')}. External API calls are ${policy.locked ? 'turned off on the server (OUTBOUND_DISABLED)' : policy.externalApiEnabled ? 'enabled' : 'disabled'}.`;
 }
 
-function saveTeams() {
+async function saveOutboundPolicy() {
+    const allowlist = document.getElementById('outboundAllowlist').value.split('\n').map(line => line.trim()).filter(Boolean);
+    const proxy = document.getElementById('outboundProxy').value.trim() || null;
+    
     try {
-        localStorage.setItem('fah-teams', JSON.stringify(state.teams));
+        const response = await fetch(`${API_BASE}/api/outbound`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ allowlist, proxy })
+        });
+        const policy = await response.json();
+        if (!response.ok) {
+            throw new Error(policy.error || `HTTP ${response.status}`);
+        }
+        renderOutboundPolicy(policy);
     } catch (error) {
-        console.error('Error saving teams:', error);
+        console.error('Error saving outbound policy:', error);
+        alert(`Error saving outbound policy: ${error.message}`);
     }
 }
 
-async function addTeam() {
-    if (!state.externalApiEnabled) {
-        alert('External API calls are disabled. Please enable them in Settings to add teams.');
-        return;
-    }
-
-    const teamNumber = document.getElementById('teamNumber').value;
+async function loadOutboundLog() {
+    const container = document.getElementById('outboundLog');
+    const blocked = document.getElementById('outboundBlockedOnly').checked;
     
-    if (!teamNumber || teamNumber.trim() === '') {
-        alert('Please enter a team number');
-        return;
+    try {
+        const response = await fetch(`${API_BASE}/api/outbound/log?limit=100${blocked ? '&blocked=true' : ''}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        container.innerHTML = result.entries.length > 0 ? `
+            <table class="machine-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Type</th>
+                        <th>Request</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.entries.map(entry => `
+                        <tr>
+                            <td>${formatDateTime(entry.time)}</td>
+                            <td>${escapeHtml(entry.webhook ? `webhook ${entry.webhook}` : entry.category)}</td>
+                            <td style="word-break: break-all;">${escapeHtml(entry.method)} ${escapeHtml(entry.url)}</td>
+                            <td>${entry.blocked ? `<span class="status-icon paused"></span> Blocked: ${escapeHtml(entry.blocked)}`
+                                : entry.error ? `<span class="status-icon paused"></span> ${escapeHtml(entry.error)}`
+                                : `<span class="status-icon running"></span> HTTP ${entry.status} in ${entry.duration} ms`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : `<p style="color: var(--text-secondary);">No ${blocked ? 'blocked ' : ''}outbound requests.</p>`;
+    } catch (error) {
+        console.error('Error loading outbound log:', error);
+        container.innerHTML = `<div class="error">Error loading outbound log: ${escapeHtml(error.message)}</div>`;
     }
+}
 
-    const teamNum = parseInt(teamNumber);
-    if (isNaN(teamNum) || teamNum <= 0) {
-        alert('Please enter a valid team number');
-        return;
+// Backup and restore (Settings > Backup, admins only)
+async function downloadBackup() {
+    const machineConfigs = document.getElementById('backupMachineConfigs').checked;
+    const secrets = document.getElementById('backupSecrets').checked;
+    try {
+        const response = await fetch(`${API_BASE}/api/backup?machineConfigs=${machineConfigs}&secrets=${secrets}`);
+        const bundle = await response.json();
+        if (!response.ok) {
+            throw new Error(bundle.error || `HTTP ${response.status}`);
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+        link.download = `folding-control-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        alert(`Error creating backup: ${error.message}`);
     }
+}
 
-    // Check if team already exists
-    if (state.teams.find(t => t.number === teamNum)) {
-        alert('This team is already configured');
+async function restoreBackup() {
+    const file = document.getElementById('backupFile').files[0];
+    const mode = document.querySelector('input[name="backupMode"]:checked').value;
+    const machineConfigs = document.getElementById('restoreMachineConfigs').checked;
+    const resultContainer = document.getElementById('backupResult');
+    if (!file) return;
+    
+    if (mode === 'replace' && !confirm('Replace all instances, schedules, webhooks, alert rules, energy and dashboard settings with the backup?')) {
         return;
     }
-
+    
     try {
-        // Fetch team stats from Folding@Home API via proxy
-        const response = await fetch(`${API_BASE}/api/stats/team/${teamNum}`);
-        if (!response.ok) {
-            throw new Error('Team not found');
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
         }
-        const teamData = await response.json();
-        
-        const team = {
-            number: teamNum,
-            name: teamData.name || `Team ${teamNum}`,
-            score: teamData.score || 0,
-            wus: teamData.wus || 0
-        };
-
-        state.teams.push(team);
-        saveTeams();
-        renderTeamsList();
-        document.getElementById('addTeamForm').reset();
         
-        // Refresh stats if on stats page
-        if (document.getElementById('statsTab').classList.contains('active')) {
-            loadStats();
+        const response = await fetch(`${API_BASE}/api/backup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ bundle, mode, machineConfigs })
+        });
+        const report = await response.json();
+        if (!response.ok) {
+            throw new Error(report.error || `HTTP ${response.status}`);
         }
+        
+        const skipped = [...report.schedules.skipped.map(item => `schedule ${item.id}: ${item.reason}`), ...report.webhooks.skipped.map(item => `webhook ${item.name}: ${item.reason}`)];
+        resultContainer.innerHTML = `
+            <div class="info" style="margin-top: 15px;">
+                Instances: ${report.instances.added.length} added, ${report.instances.kept.length} already configured${report.instances.removed.length ? `, ${report.instances.removed.length} removed` : ''}<br>
+                Schedules: ${report.schedules.added} added • Webhooks: ${report.webhooks.added} added • Power profiles: ${report.energy.profiles} added<br>
+                ${report.alertRules ? 'Alert rules restored • ' : ''}${report.energy.tariff ? 'Tariff restored • ' : ''}${report.outbound ? 'Outbound policy restored • ' : ''}${report.settings ? 'Dashboard settings restored' : 'No dashboard settings in the backup'}
+                ${machineConfigs ? `<br>Machine configs: ${report.machineConfigs.applied.length} applied${report.machineConfigs.failed.length ? `, failed: ${report.machineConfigs.failed.map(item => `${escapeHtml(item.instanceId)} (${escapeHtml(item.error)})`).join(', ')}` : ''}` : ''}
+                ${skipped.length ? `<br>Skipped: ${skipped.map(escapeHtml).join(', ')}` : ''}
+            </div>
+        `;
+        document.getElementById('backupFile').value = '';
+        await loadInstances();
+        await refreshData();
     } catch (error) {
-        console.error('Error adding team:', error);
-        alert('Error adding team: ' + error.message + '\n\nMake sure the team number is valid.');
+        console.error('Error restoring backup:', error);
+        resultContainer.innerHTML = `<div class="error" style="margin-top: 15px;">Error restoring backup: ${escapeHtml(error.message)}</div>`;
     }
 }
 
-function removeTeam(teamNumber) {
-    if (!confirm('Are you sure you want to remove this team?')) {
-        return;
-    }
+// Dashboard settings (teams, EOC user ID, custom CSS, external API switch), stored on the server.
+// Admins save them for everyone, any user can override teams, EOC user ID and CSS for themselves
+const LEGACY_SETTINGS_KEYS = ['fah-teams', 'fah-eoc-user-id', 'fah-custom-css', 'fah-external-api-enabled'];
+const PERSONAL_SETTING_LABELS = {
+    teams: 'teams',
+    eocUserId: 'EOC user ID',
+    customCss: 'custom CSS'
+};
 
-    state.teams = state.teams.filter(t => t.number !== teamNumber);
-    saveTeams();
-    renderTeamsList();
-    
-    // Refresh stats if on stats page
-    if (document.getElementById('statsTab').classList.contains('active')) {
-        loadStats();
+async function loadSettings() {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings`);
+        const settings = await response.json();
+        if (!response.ok) {
+            throw new Error(settings.error || `HTTP ${response.status}`);
+        }
+        state.settings = settings;
+        await migrateLocalSettings();
+        applySettings();
+    } catch (error) {
+        console.error('Error loading settings:', error);
     }
 }
 
-function renderTeamsList() {
-    const container = document.getElementById('teamsList');
-    if (!container) return;
-    
-    const addTeamForm = document.getElementById('addTeamForm');
-    const addTeamBtn = addTeamForm?.querySelector('button[type="submit"]');
+// Settings used to be kept in each browser's localStorage. The first admin to open the dashboard
+// brings theirs for everyone, anyone else keeps what differs as their own overrides
+async function migrateLocalSettings() {
+    const stored = {};
+    try {
+        const teams = localStorage.getItem('fah-teams');
+        const eocUserId = parseInt(localStorage.getItem('fah-eoc-user-id'));
+        const customCss = localStorage.getItem('fah-custom-css');
+        const externalApiEnabled = localStorage.getItem('fah-external-api-enabled');
+        if (teams) stored.teams = JSON.parse(teams).map(({ number, name }) => ({ number, name }));
+        if (eocUserId > 0) stored.eocUserId = eocUserId;
+        if (customCss) stored.customCss = customCss;
+        if (externalApiEnabled !== null) stored.externalApiEnabled = externalApiEnabled === 'true';
+    } catch (error) {
+        console.error('Error reading stored settings:', error);
+    }
+    if (Object.keys(stored).length === 0) return;
     
-    // Disable add team form if external API is disabled
-    if (addTeamForm && addTeamBtn) {
-        if (!state.externalApiEnabled) {
-            addTeamForm.style.opacity = '0.5';
-            addTeamForm.style.pointerEvents = 'none';
-            addTeamBtn.disabled = true;
-            addTeamBtn.title = 'Enable external API calls in Settings to add teams';
+    try {
+        // Without anywhere to put them (e.g. no personal settings), the personal ones stay in the browser
+        let keep = [];
+        if (hasRole('admin') && !state.settings.initialized) {
+            await updateSettings(stored, 'global');
+        } else if (state.settings.canOverride) {
+            const overrides = {};
+            Object.keys(PERSONAL_SETTING_LABELS).forEach(key => {
+                if (stored[key] !== undefined && JSON.stringify(stored[key]) !== JSON.stringify(state.settings.global[key])) {
+                    overrides[key] = stored[key];
+                }
+            });
+            if (Object.keys(overrides).length > 0) {
+                await updateSettings(overrides, 'user');
+            }
         } else {
-            addTeamForm.style.opacity = '1';
-            addTeamForm.style.pointerEvents = 'auto';
-            addTeamBtn.disabled = false;
-            addTeamBtn.title = '';
+            keep = ['fah-teams', 'fah-eoc-user-id', 'fah-custom-css'];
+        }
+        // The external API switch is for everyone now, don't drop a browser's "off" without saying so
+        if (stored.externalApiEnabled === false && state.settings.global.externalApiEnabled && !(hasRole('admin') && !state.settings.initialized)) {
+            alert(hasRole('admin')
+                ? 'This browser had external API calls turned off. That setting now applies to everyone and is on; turn it off in Settings if it should stay off.'
+                : 'This browser had external API calls turned off. That setting now applies to everyone and only an admin can change it; it is currently on.');
+        }
+        LEGACY_SETTINGS_KEYS.filter(key => !keep.includes(key)).forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        // Keep them and try again next time
+        console.error('Error moving stored settings to the server:', error);
+    }
+}
+
+// scope 'global' saves for everyone (admins), 'user' saves overrides for the current user (null clears one)
+async function updateSettings(changes, scope = getSettingsScope()) {
+    const response = await fetch(`${API_BASE}/api/settings${scope === 'user' ? '/user' : ''}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const settings = await response.json();
+    if (!response.ok) {
+        throw new Error(settings.error || `HTTP ${response.status}`);
+    }
+    state.settings = settings;
+    applySettings();
+}
+
+async function resetSettingsOverrides() {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings/user`, { method: 'DELETE' });
+        const settings = await response.json();
+        if (!response.ok) {
+            throw new Error(settings.error || `HTTP ${response.status}`);
         }
+        state.settings = settings;
+        applySettings();
+    } catch (error) {
+        console.error('Error resetting settings:', error);
+        alert(`Error resetting settings: ${error.message}`);
     }
+}
+
+function getSettingsScope() {
+    const select = document.getElementById('settingsScope');
+    if (select && select.value) return select.value;
+    return hasRole('admin') ? 'global' : 'user';
+}
+
+// Apply the effective settings, and reload the stats and projects when what they show changed
+function applySettings() {
+    const { effective } = state.settings;
+    const changed = state.externalApiEnabled !== effective.externalApiEnabled ||
+        JSON.stringify(state.teams) !== JSON.stringify(effective.teams) ||
+        state.eocUserId !== effective.eocUserId;
     
-    // Update EOC User ID input state based on external API toggle
-    const eocUserIdInput = document.getElementById('eocUserId');
-    const saveEOCBtn = document.getElementById('saveEOCUserId');
-    if (eocUserIdInput && saveEOCBtn) {
-        if (state.externalApiEnabled) {
-            eocUserIdInput.disabled = false;
-            saveEOCBtn.disabled = false;
-            eocUserIdInput.style.opacity = '1';
-            saveEOCBtn.style.opacity = '1';
-        } else {
-            eocUserIdInput.disabled = true;
-            saveEOCBtn.disabled = true;
-            eocUserIdInput.style.opacity = '0.5';
-            saveEOCBtn.style.opacity = '0.5';
+    state.externalApiEnabled = effective.externalApiEnabled;
+    state.teams = effective.teams;
+    state.eocUserId = effective.eocUserId;
+    applyCustomCss(effective.customCss);
+    renderSettingsForm();
+    
+    const activeTab = document.querySelector('.nav-tab.active');
+    if (changed && activeTab) {
+        if (activeTab.dataset.tab === 'stats') {
+            loadStats();
+        } else if (activeTab.dataset.tab === 'projects') {
+            loadProjects();
         }
     }
+}
+
+function renderSettingsForm() {
+    if (!state.settings) return;
+    const { effective, user, canOverride } = state.settings;
+    const isAdmin = hasRole('admin');
     
-    container.innerHTML = '';
+    const toggle = document.getElementById('externalApiToggle');
+    toggle.checked = effective.externalApiEnabled;
+    toggle.disabled = !isAdmin || state.settings.externalApiLocked;
+    const externalApiNote = document.getElementById('externalApiNote');
+    externalApiNote.textContent = state.settings.externalApiLocked
+        ? 'Turned off on the server (OUTBOUND_DISABLED)'
+        : 'Only admins can change this, it applies to everyone';
+    externalApiNote.style.display = isAdmin && !state.settings.externalApiLocked ? 'none' : 'block';
+    
+    // Don't overwrite what someone is typing when another browser saves
+    const eocUserIdInput = document.getElementById('eocUserId');
+    if (document.activeElement !== eocUserIdInput) {
+        eocUserIdInput.value = effective.eocUserId || '';
+    }
+    const cssTextarea = document.getElementById('customCss');
+    if (document.activeElement !== cssTextarea) {
+        cssTextarea.value = effective.customCss;
+    }
+    
+    const scopeSelect = document.getElementById('settingsScope');
+    const scope = getSettingsScope();
+    scopeSelect.innerHTML = `
+        ${isAdmin ? '<option value="global">Everyone</option>' : ''}
+        ${canOverride ? '<option value="user">Only me</option>' : ''}
+    `;
+    scopeSelect.value = scope;
+    const overridden = Object.keys(user).map(key => PERSONAL_SETTING_LABELS[key]);
+    document.getElementById('settingsOverrides').innerHTML = overridden.length > 0 ? `
+        Your own ${overridden.join(', ')} ${overridden.length === 1 ? 'is' : 'are'} used instead of the shared settings.
+        <button type="button" class="btn btn-secondary" onclick="resetSettingsOverrides()">Use shared settings</button>
+    ` : '';
+    
+    renderTeamsList();
+}
 
-    if (state.teams.length === 0) {
-        container.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No teams configured</div>';
+async function saveEOCUserId() {
+    const eocUserIdInput = document.getElementById('eocUserId');
+    const userId = eocUserIdInput?.value.trim();
+    // Empty clears the ID (or the override, when saving for yourself)
+    if (userId && !(parseInt(userId) > 0)) {
+        alert('Please enter a valid EOC User ID (positive number)');
         return;
     }
+    
+    try {
+        await updateSettings({ eocUserId: userId ? parseInt(userId) : null });
+        alert('EOC User ID saved successfully!');
+    } catch (error) {
+        console.error('Error saving EOC user ID:', error);
+        alert('Error saving EOC User ID: ' + error.message);
+    }
+}
 
-    state.teams.forEach(team => {
-        const item = document.createElement('div');
-        item.className = 'instance-item';
-        item.innerHTML = `
-            <div class="instance-item-info">
-                <div class="instance-item-name">${team.name}</div>
-                <div class="instance-item-host">Team #${team.number}</div>
-            </div>
-            <button class="btn btn-danger" onclick="removeTeam(${team.number})">Remove</button>
-        `;
-        container.appendChild(item);
+// Settings tab switching
+function switchSettingsTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.settings-tab').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    document.querySelector(`[data-settings-tab="${tabName}"]`).classList.add('active');
+    
+    // Update tab content
+    document.querySelectorAll('.settings-tab-content').forEach(content => {
+        content.classList.remove('active');
     });
+    document.getElementById(`${tabName}SettingsTab`).classList.add('active');
+    
+    if (tabName === 'notifications') {
+        loadWebhooks();
+    } else if (tabName === 'users') {
+        loadUsers();
+    } else if (tabName === 'tokens') {
+        document.getElementById('createdToken').style.display = 'none';
+        loadTokens();
+    } else if (tabName === 'energy') {
+        loadEnergySettings();
+    } else if (tabName === 'outbound') {
+        loadOutboundSettings();
+    } else if (tabName === 'backup') {
+        document.getElementById('backupResult').innerHTML = '';
+    }
 }
 
-// Make functions available globally
-window.removeTeam = removeTeam;
+// Account (login session)
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/status`);
+        const status = await response.json();
+        if (!status.authenticated) {
+            window.location.href = '/login.html';
+            return;
+        }
+        state.currentUser = { username: status.username, role: status.role, authMode: status.authMode };
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+    renderAccount();
+}
 
-async function refreshData() {
-    await loadMachines();
-    // renderMachines is called separately to allow incremental updates
-    renderMachines();
-    // Load summary after machines are loaded (depends on state.machines)
-    await loadSummary();
+function renderAccount() {
+    const user = state.currentUser;
+    // Localhost mode without a session has nothing to log out of
+    const localOnly = !user || user.username === 'localhost';
+    document.getElementById('logoutBtn').style.display = localOnly ? 'none' : '';
+    document.getElementById('accountInfo').innerHTML = localOnly
+        ? '<p style="color: var(--text-secondary);">Logged in automatically from this machine (AUTH_MODE=localhost).</p>'
+        : `<p>Logged in as <strong>${escapeHtml(user.username)}</strong></p>`;
+    document.getElementById('changePasswordForm').style.display = localOnly ? 'none' : '';
+    applyRolePermissions();
 }
 
-async function loadMachines() {
-    // Don't clear container - let renderMachines handle incremental updates
+function hasRole(role) {
+    return !!state.currentUser && ROLES.indexOf(state.currentUser.role) >= ROLES.indexOf(role);
+}
 
-    const allMachines = [];
+// Hide the static controls the current user isn't allowed to use; rendered controls check hasRole() themselves
+function applyRolePermissions() {
+    const isOperator = hasRole('operator');
+    const isAdmin = hasRole('admin');
+    ['foldAllBtn', 'pauseAllBtn', 'finishAllBtn'].forEach(id => {
+        document.getElementById(id).style.display = isOperator ? '' : 'none';
+    });
+    document.getElementById('instancesBtn').style.display = isAdmin ? '' : 'none';
+    document.querySelector('.nav-tab[data-tab="audit"]').style.display = isAdmin ? '' : 'none';
+    document.getElementById('saveAlertRules').style.display = isAdmin ? '' : 'none';
+    document.querySelectorAll('[data-settings-tab="notifications"], [data-settings-tab="users"], [data-settings-tab="tokens"], [data-settings-tab="energy"], [data-settings-tab="outbound"], [data-settings-tab="backup"]').forEach(tab => {
+        tab.style.display = isAdmin ? '' : 'none';
+    });
+}
 
-    for (const instance of state.instances.filter(i => i.enabled)) {
-        try {
-            // Get machine info (contains full state)
-            const infoResponse = await fetch(`${API_BASE}/api/fah/${instance.id}/info`);
-            const infoData = await infoResponse.json();
-            
-            // Check if response indicates an error
-            if (infoData.error || !infoData) {
-                throw new Error(infoData.message || 'Failed to fetch machine info');
-            }
+// API tokens (Settings > API Tokens, admins only)
+const TOKEN_SCOPE_LABELS = {
+    read: 'Read-only',
+    control: 'Control (fold, pause, finish)',
+    admin: 'Admin'
+};
 
-            // FAH machine state structure: {info: {...}, units: [...], groups: {...}, config: {...}, ...}
-            const machineState = infoData;
-            const clientInfo = machineState.info || {};
-            const units = machineState.units || [];
-            const groups = machineState.groups || {};
-            const globalConfig = machineState.config || {};
-            
-            // Debug: log the structure to see what we're getting
-            console.debug(`${instance.name} machine state:`, {
-                hasInfo: !!clientInfo,
-                hasUnits: units.length > 0,
-                hasGroups: Object.keys(groups).length > 0,
-                hasConfig: !!globalConfig,
-                infoKeys: Object.keys(clientInfo),
-                unitCount: units.length
-            });
-            
-            // Extract resources from config
-            // Resources can be in global config or group configs
-            let totalCPUs = 0;
-            let gpuDescriptions = [];
-            
-            // Check global config first
-            if (globalConfig.cpus) {
-                totalCPUs += parseInt(globalConfig.cpus) || 0;
-            }
-            if (globalConfig.gpus && clientInfo.gpus) {
-                for (const gpuId in globalConfig.gpus) {
-                    const gpu = globalConfig.gpus[gpuId];
-                    if (gpu.enabled && clientInfo.gpus[gpuId]) {
-                        gpuDescriptions.push(clientInfo.gpus[gpuId].description || `GPU ${gpuId}`);
-                    }
-                }
-            }
-            
-            // Check group configs
-            for (const groupName in groups) {
-                const group = groups[groupName];
-                const config = group.config || {};
-                if (config.cpus) {
-                    totalCPUs += parseInt(config.cpus) || 0;
-                }
-                if (config.gpus && clientInfo.gpus) {
-                    for (const gpuId in config.gpus) {
-                        const gpu = config.gpus[gpuId];
-                        if (gpu.enabled && clientInfo.gpus[gpuId]) {
-                            const gpuDesc = clientInfo.gpus[gpuId].description || `GPU ${gpuId}`;
-                            // Avoid duplicates
-                            if (!gpuDescriptions.includes(gpuDesc)) {
-                                gpuDescriptions.push(gpuDesc);
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // If no CPUs found in config, try to get from info
-            if (totalCPUs === 0 && clientInfo.cpus) {
-                totalCPUs = parseInt(clientInfo.cpus) || 0;
-            }
-            
-            // Also check units for resource info
-            if (totalCPUs === 0 && units.length > 0) {
-                // Sum CPUs from active units
-                units.forEach(unit => {
-                    if (unit.cpus) {
-                        totalCPUs += parseInt(unit.cpus) || 0;
-                    }
-                });
-            }
+async function loadTokens() {
+    const container = document.getElementById('tokensList');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/tokens`);
+        const tokens = await response.json();
+        if (!response.ok) {
+            throw new Error(tokens.error || `HTTP ${response.status}`);
+        }
+        
+        container.innerHTML = tokens.length > 0 ? tokens.map(token => `
+            <div class="instance-item">
+                <div class="instance-item-info">
+                    <div class="instance-item-name">${escapeHtml(token.name)} <small style="color: var(--text-secondary); font-weight: normal;">${TOKEN_SCOPE_LABELS[token.scope] || token.scope}</small></div>
+                    <div class="instance-item-host">fct_…${escapeHtml(token.hint)} • created by ${escapeHtml(token.createdBy)} ${formatRelativeTime(token.createdAt)}</div>
+                    <div class="instance-item-host">${token.lastUsedAt ? `Last used ${formatRelativeTime(token.lastUsedAt)} from ${escapeHtml(token.lastUsedIp || 'unknown')}` : 'Never used'}</div>
+                </div>
+                <button class="btn btn-danger" onclick="revokeToken('${token.id}')">Revoke</button>
+            </div>
+        `).join('') : '<p style="color: var(--text-secondary);">No API tokens.</p>';
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+        container.innerHTML = `<div class="error">Error loading API tokens: ${escapeHtml(error.message)}</div>`;
+    }
+}
 
-            // Check if machine is paused (check config for paused state)
-            let isPaused = false;
-            if (globalConfig.paused) {
-                isPaused = true;
-            } else {
-                // Check group configs
-                for (const groupName in groups) {
-                    const group = groups[groupName];
-                    const config = group.config || {};
-                    if (config.paused) {
-                        isPaused = true;
-                        break;
-                    }
-                }
-            }
-            
-            // Build machine data
-            const machine = {
-                instanceId: instance.id,
-                instanceName: instance.name,
-                name: clientInfo.mach_name || clientInfo.name || instance.name,
-                version: clientInfo.version || 'v8.4.9',
-                info: clientInfo,
-                units: units,
-                groups: groups,
-                config: globalConfig,
-                totalCPUs: totalCPUs,
-                gpuDescriptions: gpuDescriptions,
-                isPaused: isPaused,
-                connected: true
-            };
-
-            allMachines.push(machine);
-        } catch (error) {
-            // Machine is disconnected or unreachable
-            console.warn(`Failed to connect to ${instance.name}:`, error.message);
-            allMachines.push({
-                instanceId: instance.id,
-                instanceName: instance.name,
-                name: instance.name,
-                version: 'Unknown',
-                units: [],
-                connected: false,
-                error: error.message
-            });
+async function createToken() {
+    const token = {
+        name: document.getElementById('tokenName').value.trim(),
+        scope: document.getElementById('tokenScope').value
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(token)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
         }
+        document.getElementById('addTokenForm').reset();
+        // Shown once, the server only keeps a hash
+        const created = document.getElementById('createdToken');
+        created.style.display = 'block';
+        created.querySelector('code').textContent = result.token;
+        await loadTokens();
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        alert(`Error creating API token: ${error.message}`);
     }
+}
 
-    state.machines = allMachines;
-    renderMachines();
+async function revokeToken(tokenId) {
+    if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/tokens/${tokenId}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        await loadTokens();
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        alert(`Error revoking API token: ${error.message}`);
+    }
 }
 
-function renderMachines() {
-    const container = document.getElementById('machinesList');
+// User management (Settings > Users, admins only)
+async function loadUsers() {
+    const container = document.getElementById('usersList');
     
-    if (state.machines.length === 0) {
-        container.innerHTML = '<div class="loading">No machines found. Make sure Folding@Home clients are running.</div>';
-        return;
+    try {
+        const response = await fetch(`${API_BASE}/api/users`);
+        const users = await response.json();
+        if (!response.ok) {
+            throw new Error(users.error || `HTTP ${response.status}`);
+        }
+        
+        container.innerHTML = users.map(user => {
+            const name = encodeURIComponent(user.username).replace(/'/g, '%27');
+            return `
+            <div class="instance-item">
+                <div class="instance-item-info">
+                    <div class="instance-item-name">${escapeHtml(user.username)}${state.currentUser && user.username === state.currentUser.username ? ' (you)' : ''}</div>
+                    <div class="instance-item-host">Created ${user.createdAt ? formatDateTime(user.createdAt) : 'unknown'}</div>
+                </div>
+                <select onchange="updateUserRole('${name}', this.value)" style="padding: 8px; background-color: var(--bg-tertiary); border: 1px solid var(--border); border-radius: 4px; color: var(--text-primary);">
+                    ${ROLES.map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>`).join('')}
+                </select>
+                <button class="btn btn-info" onclick="resetUserPassword('${name}')">Reset Password</button>
+                <button class="btn btn-danger" onclick="removeUser('${name}')">Remove</button>
+            </div>
+        `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading users:', error);
+        container.innerHTML = `<div class="error">Error loading users: ${escapeHtml(error.message)}</div>`;
     }
+}
 
-    // Store existing machine cards to preserve DOM elements for smooth updates
-    const existingCards = new Map();
-    container.querySelectorAll('.machine-card').forEach(card => {
-        const instanceId = card.dataset.instanceId;
-        if (instanceId) {
-            existingCards.set(instanceId, card);
+async function addUser() {
+    const user = {
+        username: document.getElementById('newUserName').value.trim(),
+        password: document.getElementById('newUserPassword').value,
+        role: document.getElementById('newUserRole').value
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/users`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(user)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        document.getElementById('addUserForm').reset();
+        await loadUsers();
+    } catch (error) {
+        console.error('Error adding user:', error);
+        alert(`Error adding user: ${error.message}`);
+    }
+}
+
+async function updateUser(encodedName, changes) {
+    const response = await fetch(`${API_BASE}/api/users/${encodedName}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+async function updateUserRole(encodedName, role) {
+    try {
+        await updateUser(encodedName, { role });
+        // Demoting yourself takes effect immediately
+        if (state.currentUser && decodeURIComponent(encodedName) === state.currentUser.username) {
+            await loadCurrentUser();
+            renderMachines();
+        }
+    } catch (error) {
+        console.error('Error changing role:', error);
+        alert(`Error changing role: ${error.message}`);
+    }
+    await loadUsers();
+}
+
+async function resetUserPassword(encodedName) {
+    const password = prompt(`New password for ${decodeURIComponent(encodedName)}:`);
+    if (!password) return;
+    
+    try {
+        await updateUser(encodedName, { password });
+        alert('Password changed, the user has been logged out');
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        alert(`Error resetting password: ${error.message}`);
+    }
+}
+
+async function removeUser(encodedName) {
+    if (!confirm(`Remove user ${decodeURIComponent(encodedName)}?`)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/users/${encodedName}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
         }
+        await loadUsers();
+    } catch (error) {
+        console.error('Error removing user:', error);
+        alert(`Error removing user: ${error.message}`);
+    }
+}
+
+async function logout() {
+    try {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    window.location.href = '/login.html';
+}
+
+async function changePassword() {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    
+    if (newPassword !== document.getElementById('confirmNewPassword').value) {
+        alert('The new passwords do not match');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        document.getElementById('changePasswordForm').reset();
+        alert('Password changed');
+    } catch (error) {
+        console.error('Error changing password:', error);
+        alert(`Error changing password: ${error.message}`);
+    }
+}
+
+// Webhook notifications (Settings > Notifications)
+const WEBHOOK_EVENT_LABELS = {
+    'machine.connected': 'Machine connected',
+    'machine.disconnected': 'Machine disconnected',
+    'machine.paused': 'Machine paused',
+    'machine.resumed': 'Machine resumed',
+    'unit.completed': 'Work unit completed',
+    'unit.failed': 'Work unit failed',
+    'alert.raised': 'Alert raised',
+    'alert.resolved': 'Alert resolved'
+};
+
+async function loadWebhooks() {
+    const container = document.getElementById('webhooksList');
+    try {
+        const response = await fetch(`${API_BASE}/api/webhooks`);
+        const result = await response.json();
+        state.webhooks = result.webhooks || [];
+        
+        // Event checkboxes for the add form, all checked by default
+        const eventsContainer = document.getElementById('webhookEvents');
+        if (!eventsContainer.children.length) {
+            eventsContainer.innerHTML = result.events.map(event => `
+                <label style="display: flex; align-items: center; gap: 6px; color: var(--text-primary);">
+                    <input type="checkbox" value="${event}" checked style="width: auto;"> ${WEBHOOK_EVENT_LABELS[event] || event}
+                </label>
+            `).join('');
+        }
+        renderWebhooksList();
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+        container.innerHTML = `<div class="error">Error loading webhooks: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderWebhooksList() {
+    const container = document.getElementById('webhooksList');
+    
+    if (state.webhooks.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary);">No webhooks configured.</p>';
+        return;
+    }
+    
+    container.innerHTML = state.webhooks.map(webhook => {
+        const delivery = webhook.lastDelivery;
+        const lastDelivery = delivery
+            ? `Last delivery ${formatRelativeTime(delivery.at)}: ${delivery.ok ? `OK (${delivery.status})` : `failed (${escapeHtml(delivery.error)})`}`
+            : 'Never delivered';
+        return `
+            <div class="instance-item">
+                <div class="instance-item-info">
+                    <div class="instance-item-name">${escapeHtml(webhook.name)} <small style="color: var(--text-secondary); font-weight: normal;">${webhook.format}</small></div>
+                    <div class="instance-item-host">${escapeHtml(webhook.url)}</div>
+                    <div class="instance-item-host">${webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', ')}</div>
+                    <div class="instance-item-host">${lastDelivery}</div>
+                </div>
+                <button class="btn btn-info" onclick="testWebhook('${webhook.id}')">Send Test</button>
+                <button class="btn btn-danger" onclick="removeWebhook('${webhook.id}')">Remove</button>
+            </div>
+        `;
+    }).join('');
+}
+
+async function addWebhook() {
+    const webhook = {
+        name: document.getElementById('webhookName').value,
+        url: document.getElementById('webhookUrl').value,
+        format: document.getElementById('webhookFormat').value,
+        events: Array.from(document.querySelectorAll('#webhookEvents input:checked')).map(input => input.value)
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/webhooks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(webhook)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        document.getElementById('addWebhookForm').reset();
+        await loadWebhooks();
+    } catch (error) {
+        console.error('Error adding webhook:', error);
+        alert(`Error adding webhook: ${error.message}`);
+    }
+}
+
+async function testWebhook(webhookId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/webhooks/${webhookId}/test`, { method: 'POST' });
+        const delivery = await response.json();
+        if (!response.ok) {
+            throw new Error(delivery.error || `HTTP ${response.status}`);
+        }
+        alert(delivery.ok ? `Test delivered (HTTP ${delivery.status})` : `Test failed: ${delivery.error}`);
+        await loadWebhooks();
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        alert(`Error testing webhook: ${error.message}`);
+    }
+}
+
+async function removeWebhook(webhookId) {
+    if (!confirm('Remove this webhook?')) return;
+    
+    try {
+        await fetch(`${API_BASE}/api/webhooks/${webhookId}`, { method: 'DELETE' });
+        await loadWebhooks();
+    } catch (error) {
+        console.error('Error removing webhook:', error);
+        alert(`Error removing webhook: ${error.message}`);
+    }
+}
+
+// Custom CSS functions
+let customCssStyleElement = null;
+
+async function saveCustomCss() {
+    try {
+        const cssTextarea = document.getElementById('customCss');
+        await updateSettings({ customCss: cssTextarea?.value || '' });
+        alert('Custom CSS saved successfully!');
+    } catch (error) {
+        console.error('Error saving custom CSS:', error);
+        alert('Error saving custom CSS: ' + error.message);
+    }
+}
+
+function applyCustomCss(css) {
+    // Remove existing custom CSS style element if it exists
+    if (customCssStyleElement) {
+        customCssStyleElement.remove();
+        customCssStyleElement = null;
+    }
+    
+    // Only create and add style element if CSS is not empty
+    if (css && css.trim()) {
+        customCssStyleElement = document.createElement('style');
+        customCssStyleElement.id = 'fah-custom-css';
+        customCssStyleElement.textContent = css;
+        document.head.appendChild(customCssStyleElement);
+    }
+}
+
+async function addTeam() {
+    if (!state.externalApiEnabled) {
+        alert('External API calls are disabled. Please enable them in Settings to add teams.');
+        return;
+    }
+
+    const teamNumber = document.getElementById('teamNumber').value;
+    
+    if (!teamNumber || teamNumber.trim() === '') {
+        alert('Please enter a team number');
+        return;
+    }
+
+    const teamNum = parseInt(teamNumber);
+    if (isNaN(teamNum) || teamNum <= 0) {
+        alert('Please enter a valid team number');
+        return;
+    }
+
+    // Check if team already exists
+    if (state.teams.find(t => t.number === teamNum)) {
+        alert('This team is already configured');
+        return;
+    }
+
+    try {
+        // Fetch team stats from Folding@Home API via proxy
+        const response = await fetch(`${API_BASE}/api/stats/team/${teamNum}`);
+        if (!response.ok) {
+            throw new Error('Team not found');
+        }
+        const teamData = await response.json();
+        
+        const team = {
+            number: teamNum,
+            name: teamData.name || `Team ${teamNum}`
+        };
+
+        await updateSettings({ teams: [...state.teams, team] });
+        document.getElementById('addTeamForm').reset();
+    } catch (error) {
+        console.error('Error adding team:', error);
+        alert('Error adding team: ' + error.message + '\n\nMake sure the team number is valid.');
+    }
+}
+
+async function removeTeam(teamNumber) {
+    if (!confirm('Are you sure you want to remove this team?')) {
+        return;
+    }
+
+    try {
+        await updateSettings({ teams: state.teams.filter(t => t.number !== teamNumber) });
+    } catch (error) {
+        console.error('Error removing team:', error);
+        alert('Error removing team: ' + error.message);
+    }
+}
+
+function renderTeamsList() {
+    const container = document.getElementById('teamsList');
+    if (!container) return;
+    
+    const addTeamForm = document.getElementById('addTeamForm');
+    const addTeamBtn = addTeamForm?.querySelector('button[type="submit"]');
+    
+    // Disable add team form if external API is disabled
+    if (addTeamForm && addTeamBtn) {
+        if (!state.externalApiEnabled) {
+            addTeamForm.style.opacity = '0.5';
+            addTeamForm.style.pointerEvents = 'none';
+            addTeamBtn.disabled = true;
+            addTeamBtn.title = 'Enable external API calls in Settings to add teams';
+        } else {
+            addTeamForm.style.opacity = '1';
+            addTeamForm.style.pointerEvents = 'auto';
+            addTeamBtn.disabled = false;
+            addTeamBtn.title = '';
+        }
+    }
+    
+    // Update EOC User ID input state based on external API toggle
+    const eocUserIdInput = document.getElementById('eocUserId');
+    const saveEOCBtn = document.getElementById('saveEOCUserId');
+    if (eocUserIdInput && saveEOCBtn) {
+        if (state.externalApiEnabled) {
+            eocUserIdInput.disabled = false;
+            saveEOCBtn.disabled = false;
+            eocUserIdInput.style.opacity = '1';
+            saveEOCBtn.style.opacity = '1';
+        } else {
+            eocUserIdInput.disabled = true;
+            saveEOCBtn.disabled = true;
+            eocUserIdInput.style.opacity = '0.5';
+            saveEOCBtn.style.opacity = '0.5';
+        }
+    }
+    
+    container.innerHTML = '';
+
+    if (state.teams.length === 0) {
+        container.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No teams configured</div>';
+        return;
+    }
+
+    state.teams.forEach(team => {
+        const item = document.createElement('div');
+        item.className = 'instance-item';
+        item.innerHTML = `
+            <div class="instance-item-info">
+                <div class="instance-item-name">${escapeHtml(team.name)}</div>
+                <div class="instance-item-host">Team #${team.number}</div>
+            </div>
+            <button class="btn btn-danger" onclick="removeTeam(${team.number})">Remove</button>
+        `;
+        container.appendChild(item);
+    });
+}
+
+// Make functions available globally
+window.removeTeam = removeTeam;
+window.resetSettingsOverrides = resetSettingsOverrides;
+
+async function refreshData() {
+    await Promise.all([loadSchedules(), loadEnergy()]);
+    await loadMachines();
+    // renderMachines is called separately to allow incremental updates
+    renderMachines();
+    // Load summary after machines are loaded (depends on state.machines)
+    await loadSummary();
+}
+
+async function loadMachines() {
+    // Don't clear container - let renderMachines handle incremental updates
+
+    const allMachines = [];
+
+    for (const instance of state.instances.filter(i => i.enabled)) {
+        try {
+            // Get machine info (contains full state)
+            const infoResponse = await fetch(`${API_BASE}/api/fah/${instance.id}/info`);
+            const infoData = await infoResponse.json();
+            
+            // Check if response indicates an error
+            if (infoData.error || !infoData) {
+                throw new Error(infoData.message || 'Failed to fetch machine info');
+            }
+
+            // Keep the raw state so live updates can be applied to it
+            state.machineStates[instance.id] = infoData;
+            allMachines.push(buildMachine(instance, infoData));
+        } catch (error) {
+            // Machine is disconnected or unreachable
+            console.warn(`Failed to connect to ${instance.name}:`, error.message);
+            delete state.machineStates[instance.id];
+            allMachines.push(buildDisconnectedMachine(instance, error.message));
+        }
+    }
+
+    state.machines = allMachines;
+    renderMachines();
+}
+
+// Build the machine model used by the cards from a raw FAH machine state
+function buildMachine(instance, machineState) {
+    // FAH machine state structure: {info: {...}, units: [...], groups: {...}, config: {...}, ...}
+    const clientInfo = machineState.info || {};
+    const units = machineState.units || [];
+    const groups = machineState.groups || {};
+    const globalConfig = machineState.config || {};
+    
+    // Extract resources from config
+    // Resources can be in global config or group configs
+    let totalCPUs = 0;
+    let gpuDescriptions = [];
+    
+    // Check global config first
+    if (globalConfig.cpus) {
+        totalCPUs += parseInt(globalConfig.cpus) || 0;
+    }
+    if (globalConfig.gpus && clientInfo.gpus) {
+        for (const gpuId in globalConfig.gpus) {
+            const gpu = globalConfig.gpus[gpuId];
+            if (gpu.enabled && clientInfo.gpus[gpuId]) {
+                gpuDescriptions.push(clientInfo.gpus[gpuId].description || `GPU ${gpuId}`);
+            }
+        }
+    }
+    
+    // Check group configs
+    for (const groupName in groups) {
+        const group = groups[groupName];
+        const config = group.config || {};
+        if (config.cpus) {
+            totalCPUs += parseInt(config.cpus) || 0;
+        }
+        if (config.gpus && clientInfo.gpus) {
+            for (const gpuId in config.gpus) {
+                const gpu = config.gpus[gpuId];
+                if (gpu.enabled && clientInfo.gpus[gpuId]) {
+                    const gpuDesc = clientInfo.gpus[gpuId].description || `GPU ${gpuId}`;
+                    // Avoid duplicates
+                    if (!gpuDescriptions.includes(gpuDesc)) {
+                        gpuDescriptions.push(gpuDesc);
+                    }
+                }
+            }
+        }
+    }
+    
+    // If no CPUs found in config, try to get from info
+    if (totalCPUs === 0 && clientInfo.cpus) {
+        totalCPUs = parseInt(clientInfo.cpus) || 0;
+    }
+    
+    // Also check units for resource info
+    if (totalCPUs === 0 && units.length > 0) {
+        // Sum CPUs from active units
+        units.forEach(unit => {
+            if (unit.cpus) {
+                totalCPUs += parseInt(unit.cpus) || 0;
+            }
+        });
+    }
+
+    // Check if machine is paused (check config for paused state)
+    let isPaused = false;
+    if (globalConfig.paused) {
+        isPaused = true;
+    } else {
+        // Check group configs
+        for (const groupName in groups) {
+            const group = groups[groupName];
+            const config = group.config || {};
+            if (config.paused) {
+                isPaused = true;
+                break;
+            }
+        }
+    }
+    
+    // Finishing: complete the current work units, then stop
+    const isFinishing = !isPaused && (!!globalConfig.finish ||
+        Object.keys(groups).some(groupName => (groups[groupName].config || {}).finish));
+    
+    return {
+        instanceId: instance.id,
+        instanceName: instance.name,
+        name: clientInfo.mach_name || clientInfo.name || instance.name,
+        version: clientInfo.version || 'v8.4.9',
+        info: clientInfo,
+        units: units,
+        groups: groups,
+        config: globalConfig,
+        totalCPUs: totalCPUs,
+        gpuDescriptions: gpuDescriptions,
+        isPaused: isPaused,
+        isFinishing: isFinishing,
+        status: instance.status || null,
+        connected: true
+    };
+}
+
+function buildDisconnectedMachine(instance, error) {
+    return {
+        instanceId: instance.id,
+        instanceName: instance.name,
+        name: instance.name,
+        version: 'Unknown',
+        units: [],
+        status: instance.status || null,
+        connected: false,
+        error: error
+    };
+}
+
+function renderMachines() {
+    const container = document.getElementById('machinesList');
+    
+    if (state.machines.length === 0) {
+        container.innerHTML = '<div class="loading">No machines found. Make sure Folding@Home clients are running.</div>';
+        return;
+    }
+
+    // Store existing machine cards to preserve DOM elements for smooth updates
+    const existingCards = new Map();
+    container.querySelectorAll('.machine-card').forEach(card => {
+        const instanceId = card.dataset.instanceId;
+        if (instanceId) {
+            existingCards.set(instanceId, card);
+        }
+    });
+
+    // Remove cards for machines that no longer exist
+    existingCards.forEach((card, instanceId) => {
+        if (!state.machines.find(m => m.instanceId === instanceId)) {
+            card.remove();
+            existingCards.delete(instanceId);
+        }
+    });
+
+    // Update or create cards
+    state.machines.forEach(machine => {
+        const existingCard = existingCards.get(machine.instanceId);
+        if (existingCard) {
+            // Update existing card
+            updateMachineCard(existingCard, machine);
+        } else {
+            // Create new card
+            const card = createMachineCard(machine);
+            container.appendChild(card);
+        }
+    });
+}
+
+// Update or create the card for a single machine without touching the others
+function renderMachine(machine) {
+    const container = document.getElementById('machinesList');
+    const existingCard = container.querySelector(`.machine-card[data-instance-id="${machine.instanceId}"]`);
+    if (existingCard) {
+        updateMachineCard(existingCard, machine);
+    } else {
+        // First machine replaces the "No machines found" placeholder
+        container.querySelectorAll('.loading').forEach(el => el.remove());
+        container.appendChild(createMachineCard(machine));
+    }
+}
+
+function createMachineCard(machine) {
+    const card = document.createElement('div');
+    card.className = `machine-card ${!machine.connected ? 'disconnected' : ''}`;
+    card.dataset.instanceId = machine.instanceId;
+    card.innerHTML = getMachineCardHTML(machine);
+    return card;
+}
+
+function updateMachineCard(card, machine) {
+    // Only update if the data has actually changed to avoid flashing
+    const currentHTML = card.innerHTML;
+    const newHTML = getMachineCardHTML(machine);
+    
+    if (currentHTML !== newHTML) {
+        // Use requestAnimationFrame for smooth updates
+        requestAnimationFrame(() => {
+            card.className = `machine-card ${!machine.connected ? 'disconnected' : ''}`;
+            card.innerHTML = newHTML;
+        });
+    }
+}
+
+function getMachineCardHTML(machine) {
+    const resources = [];
+    
+    if (machine.totalCPUs > 0) {
+        resources.push(`${machine.totalCPUs} CPUs`);
+    }
+    if (machine.gpuDescriptions && machine.gpuDescriptions.length > 0) {
+        resources.push(...machine.gpuDescriptions);
+    }
+
+    const workUnits = machine.units || [];
+
+    return `
+            <div class="machine-header">
+                <div class="machine-title">
+                    <div class="machine-name">${machine.name}</div>
+                    <div class="machine-info">${machine.version} • ${resources.join(', ') || 'No resources'}${!machine.connected ? ' • Disconnected' : ''}${machine.isFinishing ? ' • Finishing' : ''}${machine.connected && machine.status && machine.status.state === 'degraded' ? ' • Not responding' : ''}</div>
+                </div>
+                <div class="machine-controls">
+                    ${hasRole('admin') ? `<button class="icon-btn" onclick="showMachineSettings('${machine.instanceId}')" title="Settings"><span class="material-symbols-filled">settings</span></button>` : ''}
+                    ${hasRole('admin') ? `<button class="icon-btn" onclick="showMachineSchedules('${machine.instanceId}')" title="Schedule"><span class="material-symbols-filled">calendar_month</span></button>` : ''}
+                    <button class="icon-btn" onclick="showMachineLog('${machine.instanceId}')" title="Logs"><span class="material-symbols-filled">description</span></button>
+                    <button class="icon-btn" onclick="showMachineDetails('${machine.instanceId}')" title="Info"><span class="material-symbols-filled">info</span></button>
+                    ${hasRole('operator') ? `
+                    <button class="icon-btn" onclick="finishMachine('${machine.instanceId}')" title="Finish current work units, then stop" ${machine.isFinishing ? 'disabled' : ''}><span class="material-symbols-filled">sports_score</span></button>
+                    <button class="icon-btn" onclick="toggleMachine('${machine.instanceId}')" title="${machine.isPaused || machine.isFinishing ? 'Resume' : 'Pause'}" id="pause-btn-${machine.instanceId}">
+                        <span class="material-symbols-filled">${machine.isPaused || machine.isFinishing ? 'play_arrow' : 'pause'}</span>
+                    </button>` : ''}
+                </div>
+            </div>
+            ${!machine.connected ? `
+                <div class="error" style="margin: 15px 0;">
+                    <strong>Connection Error:</strong> ${machine.error || 'Unable to connect to Folding@Home client'}
+                    ${machine.status ? `<br><small>${getConnectionStatusText(machine.status)}</small>` : ''}
+                    <br><small>Make sure the FAH client is running on ${machine.instanceName === 'Local Instance' ? '127.0.0.1:7396' : machine.instanceName}. 
+                    The client may use different API endpoints - check the README for troubleshooting.</small>
+                </div>
+            ` : ''}
+            ${getEnergyLineHTML(machine)}
+            ${getScheduleLinesHTML(machine)}
+            ${machine.connected ? getGroupRowsHTML(machine) : ''}
+            ${workUnits.length > 0 ? `
+                <table class="machine-table">
+                    <thead>
+                        <tr>
+                            <th>Project</th>
+                            <th>Status</th>
+                            <th>Progress</th>
+                            <th>PPD</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${workUnits.map((wu, idx) => `
+                            <tr>
+                                <td>${wu.project || wu.assignment?.project || wu.assign?.project || 'N/A'}</td>
+                                <td>
+                                    <span class="status-icon ${getStatusClass(wu, machine)}"></span>
+                                    ${getStatusText(wu, machine)}
+                                </td>
+                                <td>
+                                    <div class="progress-bar" data-progress="${wu.progress || wu.wu_progress || 0}" data-project="${wu.project || wu.assignment?.project || ''}">
+                                        ${(() => {
+                                            // Progress is stored as decimal (0-1), multiply by 100
+                                            let progress = wu.progress || wu.wu_progress || 0;
+                                            if (progress <= 1) progress = progress * 100;
+                                            progress = Math.max(0, Math.min(100, progress));
+                                            
+                                            // Check if paused
+                                            const isPaused = wu.state === 'PAUSE' || wu.pause_reason || getStatusClass(wu) === 'paused';
+                                            
+                                            // Create a unique key for this work unit
+                                            const wuKey = `${machine.instanceId}-${wu.project || wu.assignment?.project || wu.assign?.project || 'unknown'}-${wu.slot || idx}`;
+                                            
+                                            if (isPaused) {
+                                                // When paused, preserve the last known progress
+                                                if (!pausedProgress.has(wuKey) && progress > 0) {
+                                                    // Store the progress when first paused
+                                                    pausedProgress.set(wuKey, progress);
+                                                }
+                                                // Use stored progress if available, otherwise use current
+                                                progress = pausedProgress.get(wuKey) || progress;
+                                            } else {
+                                                // When running, update stored progress and use current value
+                                                if (progress > 0) {
+                                                    pausedProgress.set(wuKey, progress);
+                                                } else {
+                                                    // If progress is 0, remove from stored (might be a new work unit)
+                                                    pausedProgress.delete(wuKey);
+                                                }
+                                            }
+                                            
+                                            const statusClass = isPaused ? 'paused' : (progress < 50 ? 'warning' : '');
+                                            
+                                            return `<div class="progress-fill ${statusClass}" style="width: ${progress}%"></div>
+                                                <div class="progress-text">${progress.toFixed(1)}%</div>`;
+                                        })()}
+                                    </div>
+                                </td>
+                                <td>${formatNumber(wu.ppd || 0)}</td>
+                                <td>
+                                    <div class="action-icons">
+                                        <button class="action-icon" onclick="showWorkUnitLog('${machine.instanceId}', ${idx})" title="Logs"><span class="material-symbols-filled">description</span></button>
+                                        <button class="action-icon" onclick="showWorkUnitDetails('${machine.instanceId}', ${idx})" title="Info"><span class="material-symbols-filled">info</span></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No active work units</div>'}
+        `;
+}
+
+// Resource groups of a FAH v8.4 machine with their resources and state
+function getMachineGroups(machine) {
+    const groups = machine.groups || {};
+    const gpuInfo = (machine.info && machine.info.gpus) || {};
+    return Object.keys(groups).sort().map(name => {
+        const config = groups[name].config || {};
+        const gpus = Object.keys(config.gpus || {})
+            .filter(gpuId => config.gpus[gpuId].enabled)
+            .map(gpuId => (gpuInfo[gpuId] && gpuInfo[gpuId].description) || `GPU ${gpuId}`);
+        return {
+            name: name,
+            cpus: parseInt(config.cpus) || 0,
+            gpus: gpus,
+            isPaused: !!config.paused,
+            isFinishing: !config.paused && !!config.finish
+        };
+    });
+}
+
+// Folding schedules
+const SCHEDULE_ACTION_LABELS = { fold: 'Fold', pause: 'Pause', finish: 'Finish' };
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function loadSchedules() {
+    try {
+        const response = await fetch(`${API_BASE}/api/schedules`);
+        if (response.ok) {
+            state.schedules = await response.json();
+        }
+    } catch (error) {
+        console.error('Error loading schedules:', error);
+    }
+}
+
+// Transition times are shown in the schedule's own timezone
+function formatScheduleTime(timestamp, timeZone) {
+    return new Date(timestamp).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+// One line per enabled schedule of the machine: what it wants now, the next change and any override
+function getScheduleLinesHTML(machine) {
+    const schedules = state.schedules.filter(s => s.instanceId === machine.instanceId && s.enabled);
+    if (schedules.length === 0) return '';
+    
+    return schedules.map(schedule => {
+        const target = schedule.group === null ? '' : `${schedule.group ? escapeHtml(schedule.group) : 'Default'} group: `;
+        const override = schedule.override;
+        let text;
+        let button = '';
+        
+        if (override) {
+            text = `${SCHEDULE_ACTION_LABELS[override.action]} (override by ${escapeHtml(override.by)}) until ${formatScheduleTime(override.until, schedule.timezone)}`;
+            button = `<button class="action-icon" onclick="cancelScheduleOverride('${schedule.id}')" title="Return to schedule"><span class="material-symbols-filled">undo</span></button>`;
+        } else {
+            const next = schedule.next;
+            text = `Scheduled: ${SCHEDULE_ACTION_LABELS[schedule.scheduledAction]}${next ? ` • ${SCHEDULE_ACTION_LABELS[next.action]} at ${formatScheduleTime(next.at, schedule.timezone)}` : ''}`;
+            const overrideAction = schedule.scheduledAction === 'fold' ? 'pause' : 'fold';
+            button = `<button class="action-icon" onclick="overrideSchedule('${schedule.id}', '${overrideAction}')" title="${SCHEDULE_ACTION_LABELS[overrideAction]} until the next scheduled change"><span class="material-symbols-filled">${overrideAction === 'fold' ? 'play_arrow' : 'pause'}</span></button>`;
+        }
+        
+        return `
+            <div class="schedule-line">
+                <span class="material-symbols-filled">schedule</span>
+                <span>${target}${text}</span>
+                ${hasRole('operator') ? button : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function overrideSchedule(scheduleId, action) {
+    try {
+        const response = await fetch(`${API_BASE}/api/schedules/${scheduleId}/override`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action })
+        });
+        const result = await response.json();
+        if (!response.ok || result.error) {
+            throw new Error(result.message || result.error || `HTTP ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Error overriding schedule:', error);
+        alert(`Error overriding schedule: ${error.message}`);
+    }
+    await loadSchedules();
+    await refreshData();
+}
+
+async function cancelScheduleOverride(scheduleId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/schedules/${scheduleId}/override`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Error cancelling override:', error);
+        alert(`Error cancelling override: ${error.message}`);
+    }
+    await loadSchedules();
+    await refreshData();
+}
+
+// Energy use and cost (estimated by the server from wattage profiles and the tariff)
+async function loadEnergy() {
+    try {
+        const response = await fetch(`${API_BASE}/api/energy`);
+        if (response.ok) {
+            state.energy = await response.json();
+        }
+    } catch (error) {
+        console.error('Error loading energy use:', error);
+    }
+}
+
+function getMachineEnergy(instanceId) {
+    return state.energy && state.energy.machines.find(m => m.instanceId === instanceId && m.connected);
+}
+
+function formatCost(value, currency = state.energy ? state.energy.tariff.currency : 'USD') {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
+}
+
+function getEnergyLineHTML(machine) {
+    const energy = getMachineEnergy(machine.instanceId);
+    if (!machine.connected || !energy) return '';
+    
+    return `
+        <div class="energy-line" title="${energy.power.profiled ? 'From the machine\'s power profile' : 'Estimated from typical CPU and GPU power, set a profile in Settings > Energy'}">
+            <span class="material-symbols-filled">bolt</span>
+            <span>${energy.power.profiled ? '' : '~'}${energy.watts} W • ${energy.ppdPerWatt !== null ? `${formatNumber(energy.ppdPerWatt)} PPD/W` : '-'} • ${formatCost(energy.costPerDay)}/day</span>
+        </div>
+    `;
+}
+
+// Stats tab: efficiency per machine and for the fleet, with energy used over the selected range
+async function loadEfficiency(range) {
+    const container = document.getElementById('efficiencyData');
+    container.innerHTML = '<div class="loading">Loading energy use...</div>';
+    
+    try {
+        const [response, timeSeries] = await Promise.all([
+            fetch(`${API_BASE}/api/energy?range=${range}`),
+            fetchTimeSeries(range, ['total'])
+        ]);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        const currency = result.tariff.currency;
+        const points = (timeSeries.series.total || []).filter(point => point.watts !== undefined);
+        const getRowHTML = (name, row) => `
+            <tr>
+                <td>${name}</td>
+                <td>${row.watts !== undefined ? `${formatNumber(row.watts)} W` : '-'}</td>
+                <td>${row.ppdPerWatt ? formatNumber(row.ppdPerWatt) : '-'}</td>
+                <td>${row.kwhPerDay !== undefined ? row.kwhPerDay : '-'}</td>
+                <td>${row.costPerDay !== undefined ? formatCost(row.costPerDay, currency) : '-'}</td>
+                <td>${row.pointsPerCurrency ? formatNumber(row.pointsPerCurrency) : '-'}</td>
+                <td>${row.history.kwh} kWh • ${formatCost(row.history.cost, currency)}</td>
+                <td>${row.history.pointsPerKwh ? formatNumber(row.history.pointsPerKwh) : '-'}</td>
+            </tr>
+        `;
+        
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); margin-bottom: 10px;">
+                Current rate ${formatCost(result.rate, currency)}/kWh • Machines without a power profile are estimated from typical CPU and GPU power
+            </p>
+            <table class="summary-table" style="margin-bottom: 20px;">
+                <thead>
+                    <tr>
+                        <th>Machine</th>
+                        <th>Power</th>
+                        <th>PPD/W</th>
+                        <th>kWh/day</th>
+                        <th>Cost/day</th>
+                        <th>Points per ${escapeHtml(currency)}</th>
+                        <th>Used (${range})</th>
+                        <th>Points/kWh (${range})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.machines.map(machine => getRowHTML(`${escapeHtml(machine.name)}${machine.connected ? (machine.power.profiled ? '' : ' <small style="color: var(--text-secondary);">(estimated)</small>') : ' <small style="color: var(--text-secondary);">(offline)</small>'}`, machine)).join('')}
+                    ${getRowHTML('<strong>All machines</strong>', result.total)}
+                </tbody>
+            </table>
+            <h3 style="margin: 20px 0 10px; font-size: 16px;">Power (W)</h3>
+            ${renderLineChart([{ label: 'Watts', color: CHART_COLORS[3], points: points.map(p => ({ t: p.t, value: p.watts })) }], timeSeries.interval, { height: 120 })}
+            <h3 style="margin: 20px 0 10px; font-size: 16px;">Cost per Day</h3>
+            ${renderLineChart([{ label: 'Cost', color: CHART_COLORS[4], points: points.map(p => ({ t: p.t, value: p.cost })) }], timeSeries.interval, {
+                height: 120,
+                formatValue: value => formatCost(value, currency)
+            })}
+        `;
+    } catch (error) {
+        console.error('Error loading efficiency:', error);
+        container.innerHTML = `<div class="error">Error loading energy use: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Settings > Energy (admins only): tariff and per-machine power profiles
+function getTariffPeriodHTML(period = { days: [1, 2, 3, 4, 5], start: '17:00', end: '21:00', rate: 0.3 }) {
+    return `
+        <div class="schedule-rule">
+            <div class="schedule-days">
+                ${SCHEDULE_DAYS.map((day, index) => `
+                    <label><input type="checkbox" value="${index}" ${period.days.includes(index) ? 'checked' : ''}> ${day}</label>
+                `).join('')}
+            </div>
+            <div style="display: flex; gap: 10px; align-items: center;">
+                <input type="time" data-field="start" value="${period.start}">
+                <span>to</span>
+                <input type="time" data-field="end" value="${period.end === '24:00' ? '00:00' : period.end}">
+                <input type="number" data-field="rate" value="${period.rate}" min="0" step="0.001" style="width: 100px;">
+                <span>per kWh</span>
+                <button type="button" class="btn btn-danger" onclick="this.closest('.schedule-rule').remove()">Remove</button>
+            </div>
+        </div>
+    `;
+}
+
+async function loadEnergySettings() {
+    await loadEnergy();
+    if (!state.energy) return;
+    
+    const { tariff } = state.energy;
+    document.getElementById('tariffCurrency').value = tariff.currency;
+    document.getElementById('tariffRate').value = tariff.rate;
+    document.getElementById('tariffTimezone').value = tariff.timezone;
+    document.getElementById('tariffPeriods').innerHTML = tariff.periods.map(getTariffPeriodHTML).join('');
+    renderEnergyProfiles();
+}
+
+function renderEnergyProfiles() {
+    const container = document.getElementById('energyProfiles');
+    container.innerHTML = state.energy.machines.map(machine => `
+        <div class="instance-item energy-profile" data-instance-id="${machine.instanceId}">
+            <div class="instance-item-info">
+                <div class="instance-item-name">${escapeHtml(machine.name)}${machine.connected ? (machine.power.profiled ? '' : ' <small style="color: var(--text-secondary); font-weight: normal;">(estimated)</small>') : ' <small style="color: var(--text-secondary); font-weight: normal;">(offline)</small>'}</div>
+                <div class="energy-profile-fields">
+                    <label>Idle W <input type="number" data-field="idleWatts" value="${machine.profile.idleWatts}" min="0"></label>
+                    <label>CPU load W <input type="number" data-field="cpuWatts" value="${machine.profile.cpuWatts}" min="0"></label>
+                    ${machine.connected ? machine.power.gpus.map(gpu => `
+                        <label title="${escapeHtml(gpu.description)}">${escapeHtml(gpu.description)} W <input type="number" data-gpu="${escapeHtml(gpu.id)}" value="${gpu.source === 'profile' ? gpu.watts : ''}" placeholder="${gpu.watts}" min="0"></label>
+                    `).join('') : ''}
+                </div>
+            </div>
+            <button class="btn btn-primary" onclick="saveEnergyProfile('${machine.instanceId}')">Save</button>
+            ${machine.profiled ? `<button class="btn btn-info" onclick="resetEnergyProfile('${machine.instanceId}')">Reset</button>` : ''}
+        </div>
+    `).join('') || '<p style="color: var(--text-secondary);">No machines configured.</p>';
+}
+
+async function saveTariff() {
+    const tariff = {
+        currency: document.getElementById('tariffCurrency').value.trim().toUpperCase(),
+        rate: parseFloat(document.getElementById('tariffRate').value),
+        timezone: document.getElementById('tariffTimezone').value.trim(),
+        periods: Array.from(document.querySelectorAll('#tariffPeriods .schedule-rule')).map(row => ({
+            days: Array.from(row.querySelectorAll('.schedule-days input:checked')).map(input => parseInt(input.value)),
+            start: row.querySelector('[data-field="start"]').value,
+            end: row.querySelector('[data-field="end"]').value === '00:00' ? '24:00' : row.querySelector('[data-field="end"]').value,
+            rate: parseFloat(row.querySelector('[data-field="rate"]').value)
+        }))
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/energy/tariff`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(tariff)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        await loadEnergySettings();
+        renderMachines();
+        alert('Tariff saved');
+    } catch (error) {
+        console.error('Error saving tariff:', error);
+        alert(`Error saving tariff: ${error.message}`);
+    }
+}
+
+async function saveEnergyProfile(instanceId) {
+    const row = document.querySelector(`.energy-profile[data-instance-id="${instanceId}"]`);
+    const profile = {
+        idleWatts: parseFloat(row.querySelector('[data-field="idleWatts"]').value),
+        cpuWatts: parseFloat(row.querySelector('[data-field="cpuWatts"]').value)
+    };
+    // GPUs left empty use their typical power; offline machines keep what they had
+    const gpuInputs = row.querySelectorAll('[data-gpu]');
+    if (gpuInputs.length > 0) {
+        profile.gpuWatts = {};
+        gpuInputs.forEach(input => {
+            if (input.value !== '') profile.gpuWatts[input.dataset.gpu] = parseFloat(input.value);
+        });
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/energy/profiles/${instanceId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(profile)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        await loadEnergySettings();
+        renderMachines();
+    } catch (error) {
+        console.error('Error saving power profile:', error);
+        alert(`Error saving power profile: ${error.message}`);
+    }
+}
+
+async function resetEnergyProfile(instanceId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/energy/profiles/${instanceId}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        await loadEnergySettings();
+        renderMachines();
+    } catch (error) {
+        console.error('Error resetting power profile:', error);
+        alert(`Error resetting power profile: ${error.message}`);
+    }
+}
+
+function getScheduleRuleHTML(rule = { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00', action: 'pause' }) {
+    return `
+        <div class="schedule-rule">
+            <div class="schedule-days">
+                ${SCHEDULE_DAYS.map((day, index) => `
+                    <label><input type="checkbox" value="${index}" ${rule.days.includes(index) ? 'checked' : ''}> ${day}</label>
+                `).join('')}
+            </div>
+            <div style="display: flex; gap: 10px; align-items: center;">
+                <input type="time" data-field="start" value="${rule.start}">
+                <span>to</span>
+                <input type="time" data-field="end" value="${rule.end === '24:00' ? '00:00' : rule.end}">
+                <select data-field="action">
+                    ${Object.entries(SCHEDULE_ACTION_LABELS).map(([action, label]) => `<option value="${action}" ${rule.action === action ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-danger" onclick="this.closest('.schedule-rule').remove()">Remove</button>
+            </div>
+        </div>
+    `;
+}
+
+function showMachineSchedules(instanceId) {
+    const machine = state.machines.find(m => m.instanceId === instanceId);
+    if (!machine) return;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'scheduleModal';
+    modal.innerHTML = `
+        <div class="modal-content large">
+            <div class="modal-header">
+                <h2>Schedules: ${escapeHtml(machine.name)}</h2>
+                <button class="close-btn" onclick="this.closest('.modal').remove()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div id="scheduleList"></div>
+                <h3 id="scheduleFormTitle" style="margin-top: 20px;">Add Schedule</h3>
+                <form id="scheduleForm">
+                    <input type="hidden" id="scheduleId">
+                    <div class="form-group">
+                        <label for="scheduleGroup">Applies to:</label>
+                        <select id="scheduleGroup">
+                            <option value="">Whole machine</option>
+                            ${getMachineGroups(machine).map(group => `<option value="group:${encodeURIComponent(group.name)}">${group.name ? `Group ${escapeHtml(group.name)}` : 'Default group'}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="scheduleTimezone">Timezone:</label>
+                        <input type="text" id="scheduleTimezone" value="${Intl.DateTimeFormat().resolvedOptions().timeZone}" placeholder="e.g., Europe/Berlin">
+                    </div>
+                    <div class="form-group">
+                        <label>Rules (the first matching rule wins, a rule ending before it starts runs past midnight):</label>
+                        <div id="scheduleRules">${getScheduleRuleHTML()}</div>
+                        <button type="button" class="btn btn-info" id="addScheduleRule">Add Rule</button>
+                    </div>
+                    <div class="form-group">
+                        <label for="scheduleDefault">Outside the rules:</label>
+                        <select id="scheduleDefault">
+                            ${Object.entries(SCHEDULE_ACTION_LABELS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Save Schedule</button>
+                </form>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    
+    modal.querySelector('#addScheduleRule').addEventListener('click', () => {
+        modal.querySelector('#scheduleRules').insertAdjacentHTML('beforeend', getScheduleRuleHTML());
     });
-
-    // Remove cards for machines that no longer exist
-    existingCards.forEach((card, instanceId) => {
-        if (!state.machines.find(m => m.instanceId === instanceId)) {
-            card.remove();
-            existingCards.delete(instanceId);
-        }
+    modal.querySelector('#scheduleForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveSchedule(instanceId);
     });
+    
+    renderScheduleList(instanceId);
+}
 
-    // Update or create cards
-    state.machines.forEach(machine => {
-        const existingCard = existingCards.get(machine.instanceId);
-        if (existingCard) {
-            // Update existing card
-            updateMachineCard(existingCard, machine);
-        } else {
-            // Create new card
-            const card = createMachineCard(machine);
-            container.appendChild(card);
-        }
-    });
+function renderScheduleList(instanceId) {
+    const container = document.getElementById('scheduleList');
+    if (!container) return;
+    
+    const schedules = state.schedules.filter(s => s.instanceId === instanceId);
+    container.innerHTML = schedules.length > 0 ? schedules.map(schedule => `
+        <div class="instance-item">
+            <div class="instance-item-info">
+                <div class="instance-item-name">${schedule.group === null ? 'Whole machine' : (schedule.group ? `Group ${escapeHtml(schedule.group)}` : 'Default group')} <small style="color: var(--text-secondary); font-weight: normal;">${escapeHtml(schedule.timezone)}${schedule.enabled ? '' : ' • disabled'}</small></div>
+                ${schedule.rules.map(rule => `
+                    <div class="instance-item-host">${rule.days.map(day => SCHEDULE_DAYS[day]).join(', ')} ${rule.start}-${rule.end}: ${SCHEDULE_ACTION_LABELS[rule.action]}</div>
+                `).join('')}
+                <div class="instance-item-host">Otherwise: ${SCHEDULE_ACTION_LABELS[schedule.defaultAction]}${schedule.next ? ` • next: ${SCHEDULE_ACTION_LABELS[schedule.next.action]} at ${formatScheduleTime(schedule.next.at, schedule.timezone)}` : ''}</div>
+            </div>
+            <button class="btn btn-info" onclick="editSchedule('${schedule.id}')">Edit</button>
+            <button class="btn btn-info" onclick="toggleSchedule('${schedule.id}')">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+            <button class="btn btn-danger" onclick="removeSchedule('${schedule.id}')">Remove</button>
+        </div>
+    `).join('') : '<p style="color: var(--text-secondary);">No schedules for this machine.</p>';
 }
 
-function createMachineCard(machine) {
-    const card = document.createElement('div');
-    card.className = `machine-card ${!machine.connected ? 'disconnected' : ''}`;
-    card.dataset.instanceId = machine.instanceId;
-    card.innerHTML = getMachineCardHTML(machine);
-    return card;
+function editSchedule(scheduleId) {
+    const schedule = state.schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+    
+    document.getElementById('scheduleFormTitle').textContent = 'Edit Schedule';
+    document.getElementById('scheduleId').value = schedule.id;
+    document.getElementById('scheduleGroup').value = schedule.group === null ? '' : `group:${encodeURIComponent(schedule.group)}`;
+    document.getElementById('scheduleTimezone').value = schedule.timezone;
+    document.getElementById('scheduleDefault').value = schedule.defaultAction;
+    document.getElementById('scheduleRules').innerHTML = schedule.rules.map(getScheduleRuleHTML).join('');
 }
 
-function updateMachineCard(card, machine) {
-    // Only update if the data has actually changed to avoid flashing
-    const currentHTML = card.innerHTML;
-    const newHTML = getMachineCardHTML(machine);
+async function saveSchedule(instanceId) {
+    const scheduleId = document.getElementById('scheduleId').value;
+    const group = document.getElementById('scheduleGroup').value;
+    const schedule = {
+        instanceId,
+        group: group ? decodeURIComponent(group.slice('group:'.length)) : null,
+        timezone: document.getElementById('scheduleTimezone').value.trim(),
+        defaultAction: document.getElementById('scheduleDefault').value,
+        rules: Array.from(document.querySelectorAll('#scheduleRules .schedule-rule')).map(row => ({
+            days: Array.from(row.querySelectorAll('.schedule-days input:checked')).map(input => parseInt(input.value)),
+            start: row.querySelector('[data-field="start"]').value,
+            // A rule ending at midnight ends at the end of the day
+            end: row.querySelector('[data-field="end"]').value === '00:00' ? '24:00' : row.querySelector('[data-field="end"]').value,
+            action: row.querySelector('[data-field="action"]').value
+        }))
+    };
     
-    if (currentHTML !== newHTML) {
-        // Use requestAnimationFrame for smooth updates
-        requestAnimationFrame(() => {
-            card.className = `machine-card ${!machine.connected ? 'disconnected' : ''}`;
-            card.innerHTML = newHTML;
+    try {
+        const response = await fetch(`${API_BASE}/api/schedules${scheduleId ? `/${scheduleId}` : ''}`, {
+            method: scheduleId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(schedule)
         });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        document.getElementById('scheduleModal').remove();
+        await loadSchedules();
+        renderMachines();
+    } catch (error) {
+        console.error('Error saving schedule:', error);
+        alert(`Error saving schedule: ${error.message}`);
     }
 }
 
-function getMachineCardHTML(machine) {
-    const resources = [];
+async function toggleSchedule(scheduleId) {
+    const schedule = state.schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
     
-    if (machine.totalCPUs > 0) {
-        resources.push(`${machine.totalCPUs} CPUs`);
-    }
-    if (machine.gpuDescriptions && machine.gpuDescriptions.length > 0) {
-        resources.push(...machine.gpuDescriptions);
+    try {
+        const response = await fetch(`${API_BASE}/api/schedules/${scheduleId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: !schedule.enabled })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        alert(`Error updating schedule: ${error.message}`);
     }
+    await loadSchedules();
+    renderScheduleList(schedule.instanceId);
+    renderMachines();
+}
 
-    const workUnits = machine.units || [];
+async function removeSchedule(scheduleId) {
+    const schedule = state.schedules.find(s => s.id === scheduleId);
+    if (!schedule || !confirm('Remove this schedule? The machine keeps its current state.')) return;
+    
+    try {
+        await fetch(`${API_BASE}/api/schedules/${scheduleId}`, { method: 'DELETE' });
+    } catch (error) {
+        console.error('Error removing schedule:', error);
+        alert(`Error removing schedule: ${error.message}`);
+    }
+    await loadSchedules();
+    renderScheduleList(schedule.instanceId);
+    renderMachines();
+}
 
+// Sub-rows for machines with more than one resource group, each with its own controls
+function getGroupRowsHTML(machine) {
+    const groups = getMachineGroups(machine);
+    if (groups.length < 2) return '';
+    
     return `
-            <div class="machine-header">
-                <div class="machine-title">
-                    <div class="machine-name">${machine.name}</div>
-                    <div class="machine-info">${machine.version} • ${resources.join(', ') || 'No resources'}${!machine.connected ? ' • Disconnected' : ''}</div>
-                </div>
-                <div class="machine-controls">
-                    <button class="icon-btn" onclick="showMachineSettings('${machine.instanceId}')" title="Settings"><span class="material-symbols-filled">settings</span></button>
-                    <button class="icon-btn" onclick="showMachineLog('${machine.instanceId}')" title="Logs"><span class="material-symbols-filled">description</span></button>
-                    <button class="icon-btn" onclick="showMachineDetails('${machine.instanceId}')" title="Info"><span class="material-symbols-filled">info</span></button>
-                    <button class="icon-btn" onclick="toggleMachine('${machine.instanceId}')" title="${machine.isPaused ? 'Resume' : 'Pause'}" id="pause-btn-${machine.instanceId}">
-                        <span class="material-symbols-filled">${machine.isPaused ? 'play_arrow' : 'pause'}</span>
-                    </button>
-                </div>
-            </div>
-            ${!machine.connected ? `
-                <div class="error" style="margin: 15px 0;">
-                    <strong>Connection Error:</strong> ${machine.error || 'Unable to connect to Folding@Home client'}
-                    <br><small>Make sure the FAH client is running on ${machine.instanceName === 'Local Instance' ? '127.0.0.1:7396' : machine.instanceName}. 
-                    The client may use different API endpoints - check the README for troubleshooting.</small>
-                </div>
-            ` : ''}
-            ${workUnits.length > 0 ? `
-                <table class="machine-table">
+                <table class="machine-table group-table">
                     <thead>
                         <tr>
-                            <th>Project</th>
+                            <th>Group</th>
+                            <th>Resources</th>
                             <th>Status</th>
-                            <th>Progress</th>
-                            <th>PPD</th>
                             <th>Actions</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${workUnits.map((wu, idx) => `
+                        ${groups.map(group => {
+                            // Group names are free text, pass them URI-encoded to the inline handlers
+                            const groupArg = encodeURIComponent(group.name).replace(/'/g, '%27');
+                            const resources = [];
+                            if (group.cpus > 0) resources.push(`${group.cpus} CPUs`);
+                            resources.push(...group.gpus);
+                            return `
                             <tr>
-                                <td>${wu.project || wu.assignment?.project || wu.assign?.project || 'N/A'}</td>
-                                <td>
-                                    <span class="status-icon ${getStatusClass(wu)}"></span>
-                                    ${getStatusText(wu)}
-                                </td>
+                                <td>${group.name ? escapeHtml(group.name) : 'Default'}</td>
+                                <td>${escapeHtml(resources.join(', ')) || 'No resources'}</td>
                                 <td>
-                                    <div class="progress-bar" data-progress="${wu.progress || wu.wu_progress || 0}" data-project="${wu.project || wu.assignment?.project || ''}">
-                                        ${(() => {
-                                            // Progress is stored as decimal (0-1), multiply by 100
-                                            let progress = wu.progress || wu.wu_progress || 0;
-                                            if (progress <= 1) progress = progress * 100;
-                                            progress = Math.max(0, Math.min(100, progress));
-                                            
-                                            // Check if paused
-                                            const isPaused = wu.state === 'PAUSE' || wu.pause_reason || getStatusClass(wu) === 'paused';
-                                            
-                                            // Create a unique key for this work unit
-                                            const wuKey = `${machine.instanceId}-${wu.project || wu.assignment?.project || wu.assign?.project || 'unknown'}-${wu.slot || idx}`;
-                                            
-                                            if (isPaused) {
-                                                // When paused, preserve the last known progress
-                                                if (!pausedProgress.has(wuKey) && progress > 0) {
-                                                    // Store the progress when first paused
-                                                    pausedProgress.set(wuKey, progress);
-                                                }
-                                                // Use stored progress if available, otherwise use current
-                                                progress = pausedProgress.get(wuKey) || progress;
-                                            } else {
-                                                // When running, update stored progress and use current value
-                                                if (progress > 0) {
-                                                    pausedProgress.set(wuKey, progress);
-                                                } else {
-                                                    // If progress is 0, remove from stored (might be a new work unit)
-                                                    pausedProgress.delete(wuKey);
-                                                }
-                                            }
-                                            
-                                            const statusClass = isPaused ? 'paused' : (progress < 50 ? 'warning' : '');
-                                            
-                                            return `<div class="progress-fill ${statusClass}" style="width: ${progress}%"></div>
-                                                <div class="progress-text">${progress.toFixed(1)}%</div>`;
-                                        })()}
-                                    </div>
+                                    <span class="status-icon ${group.isPaused ? 'paused' : (group.isFinishing ? 'finishing' : 'running')}"></span>
+                                    ${group.isPaused ? 'Paused' : (group.isFinishing ? 'Finishing' : 'Folding')}
                                 </td>
-                                <td>${formatNumber(wu.ppd || 0)}</td>
                                 <td>
-                                    <div class="action-icons">
-                                        <button class="action-icon" onclick="showWorkUnitLog('${machine.instanceId}', ${idx})" title="Logs"><span class="material-symbols-filled">description</span></button>
-                                        <button class="action-icon" onclick="showWorkUnitDetails('${machine.instanceId}', ${idx})" title="Info"><span class="material-symbols-filled">info</span></button>
-                                    </div>
+                                    ${hasRole('operator') ? `<div class="action-icons">
+                                        <button class="action-icon" onclick="controlGroup('${machine.instanceId}', '${groupArg}', 'fold')" title="Fold" ${!group.isPaused && !group.isFinishing ? 'disabled' : ''}><span class="material-symbols-filled">play_arrow</span></button>
+                                        <button class="action-icon" onclick="controlGroup('${machine.instanceId}', '${groupArg}', 'pause')" title="Pause" ${group.isPaused ? 'disabled' : ''}><span class="material-symbols-filled">pause</span></button>
+                                        <button class="action-icon" onclick="controlGroup('${machine.instanceId}', '${groupArg}', 'finish')" title="Finish current work, then stop" ${group.isFinishing ? 'disabled' : ''}><span class="material-symbols-filled">sports_score</span></button>
+                                    </div>` : ''}
                                 </td>
-                            </tr>
-                        `).join('')}
+                            </tr>`;
+                        }).join('')}
                     </tbody>
                 </table>
-            ` : '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No active work units</div>'}
-        `;
+    `;
+}
+
+// Describe an instance's connection status (from /api/instances or live 'status' messages)
+function getConnectionStatusText(status) {
+    if (!status) return 'Unknown';
+    const lastSeen = status.lastSeen ? `, last seen ${formatRelativeTime(status.lastSeen)}` : '';
+    const retry = status.nextRetryAt
+        ? ` • retrying in ${formatTimeInterval(Math.max(0, (new Date(status.nextRetryAt) - new Date()) / 1000))}`
+        : '';
+    switch (status.state) {
+        case 'online':
+            return 'Online';
+        case 'connecting':
+            return 'Connecting...';
+        case 'degraded':
+            return `Not responding to heartbeats${lastSeen}`;
+        case 'auth-refused':
+            return `Connection refused by the client (check &lt;allow&gt;/&lt;deny&gt; in its config)${retry}`;
+        case 'disabled':
+            return 'Disabled';
+        default:
+            return `Offline${lastSeen}${retry}`;
+    }
 }
 
 async function loadSummary() {
@@ -898,11 +2504,169 @@ async function loadSummary() {
     document.getElementById('totalCPUs').textContent = totalCPUs;
     document.getElementById('totalGPUs').textContent = totalGPUs;
     document.getElementById('totalPPD').textContent = formatNumber(totalPPD);
+    document.getElementById('totalPower').textContent = state.energy
+        ? `${formatNumber(state.energy.total.watts)} W • ${formatCost(state.energy.total.costPerDay)}/day`
+        : '-';
+}
+
+// Production charts (server-side time series, independent of the external stats APIs)
+const CHART_COLORS = ['var(--accent)', 'var(--info)', 'var(--success)', 'var(--warning)', 'var(--danger)', '#9c27b0', '#00bcd4'];
+
+async function fetchTimeSeries(range, seriesKeys) {
+    const params = new URLSearchParams({ range });
+    if (seriesKeys) params.set('series', seriesKeys.join(','));
+    const response = await fetch(`${API_BASE}/api/timeseries?${params}`);
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+// Line chart as an inline SVG string
+// series: [{label, color, points: [{t, value}]}], interval: expected ms between points (larger gaps break the line)
+function renderLineChart(series, interval, options = {}) {
+    const width = 800;
+    const height = options.height || 200;
+    const pad = { top: 10, right: 10, bottom: 22, left: 70 };
+    const allPoints = series.flatMap(s => s.points);
+    
+    if (allPoints.length < 2) {
+        return `<div style="padding: 20px; text-align: center; color: var(--text-secondary);">Not enough data recorded yet</div>`;
+    }
+    
+    const minT = Math.min(...allPoints.map(p => p.t));
+    const maxT = Math.max(...allPoints.map(p => p.t));
+    const maxValue = Math.max(...allPoints.map(p => p.value), 1) * 1.1;
+    const x = t => pad.left + (maxT === minT ? 0 : (t - minT) / (maxT - minT)) * (width - pad.left - pad.right);
+    // options.invert puts low values at the top, for ranks
+    const y = v => options.invert
+        ? pad.top + (v / maxValue) * (height - pad.top - pad.bottom)
+        : height - pad.bottom - (v / maxValue) * (height - pad.top - pad.bottom);
+    const formatValue = options.formatValue || (value => new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value));
+    const formatTick = t => {
+        const date = new Date(t);
+        return maxT - minT > 2 * 24 * 60 * 60 * 1000
+            ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+            : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    };
+    
+    const grid = [0, 0.5, 1].map(fraction => {
+        const value = maxValue * fraction;
+        return `
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" style="stroke: var(--border);" />
+            <text x="${pad.left - 8}" y="${y(value) + 4}" text-anchor="end" style="fill: var(--text-secondary); font-size: 11px;">${formatValue(value)}</text>`;
+    }).join('');
+    
+    const ticks = [minT, (minT + maxT) / 2, maxT].map((t, i) => `
+        <text x="${x(t)}" y="${height - 5}" text-anchor="${['start', 'middle', 'end'][i]}" style="fill: var(--text-secondary); font-size: 11px;">${formatTick(t)}</text>`
+    ).join('');
+    
+    const lines = series.map(s => {
+        // Split into segments where samples are missing (server or machine offline)
+        const segments = [];
+        let segment = [];
+        s.points.forEach((point, i) => {
+            if (i > 0 && point.t - s.points[i - 1].t > interval * 2.5) {
+                segments.push(segment);
+                segment = [];
+            }
+            segment.push(`${x(point.t).toFixed(1)},${y(point.value).toFixed(1)}`);
+        });
+        segments.push(segment);
+        return segments.filter(seg => seg.length > 0).map(seg => seg.length === 1
+            ? `<circle cx="${seg[0].split(',')[0]}" cy="${seg[0].split(',')[1]}" r="2" style="fill: ${s.color};" />`
+            : `<polyline points="${seg.join(' ')}" style="fill: none; stroke: ${s.color}; stroke-width: 2;" />`
+        ).join('');
+    }).join('');
+    
+    const legend = series.length > 1 ? `
+        <div class="chart-legend">
+            ${series.map(s => `<span><span class="chart-swatch" style="background: ${s.color};"></span>${escapeHtml(s.label)}</span>`).join('')}
+        </div>` : '';
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${grid}${ticks}${lines}</svg>
+        ${legend}
+    `;
+}
+
+function getSeriesLabel(seriesKey) {
+    if (seriesKey === 'total') return 'All machines';
+    const instanceId = seriesKey.replace(/^machine:/, '');
+    const machine = state.machines.find(m => m.instanceId === instanceId);
+    const instance = state.instances.find(i => i.id === instanceId);
+    return (machine && machine.name) || (instance && instance.name) || instanceId;
+}
+
+// Machines tab: total and per-machine PPD for the last 24 hours
+async function loadMachinesChart() {
+    const container = document.getElementById('machinesChart');
+    if (!container) return;
+    
+    try {
+        const result = await fetchTimeSeries('24h');
+        const keys = Object.keys(result.series).sort((a, b) => (a === 'total' ? -1 : b === 'total' ? 1 : a.localeCompare(b)));
+        const series = keys.map((key, i) => ({
+            label: getSeriesLabel(key),
+            color: CHART_COLORS[i % CHART_COLORS.length],
+            points: result.series[key].map(point => ({ t: point.t, value: point.ppd }))
+        }));
+        container.innerHTML = renderLineChart(series, result.interval);
+    } catch (error) {
+        console.error('Error loading production chart:', error);
+        container.innerHTML = `<div class="error">Error loading production history: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Stats tab: total PPD and running units over a selectable range
+async function loadStatsChart(range = state.statsChartRange) {
+    state.statsChartRange = range;
+    document.querySelectorAll('.view-tab[data-chart-range]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.chartRange === range);
+    });
+    
+    const container = document.getElementById('statsChart');
+    container.innerHTML = '<div class="loading">Loading production history...</div>';
+    
+    try {
+        const result = await fetchTimeSeries(range, ['total']);
+        const points = result.series.total || [];
+        const average = points.length ? points.reduce((sum, point) => sum + point.ppd, 0) / points.length : 0;
+        const peak = points.reduce((max, point) => Math.max(max, point.ppd), 0);
+        
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); margin-bottom: 10px;">
+                Average ${formatNumber(average)} PPD • Peak ${formatNumber(peak)} PPD
+            </p>
+            ${renderLineChart([{ label: 'PPD', color: CHART_COLORS[0], points: points.map(p => ({ t: p.t, value: p.ppd })) }], result.interval)}
+            <h3 style="margin: 20px 0 10px; font-size: 16px;">Running Work Units</h3>
+            ${renderLineChart([{ label: 'Units', color: CHART_COLORS[1], points: points.map(p => ({ t: p.t, value: p.units })) }], result.interval, {
+                height: 120,
+                formatValue: value => value.toFixed(1)
+            })}
+        `;
+    } catch (error) {
+        console.error('Error loading stats chart:', error);
+        container.innerHTML = `<div class="error">Error loading production history: ${escapeHtml(error.message)}</div>`;
+    }
+    
+    await loadEfficiency(range);
+}
+
+// True if the work unit's machine (or its resource group) will stop once the unit completes
+function isUnitFinishing(workUnit, machine) {
+    if (!machine || !machine.connected) return false;
+    const group = (machine.groups || {})[workUnit.group || ''];
+    const config = (group && group.config) || machine.config || {};
+    return !config.paused && !!(config.finish || (machine.config && machine.config.finish));
 }
 
-function getStatusClass(workUnit) {
+// machine is optional, when given units of finishing machines get a distinct status
+function getStatusClass(workUnit, machine) {
     if (!workUnit) return 'paused';
     const state = workUnit.state || '';
+    if (state !== 'PAUSE' && !workUnit.pause_reason && isUnitFinishing(workUnit, machine)) return 'finishing';
     // FAH states: RUN, ASSIGN, DOWNLOAD, CORE, FINISH, UPLOAD, CLEAN, WAIT, PAUSE, DUMP, etc.
     if (state === 'RUN' || state === 'FINISH') return 'running';
     if (state === 'PAUSE' || workUnit.pause_reason) return 'paused';
@@ -910,10 +2674,11 @@ function getStatusClass(workUnit) {
     return 'paused';
 }
 
-function getStatusText(workUnit) {
+function getStatusText(workUnit, machine) {
     if (!workUnit) return 'Unknown';
     if (workUnit.pause_reason) return 'Paused';
     const state = workUnit.state || 'Unknown';
+    if (state !== 'PAUSE' && isUnitFinishing(workUnit, machine)) return 'Finishing (last unit)';
     // Map FAH states to readable text
     const stateMap = {
         'RUN': 'Running',
@@ -970,6 +2735,7 @@ function renderWorkUnits() {
     container.innerHTML = '';
 
     state.workUnits.forEach(wu => {
+        const wuMachine = state.machines.find(m => m.instanceId === wu.instanceId);
         const card = document.createElement('div');
         card.className = 'work-unit-card';
         card.onclick = () => showWorkUnitDetails(wu.instanceId, wu.wuIndex, wu.queueIndex);
@@ -980,7 +2746,7 @@ function renderWorkUnits() {
                     <h3>Work Unit #${wu.number || wu.id || 'N/A'}</h3>
                     <p style="color: var(--text-secondary); margin-top: 5px;">
                         Machine: ${wu.machineName} • Project: ${wu.project || 'N/A'} • 
-                        Status: <span class="status-icon ${getStatusClass(wu)}"></span> ${getStatusText(wu)}
+                        Status: <span class="status-icon ${getStatusClass(wu, wuMachine)}"></span> ${getStatusText(wu, wuMachine)}
                     </p>
                 </div>
                 <div style="text-align: right;">
@@ -1029,8 +2795,229 @@ function renderWorkUnits() {
             </div>
         `;
 
-        container.appendChild(card);
-    });
+        container.appendChild(card);
+    });
+}
+
+function switchWorkUnitsView(view) {
+    state.workUnitsView = view;
+    document.querySelectorAll('.view-tab[data-workunits-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.workunitsView === view);
+    });
+    document.getElementById('workUnitsList').style.display = view === 'current' ? '' : 'none';
+    document.getElementById('workUnitHistory').style.display = view === 'history' ? '' : 'none';
+    
+    if (view === 'history') {
+        loadWorkUnitHistory();
+    } else {
+        loadWorkUnits();
+    }
+}
+
+async function loadWorkUnitHistory() {
+    const container = document.getElementById('historyResults');
+    const machineSelect = document.getElementById('historyMachine');
+    
+    // Keep the machine filter in sync with the configured instances
+    const selectedMachine = machineSelect.value;
+    machineSelect.innerHTML = '<option value="">All machines</option>' + state.instances.map(instance =>
+        `<option value="${instance.id}" ${instance.id === selectedMachine ? 'selected' : ''}>${escapeHtml(instance.name)}</option>`
+    ).join('');
+    
+    const params = new URLSearchParams();
+    if (machineSelect.value) params.set('machine', machineSelect.value);
+    const project = document.getElementById('historyProject').value;
+    if (project) params.set('project', project);
+    // Date inputs are local days, the range covers the whole "to" day
+    const from = document.getElementById('historyFrom').value;
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    const to = document.getElementById('historyTo').value;
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    
+    container.innerHTML = '<div class="loading">Loading history...</div>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/history?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        renderWorkUnitHistory(result);
+    } catch (error) {
+        console.error('Error loading work unit history:', error);
+        container.innerHTML = `<div class="error">Error loading history: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Outcome recorded by the server when the unit left the queue
+function getUnitOutcomeText(unit) {
+    if (unit.outcome === 'completed') return 'Completed';
+    if (unit.outcome === 'failed') return `Failed${unit.result ? ` (${escapeHtml(unit.result)})` : ''}`;
+    return `Ended while ${getStatusText({ state: unit.finalState })}`;
+}
+
+function renderWorkUnitHistory(result) {
+    const container = document.getElementById('historyResults');
+    
+    if (result.units.length === 0) {
+        container.innerHTML = '<div class="loading">No work units recorded for these filters</div>';
+        return;
+    }
+    
+    const totalCredit = result.units.reduce((sum, unit) => sum + (unit.endedAt ? unit.creditEstimate || 0 : 0), 0);
+    
+    container.innerHTML = `
+        <p style="color: var(--text-secondary); margin-bottom: 10px;">
+            ${result.total} work unit(s)${result.total > result.units.length ? `, showing the latest ${result.units.length}` : ''}
+            • ${formatNumber(totalCredit)} estimated credit from finished units
+        </p>
+        <table class="machine-table">
+            <thead>
+                <tr>
+                    <th>Machine</th>
+                    <th>Project</th>
+                    <th>Run / Clone / Gen</th>
+                    <th>Started</th>
+                    <th>Ended</th>
+                    <th>Duration</th>
+                    <th>Result</th>
+                    <th>PPD</th>
+                    <th>Credit</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.units.map(unit => {
+                    const ended = unit.endedAt ? new Date(unit.endedAt) : new Date();
+                    const duration = (ended - new Date(unit.startedAt)) / 1000;
+                    return `
+                    <tr>
+                        <td>${escapeHtml(unit.machine || unit.instanceId)}</td>
+                        <td>${unit.project || 'N/A'}</td>
+                        <td>${unit.run ?? '-'} / ${unit.clone ?? '-'} / ${unit.gen ?? '-'}</td>
+                        <td>${formatDateTime(unit.startedAt)}</td>
+                        <td>${unit.endedAt ? formatDateTime(unit.endedAt) : 'In progress'}</td>
+                        <td>${formatTimeInterval(duration)}</td>
+                        <td>${unit.endedAt ? getUnitOutcomeText(unit) : `${getStatusText({ state: unit.state })} (${((unit.progress <= 1 ? unit.progress * 100 : unit.progress) || 0).toFixed(1)}%)`}</td>
+                        <td>${formatNumber(unit.ppd || 0)}</td>
+                        <td>${unit.creditEstimate ? formatNumber(unit.creditEstimate) : 'N/A'}</td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Audit log (admins only)
+function getAuditParams(format) {
+    const params = new URLSearchParams();
+    const actor = document.getElementById('auditActor').value.trim();
+    if (actor) params.set('actor', actor);
+    const instance = document.getElementById('auditInstance').value;
+    if (instance) params.set('instance', instance);
+    const action = document.getElementById('auditAction').value;
+    if (action) params.set('action', action);
+    // Date inputs are local days, the range covers the whole "to" day
+    const from = document.getElementById('auditFrom').value;
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    const to = document.getElementById('auditTo').value;
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    if (format) {
+        params.set('format', format);
+        params.set('limit', 10000);
+    }
+    return params;
+}
+
+async function loadAudit() {
+    const container = document.getElementById('auditResults');
+    const instanceSelect = document.getElementById('auditInstance');
+    
+    const selectedInstance = instanceSelect.value;
+    instanceSelect.innerHTML = '<option value="">All machines</option>' + state.instances.map(instance =>
+        `<option value="${instance.id}" ${instance.id === selectedInstance ? 'selected' : ''}>${escapeHtml(instance.name)}</option>`
+    ).join('');
+    
+    container.innerHTML = '<div class="loading">Loading audit log...</div>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/audit?${getAuditParams()}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        renderAudit(result);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        container.innerHTML = `<div class="error">Error loading audit log: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// One line summary of what an audit entry did
+function getAuditDescription(entry) {
+    const parts = [];
+    if (entry.data && entry.data.state) {
+        parts.push(`${entry.data.state}${entry.data.group !== undefined ? ` group ${entry.data.group || 'default'}` : ''}`);
+    }
+    if (entry.changes && entry.changes.length > 0) {
+        parts.push(entry.changes.map(change => `${change.path}: ${JSON.stringify(change.from) ?? '-'} → ${JSON.stringify(change.to) ?? '-'}`).join(', '));
+    }
+    if (entry.attempted && entry.attempted.length > 0) {
+        parts.push('attempted ' + entry.attempted.map(change => `${change.path}: ${JSON.stringify(change.from) ?? '-'} → ${JSON.stringify(change.to) ?? '-'}`).join(', '));
+    }
+    if (entry.details) {
+        parts.push(Object.entries(entry.details).filter(([, value]) => value !== undefined).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', '));
+    }
+    if (entry.method) {
+        parts.push(`${entry.method} ${entry.path} (${entry.status})`);
+    }
+    if (entry.error) {
+        parts.push(entry.error);
+    }
+    if (entry.repeated) {
+        parts.push(`${entry.repeated} identical failure${entry.repeated === 1 ? '' : 's'} before this one not listed`);
+    }
+    return parts.join(' • ');
+}
+
+function renderAudit(result) {
+    const container = document.getElementById('auditResults');
+    
+    if (result.entries.length === 0) {
+        container.innerHTML = '<div class="loading">No audit entries for these filters</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <p style="color: var(--text-secondary); margin-bottom: 10px;">
+            ${result.total} entries${result.total > result.entries.length ? `, showing the latest ${result.entries.length}` : ''}
+        </p>
+        <table class="machine-table">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Who</th>
+                    <th>From</th>
+                    <th>Action</th>
+                    <th>Machine</th>
+                    <th>Result</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.entries.map(entry => `
+                    <tr>
+                        <td>${formatDateTime(entry.time)}</td>
+                        <td>${escapeHtml(entry.actor)}</td>
+                        <td>${escapeHtml(entry.ip || '-')}</td>
+                        <td>${escapeHtml(entry.action)}</td>
+                        <td>${escapeHtml(entry.instance || entry.instanceId || '-')}</td>
+                        <td>${entry.result ? `<span class="status-icon ${entry.result === 'success' ? 'running' : 'paused'}"></span> ${escapeHtml(entry.result)}` : '-'}</td>
+                        <td>${escapeHtml(getAuditDescription(entry))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
 async function showWorkUnitDetails(instanceId, wuIndex, queueIndex = 0) {
@@ -1082,6 +3069,168 @@ async function showWorkUnitDetails(instanceId, wuIndex, queueIndex = 0) {
 }
 
 // Helper function to get top rank category
+// Age of the server's cached copy of external stats (X-Cache-Age), and why it couldn't be refreshed
+function getCacheInfo(response) {
+    const age = parseInt(response.headers.get('X-Cache-Age'));
+    if (isNaN(age)) return null;
+    return { fetchedAt: Date.now() - age * 1000, error: response.headers.get('X-Cache-Error') };
+}
+
+function getCacheAgeHTML(cache) {
+    if (!cache) return '';
+    return cache.error
+        ? `<div class="cache-age unavailable" title="${escapeHtml(cache.error)}">Stats server unreachable, last updated ${formatRelativeTime(cache.fetchedAt)}</div>`
+        : `<div class="cache-age">Updated ${formatRelativeTime(cache.fetchedAt)}</div>`;
+}
+
+// Team page: the members around our user, the points to the next one up and down, and our place over time
+async function showTeamLeaderboard(teamNumber) {
+    const team = state.teams.find(t => t.number === teamNumber) || { number: teamNumber, name: `Team ${teamNumber}` };
+    const { username } = getFoldingUser();
+    
+    document.getElementById('teamLeaderboardModal')?.remove();
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'teamLeaderboardModal';
+    modal.innerHTML = `
+        <div class="modal-content large">
+            <div class="modal-header">
+                <h2>Leaderboard: ${escapeHtml(team.name)}</h2>
+                <button class="close-btn" onclick="this.closest('.modal').remove()">&times;</button>
+            </div>
+            <div class="modal-body" id="teamLeaderboard">
+                <div class="loading">Loading team members...</div>
+            </div>
+        </div>
+    `;
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+    });
+    document.body.appendChild(modal);
+    modal.style.display = 'flex';
+    
+    const container = modal.querySelector('#teamLeaderboard');
+    try {
+        const query = username && username !== 'Anonymous' ? `?user=${encodeURIComponent(username)}` : '';
+        const response = await fetch(`${API_BASE}/api/stats/team/${teamNumber}/members${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load team members');
+        }
+        container.innerHTML = renderTeamLeaderboard(data, username, getCacheInfo(response));
+    } catch (error) {
+        console.error(`Error loading members of team ${teamNumber}:`, error);
+        container.innerHTML = `<div class="error">Error loading team members: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderTeamLeaderboard(data, username, cache) {
+    const user = data.user;
+    let summaryHTML;
+    if (user) {
+        const first = data.history[0];
+        const change = first ? first.teamRank - user.teamRank : 0;
+        summaryHTML = `
+            <p style="margin-bottom: 15px;">
+                <strong>${escapeHtml(user.name)}</strong> is <strong>#${formatNumber(user.teamRank)}</strong> of ${formatNumber(data.total)} members
+                ${user.rank ? `<span style="color: var(--text-secondary);">(rank ${formatNumber(user.rank)} overall)</span>` : ''}
+                ${first && change !== 0 ? `<br><span style="color: ${change > 0 ? 'var(--success)' : 'var(--danger)'};">${change > 0 ? 'Up' : 'Down'} ${formatNumber(Math.abs(change))} place${Math.abs(change) === 1 ? '' : 's'} since ${formatDateTime(first.time)}</span>` : ''}
+            </p>
+            <div class="leaderboard-gaps">
+                <div class="leaderboard-gap">
+                    <div class="leaderboard-gap-label">Next up</div>
+                    ${user.above
+                        ? `<div>${escapeHtml(user.above.name)} (#${formatNumber(user.above.teamRank)})</div><div class="leaderboard-gap-points">${formatNumber(user.above.gap)} point${user.above.gap === 1 ? '' : 's'} ahead</div>`
+                        : '<div>Nobody, you lead the team</div>'}
+                </div>
+                <div class="leaderboard-gap">
+                    <div class="leaderboard-gap-label">Next down</div>
+                    ${user.below
+                        ? `<div>${escapeHtml(user.below.name)} (#${formatNumber(user.below.teamRank)})</div><div class="leaderboard-gap-points">${formatNumber(user.below.gap)} point${user.below.gap === 1 ? '' : 's'} behind</div>`
+                        : '<div>Nobody behind you yet</div>'}
+                </div>
+            </div>
+        `;
+    } else {
+        summaryHTML = `
+            <p style="margin-bottom: 15px; color: var(--text-secondary);">
+                ${formatNumber(data.total)} members.
+                ${username && username !== 'Anonymous'
+                    ? `${escapeHtml(username)} is not one of them.`
+                    : 'Configure your username in FAH client settings to find yourself in the team.'}
+            </p>
+        `;
+    }
+    
+    // Members are the top of the team and the ones around our user, mark the places left out
+    const rows = [];
+    data.members.forEach((member, index) => {
+        const previous = data.members[index - 1];
+        if (previous && member.teamRank > previous.teamRank + 1) {
+            rows.push('<tr><td colspan="5" style="text-align: center; color: var(--text-secondary);">…</td></tr>');
+        }
+        rows.push(`
+            <tr class="${user && member.teamRank === user.teamRank ? 'leaderboard-user' : ''}">
+                <td>#${formatNumber(member.teamRank)}</td>
+                <td>${escapeHtml(member.name)}</td>
+                <td>${formatNumber(member.score)}</td>
+                <td>${formatNumber(member.wus)}</td>
+                <td>${member.rank ? formatNumber(member.rank) : '--'}</td>
+            </tr>
+        `);
+    });
+    
+    const historyHTML = user ? `
+        <h3 style="margin: 20px 0 10px; font-size: 16px;">Place in Team</h3>
+        ${renderLineChart([{
+            label: 'Place',
+            color: CHART_COLORS[0],
+            points: [...data.history.map(entry => ({ t: entry.time, value: entry.teamRank })), { t: Date.now(), value: user.teamRank }]
+        }], Infinity, { height: 150, invert: true, formatValue: value => value < 1 ? '' : `#${formatNumber(value)}` })}
+    ` : '';
+    
+    return `
+        ${summaryHTML}
+        <table class="machine-table">
+            <thead>
+                <tr>
+                    <th>Place</th>
+                    <th>Name</th>
+                    <th>Points</th>
+                    <th>WUs</th>
+                    <th>Overall Rank</th>
+                </tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+        ${historyHTML}
+        ${getCacheAgeHTML(cache)}
+    `;
+}
+
+// One field per section of the EOC parser result
+const EOC_SECTION_FIELDS = ['totalPoints', 'conquests', 'monthlyProduction', 'weeklyProduction', 'dailyProduction', 'hourlyProduction'];
+const EOC_SECTION_LABELS = {
+    summary: 'Summary Statistics',
+    conquests: 'Conquests & Threats',
+    monthly: 'Monthly Production',
+    weekly: 'Weekly Production',
+    daily: 'Daily Production',
+    hourly: 'Hourly Production'
+};
+
+// Sections of the EOC page the server couldn't read, shown instead of empty tables
+function getEOCDiagnosticsHTML(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) return '';
+    return `
+        <div class="eoc-diagnostics">
+            ${diagnostics.map(({ section, message }) => `
+                <div>Parse failed: ${escapeHtml(EOC_SECTION_LABELS[section] || section)} <span>(${escapeHtml(message)})</span></div>
+            `).join('')}
+        </div>
+    `;
+}
+
 function getTopRankCategory(rank) {
     if (!rank || rank === 'N/A' || rank === 0) return null;
     if (rank <= 10) return 'Top 10';
@@ -1092,6 +3241,21 @@ function getTopRankCategory(rank) {
     return null;
 }
 
+// Get username and team from first connected machine's config
+function getFoldingUser() {
+    let username = null;
+    let teamNumber = null;
+    
+    for (const machine of state.machines) {
+        if (machine.connected && machine.config) {
+            username = machine.config.user || null;
+            teamNumber = machine.config.team || null;
+            if (username) break; // Use first machine with username
+        }
+    }
+    return { username, teamNumber };
+}
+
 async function loadStats() {
     const container = document.getElementById('statsData');
     
@@ -1109,23 +3273,11 @@ async function loadStats() {
     container.innerHTML = '<div class="loading">Loading statistics...</div>';
     
     try {
-        // Get username and team from first connected machine's config
-        let username = null;
-        let teamNumber = null;
-        
-        console.log('Loading stats, machines:', state.machines.length);
-        for (const machine of state.machines) {
-            if (machine.connected && machine.config) {
-                console.log('Checking machine config:', machine.config);
-                username = machine.config.user || null;
-                teamNumber = machine.config.team || null;
-                console.log('Found username:', username, 'team:', teamNumber);
-                if (username) break; // Use first machine with username
-            }
-        }
+        const { username, teamNumber } = getFoldingUser();
 
         // Fetch user stats if username is available
         let userStats = null;
+        let userStatsCache = null;
         if (username && username !== 'Anonymous') {
             try {
                 const statsUrl = teamNumber 
@@ -1136,6 +3288,7 @@ async function loadStats() {
                 console.log('User stats response status:', response.status);
                 if (response.ok) {
                     userStats = await response.json();
+                    userStatsCache = getCacheInfo(response);
                     console.log('User stats received:', userStats);
                 } else {
                     const errorText = await response.text();
@@ -1164,7 +3317,8 @@ async function loadStats() {
                         tscore: data.score || 0,
                         twus: data.wus || 0,
                         trank: data.rank || null,
-                        logo: data.logo || null
+                        logo: data.logo || null,
+                        cache: getCacheInfo(response)
                     };
                 } else {
                     const errorText = await response.text();
@@ -1206,6 +3360,7 @@ async function loadStats() {
                     <h2 style="font-size: 16px; margin-top: 20px; margin-bottom: 10px; color: var(--text-primary);">Active Clients</h2>
                     <div style="color: var(--text-secondary); margin-bottom: 5px;">${userStats.active_7 || 0} active clients within 7 days</div>
                     <div style="color: var(--text-secondary);">${userStats.active_50 || 0} active clients within 50 days</div>
+                    ${getCacheAgeHTML(userStatsCache)}
                 </div>
             `;
         } else {
@@ -1257,6 +3412,8 @@ async function loadStats() {
                             <div style="color: var(--text-secondary); margin-bottom: 5px;">${userContributionPoints.toLocaleString()} points (${pointsPercent}%)</div>
                             <div style="color: var(--text-secondary);">${userContributionWUs.toLocaleString()} WUs (${wusPercent}%)</div>
                         ` : ''}
+                        ${getCacheAgeHTML(team.cache)}
+                        <button class="btn btn-info" style="margin-top: 15px;" onclick="showTeamLeaderboard(${team.number})">Leaderboard</button>
                     </div>
                 `;
             });
@@ -1304,8 +3461,7 @@ async function loadEOCStats(container) {
     const eocContainer = container.querySelector('#eocStats');
     if (!eocContainer) return;
     
-    // Get EOC user ID from localStorage
-    const eocUserId = localStorage.getItem('fah-eoc-user-id');
+    const eocUserId = state.eocUserId;
     
     if (!eocUserId) {
         eocContainer.innerHTML = `
@@ -1332,12 +3488,17 @@ async function loadEOCStats(container) {
         }
         
         const eocStats = await response.json();
+        const eocCache = getCacheInfo(response);
+        
+        const diagnosticsHTML = getEOCDiagnosticsHTML(eocStats.diagnostics);
         
-        if (!eocStats || Object.keys(eocStats).length === 0) {
+        if (!EOC_SECTION_FIELDS.some(field => eocStats[field] !== undefined)) {
             eocContainer.innerHTML = `
                 <div style="text-align: center; color: var(--text-secondary); padding: 20px;">
                     No EOC stats available for this user ID.
                 </div>
+                ${diagnosticsHTML}
+                ${getCacheAgeHTML(eocCache)}
             `;
             return;
         }
@@ -1374,7 +3535,7 @@ async function loadEOCStats(container) {
                                 <td style="padding: 10px; text-align: right; color: var(--text-primary);">${formatNumber(eocStats.pointsWeek || 0)}</td>
                                 <td style="padding: 10px; text-align: right; color: var(--text-primary); font-weight: 600;">${formatNumber(eocStats.totalPoints || 0)}</td>
                                 <td style="padding: 10px; text-align: right; color: var(--text-primary); font-weight: 600;">${formatNumber(eocStats.totalWUs || 0)}</td>
-                                <td style="padding: 10px; text-align: right; color: var(--text-primary);">${eocStats.firstRecord || 'N/A'}</td>
+                                <td style="padding: 10px; text-align: right; color: var(--text-primary);">${escapeHtml(eocStats.firstRecord || 'N/A')}</td>
                             </tr>
                         </tbody>
                     </table>
@@ -1405,11 +3566,11 @@ async function loadEOCStats(container) {
                                 const rowColor = isCurrent ? 'var(--accent)' : (isConquest ? 'var(--accent)' : '#ff6b6b');
                                 return `
                                     <tr style="border-bottom: 1px solid var(--border); ${idx % 2 === 0 ? 'background: var(--bg-tertiary);' : ''}">
-                                        <td style="padding: 10px; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${entry.name}</td>
+                                        <td style="padding: 10px; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${escapeHtml(entry.name)}</td>
                                         <td style="padding: 10px; text-align: right; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${entry.rankDiff > 0 ? '+' : ''}${formatNumber(entry.rankDiff)}</td>
                                         <td style="padding: 10px; text-align: right; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${entry.pointsDiff > 0 ? '+' : ''}${formatNumber(entry.pointsDiff)}</td>
                                         <td style="padding: 10px; text-align: right; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${formatNumber(entry.gainDaily)}</td>
-                                        <td style="padding: 10px; text-align: right; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${entry.dateOvertake || '--'}</td>
+                                        <td style="padding: 10px; text-align: right; color: ${isCurrent ? rowColor : 'var(--text-primary)'}; font-weight: ${isCurrent ? '600' : '400'};">${escapeHtml(entry.dateOvertake || '--')}</td>
                                     </tr>
                                 `;
                             }).join('')}
@@ -1469,7 +3630,7 @@ async function loadEOCStats(container) {
                                     <tbody>
                                         ${eocStats.monthlyProduction.map((entry, idx) => `
                                             <tr style="border-bottom: 1px solid var(--border); ${idx % 2 === 0 ? 'background: var(--bg-tertiary);' : ''}">
-                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${entry.month}</td>
+                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${escapeHtml(entry.month)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.points)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.wus)}</td>
                                             </tr>
@@ -1492,7 +3653,7 @@ async function loadEOCStats(container) {
                                     <tbody>
                                         ${eocStats.weeklyProduction.map((entry, idx) => `
                                             <tr style="border-bottom: 1px solid var(--border); ${idx % 2 === 0 ? 'background: var(--bg-tertiary);' : ''}">
-                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${entry.week}</td>
+                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${escapeHtml(entry.week)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.points)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.wus)}</td>
                                             </tr>
@@ -1515,7 +3676,7 @@ async function loadEOCStats(container) {
                                     <tbody>
                                         ${eocStats.dailyProduction.map((entry, idx) => `
                                             <tr style="border-bottom: 1px solid var(--border); ${idx % 2 === 0 ? 'background: var(--bg-tertiary);' : ''}">
-                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${entry.day}</td>
+                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${escapeHtml(entry.day)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.points)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.wus)}</td>
                                             </tr>
@@ -1538,7 +3699,7 @@ async function loadEOCStats(container) {
                                     <tbody>
                                         ${eocStats.hourlyProduction.map((entry, idx) => `
                                             <tr style="border-bottom: 1px solid var(--border); ${idx % 2 === 0 ? 'background: var(--bg-tertiary);' : ''}">
-                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${entry.time}</td>
+                                                <td style="padding: 8px; color: var(--text-primary); font-size: 12px;">${escapeHtml(entry.time)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.points)}</td>
                                                 <td style="padding: 8px; text-align: right; color: var(--text-primary); font-size: 12px;">${formatNumber(entry.wus)}</td>
                                             </tr>
@@ -1553,10 +3714,12 @@ async function loadEOCStats(container) {
         }
         
         eocContainer.innerHTML = `
+            ${diagnosticsHTML}
             ${mainStatsHTML}
             ${conquestsHTML}
             ${graphHTML}
             ${productionTablesHTML}
+            ${getCacheAgeHTML(eocCache)}
             <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid var(--border); text-align: center;">
                 <a href="https://folding.extremeoverclocking.com/user_summary.php?u=${eocUserId}" target="_blank" style="color: var(--accent); font-size: 12px; text-decoration: none;">
                     View full stats on Extreme Overclocking →
@@ -1682,7 +3845,8 @@ async function loadProjects() {
                     if (data && !data.error) {
                         return {
                             id: parseInt(projectId),
-                            ...data
+                            ...data,
+                            cache: getCacheInfo(response)
                         };
                     }
                 }
@@ -1756,8 +3920,9 @@ async function loadProjects() {
                             ''
                         }
                     </div>
-                    <div class="project-footer" style="margin-top: 15px; padding-top: 15px; border-top: 1px solid var(--border);">
+                    <div class="project-footer" style="margin-top: 15px; padding-top: 15px; border-top: 1px solid var(--border); display: flex; justify-content: space-between; align-items: center;">
                         <a href="#" class="project-expand" data-project-id="${projectId}" style="color: var(--accent); cursor: pointer; text-decoration: none;">+ Expand</a>
+                        ${getCacheAgeHTML(project.cache)}
                     </div>
                 </div>
             `;
@@ -1806,22 +3971,28 @@ function toggleProject(projectId) {
 
 // Make function available globally
 window.toggleProject = toggleProject;
+window.showTeamLeaderboard = showTeamLeaderboard;
+
+// Send a state command to a machine
+// Throws if the client did not apply it (the server waits for the state change)
+async function sendMachineCommand(instanceId, endpoint) {
+    const response = await fetch(`${API_BASE}/api/fah/${instanceId}/${endpoint}`, { method: 'POST' });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.error) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result;
+}
 
-async function foldAll() {
-    // Optimistically update all machines to unpaused
-    state.machines.forEach(machine => {
-        if (machine.connected) {
-            machine.isPaused = false;
-        }
-    });
-    renderMachines();
-    
-    // Send commands in the background
+// Send the same command to every enabled instance and report the ones that failed
+async function sendCommandToAll(endpoint, actionName) {
+    const failures = [];
     const promises = state.instances.filter(i => i.enabled).map(async (instance) => {
         try {
-            await fetch(`${API_BASE}/api/fah/${instance.id}/unpause`, { method: 'POST' });
+            await sendMachineCommand(instance.id, endpoint);
         } catch (error) {
-            console.error(`Error folding ${instance.name}:`, error);
+            console.error(`Error ${actionName} ${instance.name}:`, error);
+            failures.push(`${instance.name}: ${error.message}`);
         }
     });
     
@@ -1829,74 +4000,144 @@ async function foldAll() {
     
     // Refresh data in the background to confirm state
     refreshData().catch(error => {
-        console.error('Error refreshing after fold all:', error);
+        console.error(`Error refreshing after ${actionName} all:`, error);
     });
+    
+    if (failures.length > 0) {
+        alert(`Some machines did not respond:\n\n${failures.join('\n')}`);
+    }
 }
 
-async function pauseAll() {
-    // Optimistically update all machines to paused
+async function foldAll() {
+    // Optimistically update all machines to unpaused
     state.machines.forEach(machine => {
         if (machine.connected) {
-            machine.isPaused = true;
+            machine.isPaused = false;
+            machine.isFinishing = false;
         }
     });
     renderMachines();
     
-    // Send commands in the background
-    const promises = state.instances.filter(i => i.enabled).map(async (instance) => {
-        try {
-            await fetch(`${API_BASE}/api/fah/${instance.id}/pause`, { method: 'POST' });
-        } catch (error) {
-            console.error(`Error pausing ${instance.name}:`, error);
+    await sendCommandToAll('unpause', 'folding');
+}
+
+async function finishAll() {
+    // Optimistically mark all machines as finishing
+    state.machines.forEach(machine => {
+        if (machine.connected) {
+            machine.isPaused = false;
+            machine.isFinishing = true;
         }
     });
+    renderMachines();
     
-    await Promise.all(promises);
-    
-    // Refresh data in the background to confirm state
-    refreshData().catch(error => {
-        console.error('Error refreshing after pause all:', error);
+    await sendCommandToAll('finish', 'finishing');
+}
+
+async function pauseAll() {
+    // Optimistically update all machines to paused
+    state.machines.forEach(machine => {
+        if (machine.connected) {
+            machine.isPaused = true;
+            machine.isFinishing = false;
+        }
     });
+    renderMachines();
+    
+    await sendCommandToAll('pause', 'pausing');
 }
 
 async function toggleMachine(instanceId) {
-    // Toggle pause/unpause for a specific machine
+    // Toggle pause/unpause for a specific machine (a finishing machine is resumed)
+    const machine = state.machines.find(m => m.instanceId === instanceId);
+    if (!machine) return;
+    
+    const previous = { isPaused: machine.isPaused, isFinishing: machine.isFinishing };
+    const resume = machine.isPaused || machine.isFinishing;
+    
+    // Optimistically update the UI immediately
+    machine.isPaused = !resume;
+    machine.isFinishing = false;
+    renderMachines();
+    
     try {
-        // Find the machine in our state
-        const machine = state.machines.find(m => m.instanceId === instanceId);
-        if (!machine) return;
-        
-        const isCurrentlyPaused = machine.isPaused;
-        const newPausedState = !isCurrentlyPaused;
-        
-        // Optimistically update the UI immediately
-        machine.isPaused = newPausedState;
-        renderMachines();
-        
-        // Send the command in the background
-        if (isCurrentlyPaused) {
-            // Resume/unpause
-            await fetch(`${API_BASE}/api/fah/${instanceId}/unpause`, { method: 'POST' });
-        } else {
-            // Pause
-            await fetch(`${API_BASE}/api/fah/${instanceId}/pause`, { method: 'POST' });
-        }
+        // Resolves once the client applied the command
+        await sendMachineCommand(instanceId, resume ? 'unpause' : 'pause');
         
         // Refresh data in the background to confirm state (don't await, let it run async)
         refreshData().catch(error => {
             console.error('Error refreshing after toggle:', error);
             // If refresh fails, revert optimistic update
-            machine.isPaused = isCurrentlyPaused;
+            Object.assign(machine, previous);
             renderMachines();
         });
     } catch (error) {
         console.error('Error toggling machine:', error);
         // Revert optimistic update on error
-        const machine = state.machines.find(m => m.instanceId === instanceId);
-        if (machine) {
-            machine.isPaused = !machine.isPaused;
-            renderMachines();
+        Object.assign(machine, previous);
+        renderMachines();
+        alert(`${machine.name} did not ${resume ? 'resume' : 'pause'}: ${error.message}`);
+    }
+}
+
+async function finishMachine(instanceId) {
+    // Finish the current work units, then stop
+    const machine = state.machines.find(m => m.instanceId === instanceId);
+    if (!machine || !machine.connected) return;
+    
+    const previous = { isPaused: machine.isPaused, isFinishing: machine.isFinishing };
+    
+    // Optimistically update the UI immediately
+    machine.isPaused = false;
+    machine.isFinishing = true;
+    renderMachines();
+    
+    try {
+        await sendMachineCommand(instanceId, 'finish');
+        
+        refreshData().catch(error => {
+            console.error('Error refreshing after finish:', error);
+        });
+    } catch (error) {
+        console.error('Error finishing machine:', error);
+        // Revert optimistic update on error
+        Object.assign(machine, previous);
+        renderMachines();
+        alert(`${machine.name} did not switch to finish: ${error.message}`);
+    }
+}
+
+async function controlGroup(instanceId, encodedGroup, action) {
+    // Fold, pause or finish a single resource group
+    const machine = state.machines.find(m => m.instanceId === instanceId);
+    const groupName = decodeURIComponent(encodedGroup);
+    const group = machine && machine.groups && machine.groups[groupName];
+    if (!group) return;
+    
+    const config = group.config || (group.config = {});
+    const previous = { paused: config.paused, finish: config.finish };
+    
+    // Optimistically update the UI immediately
+    config.paused = action === 'pause';
+    config.finish = action === 'finish';
+    renderMachine(machine);
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/fah/${instanceId}/groups/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ group: groupName })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.error) {
+            throw new Error(result.message || result.error || `HTTP ${response.status}`);
         }
+    } catch (error) {
+        console.error(`Error sending ${action} to group ${groupName || 'Default'}:`, error);
+        // Revert optimistic update on error
+        Object.assign(config, previous);
+        renderMachine(machine);
+        alert(`Group ${groupName || 'Default'} on ${machine.name} did not ${action}: ${error.message}`);
     }
 }
 
@@ -2272,8 +4513,9 @@ async function saveMachineSettings() {
             body: JSON.stringify({ config })
         });
         
-        if (!response.ok) {
-            throw new Error('Failed to save settings');
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.error) {
+            throw new Error(result.message || 'Failed to save settings');
         }
         
         // Close modal and refresh
@@ -3078,8 +5320,8 @@ async function showWorkUnitDetails(instanceId, unitIndex) {
     const clone = wu.clone || assign.clone || 'N/A';
     const gen = wu.gen || assign.gen || 'N/A';
     const rcg = `${run},${clone},${gen}`;
-    const status = getStatusText(unit);
-    const statusClass = getStatusClass(unit);
+    const status = getStatusText(unit, machine);
+    const statusClass = getStatusClass(unit, machine);
     const machineName = machine.name || 'N/A';
     const os = machine.info?.os || unit.os || 'N/A';
     
@@ -3332,6 +5574,7 @@ function escapeHtml(text) {
 }
 
 function startAutoRefresh() {
+    if (state.refreshInterval) return;
     // Refresh data every 5 seconds, but update DOM incrementally
     state.refreshInterval = setInterval(() => {
         // Only refresh data, renderMachines will do incremental updates
@@ -3341,9 +5584,316 @@ function startAutoRefresh() {
     }, 5000);
 }
 
+function stopAutoRefresh() {
+    if (state.refreshInterval) {
+        clearInterval(state.refreshInterval);
+        state.refreshInterval = null;
+    }
+}
+
+// Live updates: the server streams machine state over a WebSocket, polling is only
+// used as a fallback while that socket is down
+function connectLiveUpdates() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+    state.liveSocket = socket;
+
+    socket.addEventListener('open', () => {
+        stopAutoRefresh();
+    });
+
+    socket.addEventListener('message', (event) => {
+        try {
+            handleLiveMessage(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling live update:', error);
+        }
+    });
+
+    socket.addEventListener('close', () => {
+        state.liveSocket = null;
+        startAutoRefresh();
+        setTimeout(connectLiveUpdates, 5000);
+    });
+}
+
+// Alerts (raised by the server, pushed over the live socket)
+const ALERT_RULE_LABELS = {
+    offline: { label: 'Machine offline', fields: { minutes: 'Minutes offline' } },
+    stalled: { label: 'Work unit not progressing', fields: { minutes: 'Minutes running without progress', downloadMinutes: 'Minutes downloading', uploadMinutes: 'Minutes uploading', readyMinutes: 'Minutes ready but not started' } },
+    tpfRegression: { label: 'TPF regression', fields: { percent: '% slower than usual for the project' } },
+    failedUnits: { label: 'Repeated failed units', fields: { count: 'Failed units', hours: 'Within hours' } },
+    ppdFloor: { label: 'PPD below floor', fields: { ppd: 'PPD floor', minutes: 'For minutes' } }
+};
+
+async function loadAlerts() {
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts`);
+        const result = await response.json();
+        state.alerts = result.alerts || [];
+        updateAlertsBadge();
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+    }
+}
+
+function handleAlertMessage(event, alert) {
+    state.alerts = state.alerts.filter(a => a.id !== alert.id);
+    if (event !== 'resolved') {
+        state.alerts.unshift(alert);
+    }
+    updateAlertsBadge();
+    if (document.getElementById('alertsModal').classList.contains('active')) {
+        renderOpenAlerts();
+    }
+}
+
+function updateAlertsBadge() {
+    const badge = document.getElementById('alertsBadge');
+    const active = state.alerts.filter(alert => alert.state === 'active');
+    badge.textContent = active.length;
+    badge.style.display = active.length > 0 ? '' : 'none';
+    badge.classList.toggle('critical', active.some(alert => alert.severity === 'critical'));
+}
+
+function getAlertRowHTML(alert) {
+    return `
+        <div class="alert-row ${alert.severity}">
+            <div style="flex: 1;">
+                <div>${escapeHtml(alert.message)}</div>
+                <small style="color: var(--text-secondary);">
+                    ${escapeHtml(ALERT_RULE_LABELS[alert.rule] ? ALERT_RULE_LABELS[alert.rule].label : alert.rule)} •
+                    since ${formatRelativeTime(alert.firstSeen)}
+                    ${alert.state === 'acknowledged' ? ` • acknowledged ${formatRelativeTime(alert.acknowledgedAt)}` : ''}
+                    ${alert.state === 'resolved' ? ` • resolved ${formatDateTime(alert.resolvedAt)}` : ''}
+                </small>
+            </div>
+            ${alert.state === 'active' && hasRole('operator') ? `<button class="btn btn-info" onclick="acknowledgeAlert('${alert.id}')">Acknowledge</button>` : ''}
+        </div>
+    `;
+}
+
+function renderOpenAlerts() {
+    const container = document.getElementById('openAlerts');
+    container.innerHTML = state.alerts.length > 0
+        ? state.alerts.map(getAlertRowHTML).join('')
+        : '<p style="color: var(--text-secondary);">No open alerts.</p>';
+}
+
+async function showAlerts() {
+    document.getElementById('alertsModal').classList.add('active');
+    renderOpenAlerts();
+    
+    const historyContainer = document.getElementById('alertHistory');
+    const rulesContainer = document.getElementById('alertRules');
+    historyContainer.innerHTML = '<div class="loading">Loading history...</div>';
+    
+    try {
+        const [historyResponse, rulesResponse] = await Promise.all([
+            fetch(`${API_BASE}/api/alerts?state=resolved&limit=50`),
+            fetch(`${API_BASE}/api/alerts/rules`)
+        ]);
+        const history = await historyResponse.json();
+        const rules = await rulesResponse.json();
+        
+        historyContainer.innerHTML = history.alerts.length > 0
+            ? history.alerts.map(getAlertRowHTML).join('')
+            : '<p style="color: var(--text-secondary);">No resolved alerts.</p>';
+        
+        rulesContainer.innerHTML = Object.keys(ALERT_RULE_LABELS).map(rule => `
+            <div class="form-group alert-rule" data-rule="${rule}">
+                <label style="display: flex; align-items: center; gap: 8px; color: var(--text-primary);">
+                    <input type="checkbox" data-setting="enabled" ${rules[rule] && rules[rule].enabled ? 'checked' : ''} ${hasRole('admin') ? '' : 'disabled'} style="width: auto;">
+                    ${ALERT_RULE_LABELS[rule].label}
+                </label>
+                <div style="display: flex; gap: 10px;">
+                    ${Object.entries(ALERT_RULE_LABELS[rule].fields).map(([setting, label]) => `
+                        <div style="flex: 1;">
+                            <small style="color: var(--text-secondary);">${label}</small>
+                            <input type="number" min="0" data-setting="${setting}" value="${rules[rule] ? rules[rule][setting] : ''}" ${hasRole('admin') ? '' : 'disabled'}>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading alert details:', error);
+        historyContainer.innerHTML = `<div class="error">Error loading alerts: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function acknowledgeAlert(alertId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts/${alertId}/acknowledge`, { method: 'POST' });
+        const acknowledged = await response.json();
+        if (!response.ok) {
+            throw new Error(acknowledged.error || `HTTP ${response.status}`);
+        }
+        handleAlertMessage('acknowledged', acknowledged);
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        alert(`Error acknowledging alert: ${error.message}`);
+    }
+}
+
+async function saveAlertRules() {
+    const rules = {};
+    document.querySelectorAll('#alertRules .alert-rule').forEach(row => {
+        const rule = {};
+        row.querySelectorAll('input[data-setting]').forEach(input => {
+            rule[input.dataset.setting] = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+        });
+        rules[row.dataset.rule] = rule;
+    });
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts/rules`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rules)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        alert('Alert rules saved');
+    } catch (error) {
+        console.error('Error saving alert rules:', error);
+        alert(`Error saving alert rules: ${error.message}`);
+    }
+}
+
+function handleLiveMessage(message) {
+    if (message.type === 'snapshot') {
+        message.machines.forEach(({ instanceId, connected, status, state: machineState }) => {
+            setInstanceStatus(instanceId, status);
+            if (connected && machineState) {
+                state.machineStates[instanceId] = machineState;
+            } else {
+                delete state.machineStates[instanceId];
+            }
+            refreshMachine(instanceId, status && status.lastError);
+        });
+    } else if (message.type === 'status') {
+        setInstanceStatus(message.instanceId, message.status);
+        refreshMachine(message.instanceId, message.status.lastError);
+        renderInstancesList();
+    } else if (message.type === 'state') {
+        state.machineStates[message.instanceId] = message.state;
+        refreshMachine(message.instanceId);
+    } else if (message.type === 'update') {
+        const machineState = state.machineStates[message.instanceId];
+        // Deltas are meaningless without the full state they apply to
+        if (!machineState) return;
+        applyStateUpdate(machineState, message.update);
+        refreshMachine(message.instanceId);
+    } else if (message.type === 'disconnected') {
+        delete state.machineStates[message.instanceId];
+        refreshMachine(message.instanceId, message.error);
+    } else if (message.type === 'alert') {
+        handleAlertMessage(message.event, message.alert);
+    } else if (message.type === 'settings') {
+        // Global changes concern everyone, overrides only their owner
+        if (!message.username || (state.currentUser && message.username === state.currentUser.username)) {
+            loadSettings();
+        }
+    }
+}
+
+function setInstanceStatus(instanceId, status) {
+    const instance = state.instances.find(i => i.id === instanceId);
+    if (instance && status) {
+        instance.status = status;
+    }
+}
+
+// Rebuild one machine from its raw state and re-render only its card
+function refreshMachine(instanceId, error) {
+    const instance = state.instances.find(i => i.id === instanceId);
+    if (!instance || !instance.enabled) return;
+
+    const machineState = state.machineStates[instanceId];
+    const machine = machineState
+        ? buildMachine(instance, machineState)
+        : buildDisconnectedMachine(instance, error || 'Disconnected');
+
+    const index = state.machines.findIndex(m => m.instanceId === instanceId);
+    if (index === -1) {
+        state.machines.push(machine);
+    } else {
+        state.machines[index] = machine;
+    }
+
+    renderMachine(machine);
+    loadSummary();
+}
+
+/**
+ * Applies a FAH protocol update array (['path', 'to', 'field', newValue]) to a
+ * machine state in place. Mirrors applyStateUpdate() in server.js.
+ */
+function applyStateUpdate(machineState, update) {
+    if (!Array.isArray(update) || update.length < 2) return;
+
+    const normalizeKey = (key) => (typeof key === 'string' && key.length > 0 && key.length <= 16)
+        ? key.replace(/-/g, '_')
+        : key;
+
+    let target = machineState;
+    for (let i = 0; i < update.length - 2; i++) {
+        const key = normalizeKey(update[i]);
+        if (target[key] === undefined || target[key] === null) {
+            target[key] = Number.isInteger(update[i + 1]) ? [] : {};
+        }
+        target = target[key];
+        if (target === null || typeof target !== 'object') return;
+    }
+
+    const key = normalizeKey(update[update.length - 2]);
+    const value = update[update.length - 1];
+
+    if (Array.isArray(target)) {
+        if (key === -1) {
+            target.push(value);
+        } else if (key === -2) {
+            if (Array.isArray(value)) target.push(...value);
+        } else if (value === null) {
+            if (key >= 0 && key < target.length) target.splice(key, 1);
+        } else {
+            target[key] = value;
+        }
+    } else if (value === null) {
+        delete target[key];
+    } else {
+        target[key] = value;
+    }
+}
+
 // Make functions available globally for onclick handlers
 window.removeInstance = removeInstance;
 window.toggleMachine = toggleMachine;
+window.acknowledgeAlert = acknowledgeAlert;
+window.testWebhook = testWebhook;
+window.removeWebhook = removeWebhook;
+window.updateUserRole = updateUserRole;
+window.resetUserPassword = resetUserPassword;
+window.removeUser = removeUser;
+window.revokeToken = revokeToken;
+window.finishMachine = finishMachine;
+window.controlGroup = controlGroup;
+window.overrideSchedule = overrideSchedule;
+window.cancelScheduleOverride = cancelScheduleOverride;
+window.showMachineSchedules = showMachineSchedules;
+window.editSchedule = editSchedule;
+window.toggleSchedule = toggleSchedule;
+window.removeSchedule = removeSchedule;
+window.editInstance = editInstance;
+window.updateInstance = updateInstance;
+window.cancelInstanceEdit = cancelInstanceEdit;
+window.cancelDiscovery = cancelDiscovery;
+window.addDiscoveredInstances = addDiscoveredInstances;
+window.saveEnergyProfile = saveEnergyProfile;
+window.resetEnergyProfile = resetEnergyProfile;
 window.showWorkUnitDetails = showWorkUnitDetails;
 window.showWorkUnitLog = showWorkUnitLog;
 window.showMachineSettings = showMachineSettings;
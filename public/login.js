@@ -0,0 +1,69 @@
+// Login page, also used to create the first account
+let setupRequired = false;
+let setupTokenRequired = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const response = await fetch('/api/auth/status');
+        const status = await response.json();
+        if (status.authenticated) {
+            window.location.href = '/';
+            return;
+        }
+        setupRequired = status.setupRequired;
+        setupTokenRequired = !!status.setupTokenRequired;
+    } catch (error) {
+        showError('Could not reach the server');
+    }
+    
+    if (setupRequired) {
+        document.getElementById('loginTitle').textContent = 'Create Account';
+        document.getElementById('setupNotice').style.display = 'block';
+        document.getElementById('confirmGroup').style.display = 'block';
+        document.getElementById('confirmPassword').required = true;
+        document.getElementById('password').autocomplete = 'new-password';
+        document.getElementById('loginSubmit').textContent = 'Create Account';
+        if (setupTokenRequired) {
+            document.getElementById('setupTokenGroup').style.display = 'block';
+            document.getElementById('setupToken').required = true;
+        }
+    }
+    
+    document.getElementById('loginForm').addEventListener('submit', login);
+});
+
+async function login(e) {
+    e.preventDefault();
+    const username = document.getElementById('username').value.trim();
+    const password = document.getElementById('password').value;
+    
+    if (setupRequired && password !== document.getElementById('confirmPassword').value) {
+        showError('Passwords do not match');
+        return;
+    }
+    
+    try {
+        const response = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(setupRequired
+                ? { username, password, token: document.getElementById('setupToken').value.trim() }
+                : { username, password })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showError(result.error || 'Login failed');
+            return;
+        }
+        window.location.href = '/';
+    } catch (error) {
+        showError('Login failed: ' + error.message);
+    }
+}
+
+function showError(message) {
+    const element = document.getElementById('loginError');
+    element.textContent = message;
+    element.style.display = 'block';
+}
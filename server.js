@@ -3,36 +3,626 @@ const cors = require('cors');
 const axios = require('axios');
 const path = require('path');
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const WebSocket = require('ws');
 const fs = require('fs').promises;
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const util = require('util');
+const { parseEOCUserSummary } = require('./eoc-parser');
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
+// Directory for instances.json and the other data files (defaults to the app directory)
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
 
 // File to store instances
-const INSTANCES_FILE = path.join(__dirname, 'instances.json');
+const INSTANCES_FILE = path.join(DATA_DIR, 'instances.json');
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Backup bundles can be larger than the default 100kb
+app.use(express.json({ limit: '5mb' }));
+
+// Authentication
+// Local user accounts (users.json, scrypt password hashes) with session cookies.
+// AUTH_MODE=localhost lets requests from this machine through without logging in
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const AUTH_MODE = process.env.AUTH_MODE === 'localhost' ? 'localhost' : 'users';
+const SESSION_COOKIE = 'fc_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+const PUBLIC_API_PATHS = ['/api/auth/status', '/api/auth/login', '/api/auth/logout', '/api/auth/setup'];
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+// API tokens get the role matching their scope
+const TOKEN_SCOPES = { read: 'viewer', control: 'operator', admin: 'admin' };
+const TOKEN_PREFIX = 'fct_';
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const MIN_PASSWORD_LENGTH = 8;
+// Last-used times are kept in memory and written to tokens.json at most this often
+const TOKEN_USAGE_SAVE_DELAY = 10 * 60 * 1000;
+const scrypt = util.promisify(crypto.scrypt);
+let users = [];
+// Session token -> {username, expiresAt}
+const sessions = new Map();
+// Client address -> {count, resetAt}
+const failedLogins = new Map();
+let apiTokens = [];
+let tokensSaveTimer = null;
+// Printed to the console while no account exists; creating the first account
+// from another machine needs it, so whoever reaches the port first can't take over
+let setupToken = null;
+
+async function loadUsers() {
+  try {
+    users = JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
+    // Accounts created before roles existed had full access
+    users.forEach(user => {
+      if (!ROLES.includes(user.role)) {
+        user.role = 'admin';
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading users:', error.message);
+    }
+  }
+  if (users.length === 0) {
+    setupToken = crypto.randomBytes(16).toString('hex');
+    console.log('No user accounts yet, open the web interface to create the first one');
+    console.log(`Setup token (only needed when not opened from this machine): ${setupToken}`);
+  }
+}
+
+async function saveUsers() {
+  try {
+    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    console.error('Error saving users:', error.message);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const candidate = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(candidate, expected);
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      // Skip malformed values instead of failing the whole request
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore
+      }
+    }
+  });
+  return cookies;
+}
+
+// Only trust the socket address, a reverse proxy on this machine would look local too
+function isLoopback(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function createSession(res, req, username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expiresAt: Date.now() + SESSION_TTL });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: SESSION_TTL,
+    path: '/'
+  });
+}
+
+// Returns the user making the request, or null
+function authenticate(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authenticateToken(authorization.slice(7).trim(), req);
+  }
+  
+  const token = parseCookies(req)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (session) {
+    const user = users.find(u => u.username === session.username);
+    if (user && session.expiresAt > Date.now()) {
+      session.expiresAt = Date.now() + SESSION_TTL;
+      return user;
+    }
+    sessions.delete(token);
+  }
+  if (AUTH_MODE === 'localhost' && isLoopback(req)) {
+    return { username: 'localhost', role: 'admin', local: true };
+  }
+  return null;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Route middleware: reject users below the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Every API route (and /metrics) requires a user, the login endpoints excepted
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/api/') && req.path !== '/metrics') {
+    return next();
+  }
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  const user = authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required', setupRequired: users.length === 0 });
+  }
+  req.user = user;
+  // Reads (dashboards, /metrics scrapes) are not worth an audit line each
+  if (user.token && req.method !== 'GET' && req.method !== 'HEAD') {
+    res.on('finish', () => {
+      appendAudit({
+        ...getAuditActor(req),
+        action: 'api.request',
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      });
+    });
+  }
+  next();
+});
+
+// Send browsers that aren't logged in to the login page
+app.use((req, res, next) => {
+  if ((req.path === '/' || req.path === '/index.html') && !authenticate(req)) {
+    return res.redirect('/login.html');
+  }
+  next();
+});
+
+// Who is logged in, and whether the first account still has to be created
+app.get('/api/auth/status', (req, res) => {
+  const user = authenticate(req);
+  res.json({
+    authenticated: !!user,
+    username: user ? user.username : null,
+    role: user ? user.role : null,
+    authMode: AUTH_MODE,
+    setupRequired: users.length === 0,
+    setupTokenRequired: users.length === 0 && !isLoopback(req)
+  });
+});
+
+// Create the first account (only while there are none)
+app.post('/api/auth/setup', async (req, res) => {
+  const { username, password, token } = req.body;
+  
+  if (users.length > 0) {
+    return res.status(409).json({ error: 'Setup has already been completed' });
+  }
+  
+  if (!isLoopback(req) && (!setupToken || typeof token !== 'string' || hashToken(token.trim()) !== hashToken(setupToken))) {
+    return res.status(403).json({ error: 'Enter the setup token printed in the server console' });
+  }
+  
+  if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Username and a password of at least ${MIN_PASSWORD_LENGTH} characters are required` });
+  }
+  
+  // The first account manages everything else. Hashing is async, so check again right
+  // before adding it: of two setups sent at once only the first may create an admin
+  const passwordHash = await hashPassword(password);
+  if (users.length > 0) {
+    return res.status(409).json({ error: 'Setup has already been completed' });
+  }
+  const user = { username: username.trim(), role: 'admin', passwordHash, createdAt: new Date().toISOString() };
+  users.push(user);
+  setupToken = null;
+  await saveUsers();
+  console.log(`Created user account ${user.username}`);
+  createSession(res, req, user.username);
+  res.json({ success: true, username: user.username });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  const client = req.socket.remoteAddress;
+  const attempts = failedLogins.get(client);
+  
+  if (attempts && attempts.resetAt < Date.now()) {
+    failedLogins.delete(client);
+  } else if (attempts && attempts.count >= LOGIN_ATTEMPTS) {
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
+  }
+  
+  const user = users.find(u => u.username === username);
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+    const failed = failedLogins.get(client) || { count: 0, resetAt: Date.now() + LOGIN_LOCKOUT };
+    failed.count++;
+    failedLogins.set(client, failed);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  
+  failedLogins.delete(client);
+  createSession(res, req, user.username);
+  res.json({ success: true, username: user.username });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) {
+    sessions.delete(token);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// Change the password of the logged in user
+app.post('/api/auth/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = users.find(u => u.username === req.user.username);
+  
+  if (!user) {
+    return res.status(400).json({ error: 'Not logged in with a user account' });
+  }
+  
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `The new password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  
+  user.passwordHash = await hashPassword(newPassword);
+  await saveUsers();
+  
+  // Log out every other session of this user
+  const currentToken = parseCookies(req)[SESSION_COOKIE];
+  for (const [token, session] of sessions) {
+    if (session.username === user.username && token !== currentToken) {
+      sessions.delete(token);
+    }
+  }
+  res.json({ success: true });
+});
+
+// User management (admins only)
+function getPublicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+function endSessions(username) {
+  for (const [token, session] of sessions) {
+    if (session.username === username) {
+      sessions.delete(token);
+    }
+  }
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(users.map(getPublicUser));
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { username, password, role } = req.body;
+  
+  if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Username and a password of at least ${MIN_PASSWORD_LENGTH} characters are required` });
+  }
+  
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  
+  if (users.some(u => u.username === username.trim())) {
+    return res.status(409).json({ error: 'A user with that name already exists' });
+  }
+  
+  const user = { username: username.trim(), role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+  users.push(user);
+  await saveUsers();
+  appendAudit({ ...getAuditActor(req), action: 'user.create', details: { username: user.username, role } });
+  res.json(getPublicUser(user));
+});
+
+// Change a user's role and/or reset their password
+app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+  const user = users.find(u => u.username === req.params.username);
+  const { role, password } = req.body;
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return res.status(400).json({ error: `The password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  if (role && role !== 'admin' && user.role === 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+    return res.status(400).json({ error: 'Cannot remove the admin role from the last admin' });
+  }
+  
+  if (role) {
+    user.role = role;
+  }
+  if (password) {
+    user.passwordHash = await hashPassword(password);
+    endSessions(user.username);
+  }
+  await saveUsers();
+  appendAudit({ ...getAuditActor(req), action: 'user.update', details: { username: user.username, role, passwordReset: !!password } });
+  res.json(getPublicUser(user));
+});
+
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+  const index = users.findIndex(u => u.username === req.params.username);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  if (users[index].role === 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+    return res.status(400).json({ error: 'Cannot delete the last admin' });
+  }
+  
+  const [user] = users.splice(index, 1);
+  endSessions(user.username);
+  await saveUsers();
+  if (dashboardSettings.users[user.username]) {
+    delete dashboardSettings.users[user.username];
+    await saveSettings();
+  }
+  appendAudit({ ...getAuditActor(req), action: 'user.delete', details: { username: user.username } });
+  res.json({ success: true });
+});
+
+// API tokens
+// Bearer tokens for scripts, stored as SHA-256 hashes in tokens.json. Only the creator sees the token itself
+async function loadTokens() {
+  try {
+    apiTokens = JSON.parse(await fs.readFile(TOKENS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading API tokens:', error.message);
+    }
+  }
+}
+
+async function saveTokens() {
+  try {
+    await fs.writeFile(TOKENS_FILE, JSON.stringify(apiTokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    console.error('Error saving API tokens:', error.message);
+  }
+}
+
+// Scripts may call the API in a loop, don't rewrite the file for every last-used update
+function scheduleTokensSave() {
+  if (tokensSaveTimer) return;
+  tokensSaveTimer = setTimeout(() => {
+    tokensSaveTimer = null;
+    saveTokens();
+  }, TOKEN_USAGE_SAVE_DELAY);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function authenticateToken(token, req) {
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const hash = hashToken(token);
+  const apiToken = apiTokens.find(t => t.hash === hash);
+  if (!apiToken) {
+    return null;
+  }
+  apiToken.lastUsedAt = new Date().toISOString();
+  apiToken.lastUsedIp = req.socket.remoteAddress;
+  scheduleTokensSave();
+  return { username: `token:${apiToken.name}`, role: TOKEN_SCOPES[apiToken.scope], token: apiToken };
+}
+
+function getPublicToken(apiToken) {
+  const { hash, ...publicToken } = apiToken;
+  return publicToken;
+}
+
+app.get('/api/tokens', requireRole('admin'), (req, res) => {
+  res.json(apiTokens.map(getPublicToken));
+});
+
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+  const { name, scope } = req.body;
+  
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  
+  if (!TOKEN_SCOPES[scope]) {
+    return res.status(400).json({ error: `scope must be one of: ${Object.keys(TOKEN_SCOPES).join(', ')}` });
+  }
+  
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const apiToken = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: name.trim(),
+    scope,
+    hint: token.slice(-4),
+    hash: hashToken(token),
+    createdBy: req.user.username,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    lastUsedIp: null
+  };
+  apiTokens.push(apiToken);
+  await saveTokens();
+  appendAudit({ ...getAuditActor(req), action: 'token.create', details: { id: apiToken.id, name: apiToken.name, scope } });
+  
+  // The only time the token is returned
+  res.json({ ...getPublicToken(apiToken), token });
+});
+
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+  const index = apiTokens.findIndex(t => t.id === req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  
+  const [apiToken] = apiTokens.splice(index, 1);
+  await saveTokens();
+  appendAudit({ ...getAuditActor(req), action: 'token.revoke', details: { id: apiToken.id, name: apiToken.name } });
+  res.json({ success: true });
+});
+
+// Audit trail
+// One JSON object per line in audit.log, only ever appended to.
+// Entries: time, actor (username, token:<name>, mqtt or system), tokenId, ip, action and action specific fields
+const AUDIT_REDACTED_KEYS = ['passkey'];
+// Identical failed commands (e.g. retries against an offline machine) are written once per interval
+const AUDIT_REPEAT_INTERVAL = 15 * 60 * 1000;
+// Failed command signature -> {loggedAt, repeated}
+const failedCommandAudits = new Map();
+
+async function appendAudit(entry) {
+  try {
+    await fs.appendFile(AUDIT_FILE, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+}
+
+// Who made a request, for audit entries and fahWebSocketCommand's options.actor
+function getAuditActor(req) {
+  const actor = { actor: req.user.username, ip: req.socket.remoteAddress };
+  if (req.user.token) {
+    actor.tokenId = req.user.token.id;
+  }
+  return actor;
+}
+
+// Global and per-group config of a machine state, the part of it commands change
+function getAuditConfig(machineState) {
+  if (!machineState) return null;
+  const groups = {};
+  Object.entries(machineState.groups || {}).forEach(([name, group]) => {
+    groups[name] = group.config || {};
+  });
+  return { ...(machineState.config || {}), groups };
+}
+
+// Config with a command's partial config applied on top, groups merged by name
+function mergeConfig(base, patch) {
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const merged = { ...(base || {}) };
+  Object.entries(patch || {}).forEach(([key, value]) => {
+    merged[key] = isObject(value) && isObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+  });
+  return merged;
+}
+
+// Changed leaves between two configs as [{path, from, to}]
+function diffConfig(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    // The default resource group is named ''
+    const name = key === '' ? '""' : key;
+    const keyPath = prefix ? `${prefix}.${name}` : name;
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(from) || isObject(to)) {
+      changes.push(...diffConfig(isObject(from) ? from : {}, isObject(to) ? to : {}, keyPath));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      const redact = value => AUDIT_REDACTED_KEYS.includes(key) && value !== undefined ? '[redacted]' : value;
+      changes.push({ path: keyPath, from: redact(from), to: redact(to) });
+    }
+  });
+  return changes;
+}
+
+async function readAudit() {
+  try {
+    const content = await fs.readFile(AUDIT_FILE, 'utf8');
+    return content.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Store configured instances
 // FAH v8.4 default port is 7396 (not 36330)
-let instances = [
-  { id: 'local', name: 'Local Instance', host: '127.0.0.1', port: 7396, enabled: true }
-];
+const DEFAULT_LOCAL_INSTANCE = { id: 'local', name: 'Local Instance', host: '127.0.0.1', port: 7396, enabled: true };
+let instances = [{ ...DEFAULT_LOCAL_INSTANCE }];
 
 // Load instances from file
 async function loadInstances() {
   try {
     const data = await fs.readFile(INSTANCES_FILE, 'utf8');
     const savedInstances = JSON.parse(data);
-    // Merge with default local instance (always keep local)
+    // Merge with default local instance (always keep local); only its name and
+    // enabled flag are saved, and only once they were changed
     const localInstance = instances.find(i => i.id === 'local');
+    const savedLocal = savedInstances.find(i => i.id === 'local');
+    if (savedLocal) {
+      if (typeof savedLocal.name === 'string' && savedLocal.name.trim()) localInstance.name = savedLocal.name;
+      if (typeof savedLocal.enabled === 'boolean') localInstance.enabled = savedLocal.enabled;
+    }
     instances = [localInstance, ...savedInstances.filter(i => i.id !== 'local')];
-    console.log(`Loaded ${savedInstances.length} saved instance(s)`);
+    console.log(`Loaded ${instances.length - 1} saved instance(s)`);
   } catch (error) {
     if (error.code === 'ENOENT') {
       // File doesn't exist yet, that's okay - use defaults
@@ -46,9 +636,13 @@ async function loadInstances() {
 // Save instances to file
 async function saveInstances() {
   try {
-    // Don't save the local instance (it's always there by default)
+    // Don't save the local instance (it's always there by default), except a changed name or enabled flag
     const instancesToSave = instances.filter(i => i.id !== 'local');
-    await fs.writeFile(INSTANCES_FILE, JSON.stringify(instancesToSave, null, 2), 'utf8');
+    const { name, enabled } = instances.find(i => i.id === 'local');
+    const localOverride = name !== DEFAULT_LOCAL_INSTANCE.name || enabled !== DEFAULT_LOCAL_INSTANCE.enabled
+      ? [{ id: 'local', name, enabled }]
+      : [];
+    await fs.writeFile(INSTANCES_FILE, JSON.stringify([...localOverride, ...instancesToSave], null, 2), 'utf8');
     console.log(`Saved ${instancesToSave.length} instance(s) to ${INSTANCES_FILE}`);
   } catch (error) {
     console.error('Error saving instances:', error.message);
@@ -59,6 +653,10 @@ async function saveInstances() {
 const fahConnections = new Map();
 // Store initial machine data for each connection
 const machineData = new Map();
+// Emits 'state', 'update', 'disconnected' and 'status' as machine state changes,
+// 'unitEnded' when a work unit leaves a client queue, 'alert' when alerts change
+// and 'instanceRemoved' when an instance is deleted
+const machineEvents = new EventEmitter();
 
 /**
  * Normalizes property keys for FAH protocol compatibility.
@@ -175,68 +773,236 @@ function applyStateUpdate(currentState, updateArray) {
   return state;
 }
 
-// Helper function to get or create WebSocket connection to FAH client
+// Connection supervision
+// Every enabled instance has a supervisor that keeps a WebSocket open to the FAH
+// client, reconnecting in the background with exponential backoff and jitter.
 // FAH v8.4 uses ws://host:port/api/websocket
-function getFAHConnection(instanceId, host, port) {
-  const key = `${instanceId}:${host}:${port}`;
-  
-  if (fahConnections.has(key)) {
-    const conn = fahConnections.get(key);
-    if (conn.readyState === WebSocket.OPEN) {
-      return Promise.resolve(conn);
+const CONNECT_TIMEOUT = 5000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+const HEARTBEAT_INTERVAL = 15000;
+// Connections opened on demand to instances that aren't enabled close after this long unused
+const ON_DEMAND_IDLE_TIMEOUT = 30000;
+
+// Supervisors keyed by instance ID
+const supervisors = new Map();
+// Connection status keyed by instance ID
+// state: connecting | online | degraded | offline | auth-refused | disabled
+const connectionStatus = new Map();
+
+function getConnectionStatus(instanceId) {
+  return connectionStatus.get(instanceId) || {
+    state: 'offline',
+    since: null,
+    lastSeen: null,
+    lastError: null,
+    lastErrorAt: null,
+    nextRetryAt: null
+  };
+}
+
+function setConnectionState(instanceId, state, changes = {}) {
+  const previous = getConnectionStatus(instanceId);
+  const status = {
+    ...previous,
+    ...changes,
+    state,
+    since: previous.state === state ? previous.since : new Date().toISOString()
+  };
+  connectionStatus.set(instanceId, status);
+  if (previous.state !== state || changes.lastError) {
+    machineEvents.emit('status', { instanceId, status, previousState: previous.state });
+  }
+}
+
+// Handles a message from a FAH client and updates the stored machine state
+function handleFAHMessage(instanceId, key, rawData) {
+  try {
+    const data = JSON.parse(rawData.toString());
+    let currentState = machineData.get(key);
+    
+    // Initialize state if it doesn't exist
+    if (!currentState || typeof currentState !== 'object') {
+      currentState = {};
+    }
+    
+    if (Array.isArray(data)) {
+      // This is an update array - apply it to current state
+      // Deep clone to avoid mutating the stored state
+      const stateCopy = JSON.parse(JSON.stringify(currentState));
+      const updatedState = applyStateUpdate(stateCopy, data);
+      if (updatedState) {
+        machineData.set(key, updatedState);
+        machineEvents.emit('update', { instanceId, key, update: data, state: updatedState });
+      }
+    } else if (data && typeof data === 'object') {
+      // This is the initial full state or a complete state update
+      machineData.set(key, data);
+      machineEvents.emit('state', { instanceId, key, state: data });
+    }
+  } catch (error) {
+    // Only log errors that aren't about undefined properties (those are common during initialization)
+    if (!error.message.includes('Cannot read properties of undefined')) {
+      console.error(`Error processing message for ${key}:`, error.message);
     }
-    // Connection is closed, remove it
-    fahConnections.delete(key);
-    machineData.delete(key);
   }
+}
+
+// Start supervising an instance's connection (no-op if already supervised)
+// onDemand: connect once for a request to an instance that isn't enabled, never reconnect
+function superviseInstance(instance, onDemand = false) {
+  const key = `${instance.id}:${instance.host}:${instance.port}`;
+  const existing = supervisors.get(instance.id);
+  if (existing && existing.key === key) {
+    if (existing.onDemand && !onDemand) {
+      // The instance was enabled while connected on demand, keep the connection
+      existing.onDemand = false;
+      clearTimeout(existing.idleTimer);
+    }
+    return existing;
+  }
+  if (existing) {
+    stopSupervising(instance.id);
+  }
+  
+  const supervisor = {
+    instanceId: instance.id,
+    host: instance.host,
+    port: instance.port,
+    key,
+    ws: null,
+    connecting: null,
+    attempts: 0,
+    retryTimer: null,
+    heartbeatTimer: null,
+    idleTimer: null,
+    onDemand,
+    stopped: false
+  };
+  supervisors.set(instance.id, supervisor);
+  openConnection(supervisor).catch(() => {
+    // Failure is recorded in the connection status and retried in the background
+  });
+  return supervisor;
+}
+
+// Stop supervising an instance and close its connection
+function stopSupervising(instanceId, finalState = 'offline') {
+  const supervisor = supervisors.get(instanceId);
+  if (!supervisor) {
+    return;
+  }
+  supervisor.stopped = true;
+  clearTimeout(supervisor.retryTimer);
+  clearTimeout(supervisor.idleTimer);
+  clearInterval(supervisor.heartbeatTimer);
+  supervisors.delete(instanceId);
+  if (supervisor.ws) {
+    supervisor.ws.terminate();
+  }
+  fahConnections.delete(supervisor.key);
+  machineData.delete(supervisor.key);
+  setConnectionState(instanceId, finalState, { nextRetryAt: null });
+}
+
+function scheduleReconnect(supervisor) {
+  if (supervisor.stopped) {
+    return;
+  }
+  // Exponential backoff with jitter, so a fleet that drops at once doesn't reconnect in lockstep
+  const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, supervisor.attempts));
+  const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+  supervisor.attempts++;
+  
+  const status = getConnectionStatus(supervisor.instanceId);
+  setConnectionState(supervisor.instanceId, status.state, {
+    nextRetryAt: new Date(Date.now() + delay).toISOString()
+  });
+  
+  clearTimeout(supervisor.retryTimer);
+  supervisor.retryTimer = setTimeout(() => {
+    supervisor.retryTimer = null;
+    openConnection(supervisor).catch(() => {});
+  }, delay);
+}
+
+function getFAHWebSocketUrl(host, port) {
+  return `ws://${host}:${port}/api/websocket`;
+}
+
+function openConnection(supervisor) {
+  if (supervisor.connecting) {
+    return supervisor.connecting;
+  }
+  
+  const { instanceId, host, port, key } = supervisor;
   
-  return new Promise((resolve, reject) => {
-    // FAH v8.4 uses WebSocket at /api/websocket endpoint
-    const wsUrl = `ws://${host}:${port}/api/websocket`;
-    const ws = new WebSocket(wsUrl);
+  supervisor.connecting = new Promise((resolve, reject) => {
+    setConnectionState(instanceId, 'connecting', { nextRetryAt: null });
+    
+    const ws = new WebSocket(getFAHWebSocketUrl(host, port));
+    supervisor.ws = ws;
+    let opened = false;
+    let failureState = 'offline';
+    let lastError = null;
+    let missedHeartbeats = 0;
     
     const timeout = setTimeout(() => {
-      ws.close();
-      reject(new Error('WebSocket connection timeout'));
-    }, 5000);
+      lastError = 'WebSocket connection timeout';
+      ws.terminate();
+    }, CONNECT_TIMEOUT);
     
-    // Set up persistent message handler to update machine state
-    const messageHandler = (rawData) => {
-      try {
-        const data = JSON.parse(rawData.toString());
-        let currentState = machineData.get(key);
-        
-        // Initialize state if it doesn't exist
-        if (!currentState || typeof currentState !== 'object') {
-          currentState = {};
-        }
-        
-        if (Array.isArray(data)) {
-          // This is an update array - apply it to current state
-          // Deep clone to avoid mutating the stored state
-          const stateCopy = JSON.parse(JSON.stringify(currentState));
-          const updatedState = applyStateUpdate(stateCopy, data);
-          if (updatedState) {
-            machineData.set(key, updatedState);
-          }
-        } else if (data && typeof data === 'object') {
-          // This is the initial full state or a complete state update
-          machineData.set(key, data);
-        }
-      } catch (error) {
-        // Only log errors that aren't about undefined properties (those are common during initialization)
-        if (!error.message.includes('Cannot read properties of undefined')) {
-          console.error(`Error processing message for ${key}:`, error.message);
-        }
-      }
+    const markSeen = () => {
+      missedHeartbeats = 0;
+      const status = getConnectionStatus(instanceId);
+      setConnectionState(instanceId, 'online', { lastSeen: new Date().toISOString() });
+      return status;
     };
     
+    // The client answered the handshake with an HTTP error, e.g. blocked by <allow>/<deny>
+    ws.on('unexpected-response', (request, response) => {
+      response.resume();
+      if (response.statusCode === 401 || response.statusCode === 403) {
+        failureState = 'auth-refused';
+      }
+      lastError = `HTTP ${response.statusCode}: ${response.statusMessage}`;
+      ws.terminate();
+    });
+    
     ws.on('open', () => {
       clearTimeout(timeout);
+      opened = true;
+      supervisor.attempts = 0;
+      supervisor.connecting = null;
       fahConnections.set(key, ws);
+      markSeen();
+      
+      ws.on('message', (rawData) => {
+        if (missedHeartbeats > 0 || getConnectionStatus(instanceId).state !== 'online') {
+          markSeen();
+        } else {
+          // Avoid emitting status events for every message
+          getConnectionStatus(instanceId).lastSeen = new Date().toISOString();
+        }
+        handleFAHMessage(instanceId, key, rawData);
+      });
+      
+      ws.on('pong', markSeen);
       
-      // Set up persistent message handler
-      ws.on('message', messageHandler);
+      // Heartbeat: one missed pong marks the connection degraded, two drop it
+      supervisor.heartbeatTimer = setInterval(() => {
+        missedHeartbeats++;
+        if (missedHeartbeats === 2) {
+          setConnectionState(instanceId, 'degraded');
+        } else if (missedHeartbeats > 2) {
+          lastError = 'Heartbeat timeout';
+          ws.terminate();
+          return;
+        }
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.ping();
+        }
+      }, HEARTBEAT_INTERVAL);
       
       // Enable log streaming when connection opens (like official client)
       try {
@@ -250,53 +1016,261 @@ function getFAHConnection(instanceId, host, port) {
         console.error(`Error enabling log on connection for ${key}:`, error);
       }
       
-      // Clean up on close
-      ws.on('close', () => {
-        fahConnections.delete(key);
-        machineData.delete(key);
-      });
-      
-      ws.on('error', () => {
-        fahConnections.delete(key);
-        machineData.delete(key);
-      });
-      
       resolve(ws);
     });
     
     ws.on('error', (error) => {
+      lastError = lastError || error.message;
+    });
+    
+    // An 'error' is always followed by 'close'
+    ws.on('close', () => {
       clearTimeout(timeout);
-      reject(error);
+      clearInterval(supervisor.heartbeatTimer);
+      supervisor.connecting = null;
+      if (supervisor.ws === ws) {
+        supervisor.ws = null;
+      }
+      
+      const error = lastError || 'Connection closed';
+      if (opened) {
+        fahConnections.delete(key);
+        machineData.delete(key);
+        machineEvents.emit('disconnected', { instanceId, key, error });
+      } else {
+        reject(new Error(error));
+      }
+      
+      if (supervisor.stopped) {
+        return;
+      }
+      if (supervisor.onDemand) {
+        stopSupervising(instanceId, 'disabled');
+        return;
+      }
+      setConnectionState(instanceId, failureState, {
+        lastError: error,
+        lastErrorAt: new Date().toISOString()
+      });
+      scheduleReconnect(supervisor);
     });
   });
+  
+  return supervisor.connecting;
+}
+
+// Close an on-demand connection once it hasn't been used for a while
+function touchOnDemandConnection(supervisor) {
+  clearTimeout(supervisor.idleTimer);
+  supervisor.idleTimer = setTimeout(() => stopSupervising(supervisor.instanceId, 'disabled'), ON_DEMAND_IDLE_TIMEOUT);
+}
+
+// Helper function to get the WebSocket connection to a FAH client
+function getFAHConnection(instanceId, host, port) {
+  const key = `${instanceId}:${host}:${port}`;
+  let supervisor = supervisors.get(instanceId);
+  if (supervisor && supervisor.key === key && supervisor.onDemand) {
+    touchOnDemandConnection(supervisor);
+  }
+  
+  const conn = fahConnections.get(key);
+  if (conn && conn.readyState === WebSocket.OPEN) {
+    return Promise.resolve(conn);
+  }
+  
+  if (!supervisor || supervisor.key !== key) {
+    const instance = instances.find(i => i.id === instanceId);
+    const enabled = !!instance && instance.enabled && instance.host === host && instance.port === port;
+    // Not supervised (e.g. disabled instance), connect once without retrying
+    supervisor = superviseInstance(enabled ? instance : { id: instanceId, host, port }, !enabled);
+    if (supervisor.onDemand) {
+      touchOnDemandConnection(supervisor);
+    }
+    return openConnection(supervisor);
+  }
+  if (supervisor.connecting) {
+    return supervisor.connecting;
+  }
+  
+  // Offline and waiting for the next retry, don't hold the request up
+  const status = getConnectionStatus(instanceId);
+  return Promise.reject(new Error(status.lastError || 'Not connected'));
+}
+
+// Command acknowledgement
+// Commands resolve once the machine state reflects them, or fail after the timeout
+const COMMAND_TIMEOUT = parseInt(process.env.FAH_COMMAND_TIMEOUT) || 10000;
+const stateWaiters = new Set(); // {key, predicate, resolve}
+
+function checkStateWaiters(key, state) {
+  for (const waiter of stateWaiters) {
+    if (waiter.key === key && waiter.predicate(state)) {
+      waiter.resolve(true);
+    }
+  }
+}
+
+machineEvents.on('state', ({ key, state }) => checkStateWaiters(key, state));
+machineEvents.on('update', ({ key, state }) => checkStateWaiters(key, state));
+machineEvents.on('disconnected', ({ key }) => {
+  for (const waiter of stateWaiters) {
+    if (waiter.key === key) {
+      waiter.resolve(false);
+    }
+  }
+});
+
+// Resolves true when predicate(machineState) holds, false on timeout or disconnect
+function waitForMachineState(key, predicate, timeout) {
+  return new Promise(resolve => {
+    const waiter = { key, predicate };
+    const timer = setTimeout(() => waiter.resolve(false), timeout);
+    waiter.resolve = (matched) => {
+      clearTimeout(timer);
+      stateWaiters.delete(waiter);
+      resolve(matched);
+    };
+    stateWaiters.add(waiter);
+    
+    const current = machineData.get(key);
+    if (current && predicate(current)) {
+      waiter.resolve(true);
+    }
+  });
+}
+
+// True if every key in expected has the same value in actual (nested objects compared recursively)
+function matchesConfig(actual, expected) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (!actual || typeof actual !== 'object') {
+      return false;
+    }
+    return Object.keys(expected).every(k => matchesConfig(actual[k], expected[k]));
+  }
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+// Build a predicate describing the state change a command should cause
+// Returns null for commands with no observable effect (log, dump, ...)
+function getCommandExpectation(command, data) {
+  if (command === 'state' && data.state) {
+    const expectConfig = (config) => {
+      if (data.state === 'pause') return !!config.paused;
+      if (data.state === 'finish') return !config.paused && !!config.finish;
+      return !config.paused && !config.finish;
+    };
+    
+    return (machineState) => {
+      const groups = machineState.groups || {};
+      if (data.group !== undefined) {
+        const group = groups[data.group];
+        return !!group && expectConfig(group.config || {});
+      }
+      // Machine-wide commands apply to every resource group
+      // (older clients without groups keep the flags in the global config)
+      const groupNames = Object.keys(groups);
+      if (groupNames.length === 0) {
+        return expectConfig(machineState.config || {});
+      }
+      return groupNames.every(name => expectConfig(groups[name].config || {}));
+    };
+  }
+  
+  if (command === 'config' && data.config) {
+    const { groups: groupConfigs, ...globalConfig } = data.config;
+    return (machineState) => {
+      if (!matchesConfig(machineState.config || {}, globalConfig)) {
+        return false;
+      }
+      const groups = machineState.groups || {};
+      return Object.keys(groupConfigs || {}).every(name =>
+        !!groups[name] && matchesConfig(groups[name].config || {}, groupConfigs[name])
+      );
+    };
+  }
+  
+  return null;
 }
 
 // Helper function to send WebSocket command
 // FAH protocol: Commands are sent as {cmd, time, ...data}
-async function fahWebSocketCommand(instanceId, host, port, command, data = {}) {
+// options.timeout: how long to wait for the command to be acknowledged (ms)
+// options.actor: who sent it, from getAuditActor() (defaults to the server itself)
+async function fahWebSocketCommand(instanceId, host, port, command, data = {}, options = {}) {
+  const key = `${instanceId}:${host}:${port}`;
+  const before = getAuditConfig(machineData.get(key));
+  const result = await sendFahCommand(instanceId, host, port, command, data, options);
+  const actor = options.actor || { actor: 'system' };
+  
+  // Count repeats of a recently written failure instead of writing them again
+  const signature = JSON.stringify([actor.actor, instanceId, command, data]);
+  const previous = failedCommandAudits.get(signature);
+  if (result.success) {
+    failedCommandAudits.delete(signature);
+  } else if (previous && Date.now() - previous.loggedAt < AUDIT_REPEAT_INTERVAL) {
+    previous.repeated++;
+    return result;
+  } else {
+    failedCommandAudits.set(signature, { loggedAt: Date.now(), repeated: 0 });
+  }
+  
+  const { config, ...commandData } = data;
+  const after = getAuditConfig(machineData.get(key));
+  appendAudit({
+    ...actor,
+    action: `fah.${command}`,
+    instanceId,
+    instance: getMachineName(instanceId),
+    data: commandData,
+    // Without a machine state afterwards (connection lost) nothing is known to have changed
+    changes: before && after ? diffConfig(before, after) : [],
+    // What a config change would have changed, when the client didn't apply it
+    attempted: !result.success && config ? diffConfig(before || {}, mergeConfig(before, config)) : undefined,
+    result: result.success ? 'success' : result.acknowledged === false ? 'not-acknowledged' : 'failed',
+    repeated: previous && previous.repeated ? previous.repeated : undefined,
+    error: result.error
+  });
+  return result;
+}
+
+async function sendFahCommand(instanceId, host, port, command, data, options) {
   try {
     const ws = await getFAHConnection(instanceId, host, port);
     const key = `${instanceId}:${host}:${port}`;
+    const timeout = options.timeout || COMMAND_TIMEOUT;
     
     // Send the command in FAH format: {cmd, time, ...data}
+    // (data goes first so it can never replace the command itself)
     const request = {
+      ...data,
       cmd: command,
-      time: new Date().toISOString(),
-      ...data
+      time: new Date().toISOString()
     };
     
-    ws.send(JSON.stringify(request), (error) => {
-      if (error) {
-        console.error(`Error sending command to ${key}:`, error);
-      }
+    await new Promise((resolve, reject) => {
+      ws.send(JSON.stringify(request), (error) => error ? reject(error) : resolve());
     });
     
-    // Wait a bit for state to update, then return current state
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Wait until the client reports the state change the command should cause
+    const expectation = getCommandExpectation(command, data);
+    if (expectation) {
+      const acknowledged = await waitForMachineState(key, expectation, timeout);
+      if (!acknowledged) {
+        const connected = machineData.has(key);
+        const reason = connected ? `within ${timeout}ms` : '(connection lost)';
+        console.warn(`Command '${command}' not acknowledged by ${key} ${reason}`);
+        return {
+          success: false,
+          acknowledged: false,
+          connected,
+          error: `Command '${command}' was not acknowledged by the client ${reason}`
+        };
+      }
+    }
     
     const currentState = machineData.get(key);
     if (currentState) {
-      return { success: true, data: currentState };
+      return { success: true, acknowledged: !!expectation, data: currentState };
     }
     
     return { success: false, error: 'No machine state available' };
@@ -309,7 +1283,7 @@ async function fahWebSocketCommand(instanceId, host, port, command, data = {}) {
 }
 
 // Helper function to make FAH API requests (tries WebSocket first, then HTTP fallback)
-async function fahRequest(instanceId, host, port, endpoint, method = 'GET', data = null) {
+async function fahRequest(instanceId, host, port, endpoint, method = 'GET', data = null, options = {}) {
   // Try WebSocket first (FAH v8.4 primary method)
   try {
     // Map endpoint to FAH command
@@ -320,10 +1294,14 @@ async function fahRequest(instanceId, host, port, endpoint, method = 'GET', data
     let commandData = data || {};
     
     // Map REST-like endpoints to FAH commands
-    if (endpoint === 'pause' || endpoint === 'unpause') {
+    if (endpoint === 'pause' || endpoint === 'unpause' || endpoint === 'fold' || endpoint === 'finish') {
       command = 'state';
       // Official client uses 'fold' to resume, not 'unpause'
-      commandData = { state: endpoint === 'pause' ? 'pause' : 'fold' };
+      // 'finish' completes the current work units, then stops
+      commandData = { state: endpoint === 'unpause' ? 'fold' : endpoint };
+    } else if (endpoint === 'dump') {
+      // Dump one work unit, nothing else is passed through
+      commandData = { unit: String(commandData.unit || '') };
     } else if (endpoint === 'log') {
       // Enable log streaming and get logs from machine state
       const key = `${instanceId}:${host}:${port}`;
@@ -392,8 +1370,9 @@ async function fahRequest(instanceId, host, port, endpoint, method = 'GET', data
     }
     
     if (command) {
-      const result = await fahWebSocketCommand(instanceId, host, port, command, commandData);
-      if (result.success) {
+      const result = await fahWebSocketCommand(instanceId, host, port, command, commandData, options);
+      // The client received the command but never applied it, HTTP would not do better
+      if (result.success || result.acknowledged === false) {
         return result;
       }
     } else {
@@ -490,175 +1469,3522 @@ async function fahRequest(instanceId, host, port, endpoint, method = 'GET', data
   return { success: false, error: 'All connection attempts failed' };
 }
 
-// Get all instances
-app.get('/api/instances', (req, res) => {
-  res.json(instances);
+// Browser-facing WebSocket that streams live machine state
+// Messages: {type: 'snapshot'|'state'|'update'|'disconnected'|'status', instanceId, ...} and {type: 'alert', event, alert}
+const browserSockets = new WebSocket.Server({
+  server,
+  path: '/ws',
+  verifyClient: ({ req }) => !!authenticate(req)
 });
 
-// Add a new instance
-app.post('/api/instances', async (req, res) => {
-  const { name, host, port = 7396 } = req.body;
-  
-  if (!name || !host) {
-    return res.status(400).json({ error: 'Name and host are required' });
+// Strip the log from machine state (it is large and served by /api/fah/:id/log)
+function publicMachineState(machineState) {
+  if (!machineState || typeof machineState !== 'object') {
+    return machineState;
   }
-  
-  const newInstance = {
-    id: `instance-${Date.now()}`,
-    name,
-    host,
-    port: parseInt(port) || 7396,
-    enabled: true
-  };
-  
-  instances.push(newInstance);
-  await saveInstances();
-  res.json(newInstance);
+  const { log, ...rest } = machineState;
+  return rest;
+}
+
+function broadcastToBrowsers(message) {
+  const payload = JSON.stringify(message);
+  browserSockets.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  });
+}
+
+browserSockets.on('connection', (socket) => {
+  // Send the current state of every enabled instance
+  const machines = instances.filter(i => i.enabled).map(instance => {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    return {
+      instanceId: instance.id,
+      connected: !!machineState,
+      status: getConnectionStatus(instance.id),
+      state: publicMachineState(machineState) || null
+    };
+  });
+  socket.send(JSON.stringify({ type: 'snapshot', machines }));
 });
 
-// Remove an instance
-app.delete('/api/instances/:id', async (req, res) => {
-  const { id } = req.params;
-  const index = instances.findIndex(i => i.id === id);
-  
-  if (index === -1) {
-    return res.status(404).json({ error: 'Instance not found' });
-  }
-  
-  // Don't allow removing the local instance
-  if (instances[index].id === 'local') {
-    return res.status(400).json({ error: 'Cannot remove local instance' });
+machineEvents.on('state', ({ instanceId, state }) => {
+  broadcastToBrowsers({ type: 'state', instanceId, state: publicMachineState(state) });
+});
+
+machineEvents.on('update', ({ instanceId, update }) => {
+  // Log lines are not part of the machine cards, skip them to save bandwidth
+  if (update[0] === 'log') {
+    return;
   }
-  
-  instances.splice(index, 1);
-  await saveInstances();
-  res.json({ success: true });
+  broadcastToBrowsers({ type: 'update', instanceId, update });
 });
 
-// Proxy request to a specific FAH instance
-app.all('/api/fah/:instanceId/*', async (req, res) => {
-  const { instanceId } = req.params;
-  const endpoint = req.params[0];
+machineEvents.on('disconnected', ({ instanceId, error }) => {
+  broadcastToBrowsers({ type: 'disconnected', instanceId, error });
+});
+
+machineEvents.on('status', ({ instanceId, status }) => {
+  broadcastToBrowsers({ type: 'status', instanceId, status });
+});
+
+// Work unit history
+// Every unit seen in machineData is recorded here so it can be queried after it leaves the client queue
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 365;
+const HISTORY_SAVE_DELAY = 5000;
+const FAILED_UNIT_STATES = ['DUMP', 'DUMPED', 'FAILED', 'FAULTY', 'BAD_WORK_UNIT'];
+// Core results reported in unit.result, anything else (NONE, INTERRUPTED) says nothing about the outcome
+const COMPLETED_UNIT_RESULTS = ['FINISHED_UNIT', 'OK', 'SUCCESS', 'DONE'];
+const FAILED_UNIT_RESULTS = ['BAD_WORK_UNIT', 'CORE_OUTDATED', 'UNKNOWN_ERROR', 'BAD_ARGUMENTS', 'BAD_FRAME_CHECKSUM',
+  'EARLY_UNLOAD', 'SPECIAL_EXIT', 'CLIENT_DIED', 'WU_STALLED', 'FAILED', 'FAULTY', 'DUMPED',
+  'GPU_MEMTEST_ERROR', 'GPU_INITIALIZATION_ERROR', 'GPU_UNAVAILABLE_ERROR'];
+// A unit that leaves the queue after one of these states has been returned for credit
+const UPLOADED_UNIT_STATES = ['UPLOAD', 'CLEAN', 'DONE'];
+// Key: `${instanceId}:${unit id}`
+const workUnitHistory = new Map();
+// instanceId -> Set of history keys still in the client queue
+const activeUnits = new Map();
+let historySaveTimer = null;
+
+async function loadHistory() {
+  try {
+    const data = await fs.readFile(HISTORY_FILE, 'utf8');
+    const entries = JSON.parse(data);
+    entries.forEach(entry => {
+      workUnitHistory.set(entry.id, entry);
+      // Units that were still queued when the server stopped are closed on the next full state
+      if (!entry.endedAt) {
+        if (!activeUnits.has(entry.instanceId)) {
+          activeUnits.set(entry.instanceId, new Set());
+        }
+        activeUnits.get(entry.instanceId).add(entry.id);
+      }
+    });
+    console.log(`Loaded ${entries.length} work unit history entries`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading history:', error.message);
+    }
+  }
+}
+
+async function saveHistory() {
+  try {
+    // Drop entries older than the retention period
+    const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const [id, entry] of workUnitHistory) {
+      if (entry.endedAt && new Date(entry.endedAt).getTime() < cutoff) {
+        workUnitHistory.delete(id);
+      }
+    }
+    await fs.writeFile(HISTORY_FILE, JSON.stringify([...workUnitHistory.values()]), 'utf8');
+  } catch (error) {
+    console.error('Error saving history:', error.message);
+  }
+}
+
+// Units change several times a second while folding, only new units, state changes and
+// ended units are written (progress and PPD are saved with them)
+function scheduleHistorySave() {
+  if (historySaveTimer) return;
+  historySaveTimer = setTimeout(() => {
+    historySaveTimer = null;
+    saveHistory();
+  }, HISTORY_SAVE_DELAY);
+}
+
+function getHistoryUnitId(unit) {
+  if (unit.id) return unit.id;
+  const assignment = unit.assignment || {};
+  const wu = unit.wu || {};
+  return `${assignment.project || unit.project}:${wu.run}:${wu.clone}:${wu.gen}`;
+}
+
+// Update history from the units currently in machineState
+// Units no longer reported are closed: at `now` for live updates, at their last sighting after a reconnect
+function recordUnits(instanceId, machineState, live) {
   const instance = instances.find(i => i.id === instanceId);
+  const machineName = (machineState.info && machineState.info.mach_name) || (instance && instance.name) || instanceId;
+  const now = new Date().toISOString();
+  const seen = new Set();
+  let changed = false;
   
-  if (!instance) {
-    return res.status(404).json({ error: 'Instance not found' });
+  (machineState.units || []).filter(Boolean).forEach(unit => {
+    const assignment = unit.assignment || {};
+    const wu = unit.wu || {};
+    const id = `${instanceId}:${getHistoryUnitId(unit)}`;
+    const entry = workUnitHistory.get(id) || {
+      id,
+      instanceId,
+      unitId: unit.id || null,
+      startedAt: assignment.time || now,
+      endedAt: null,
+      finalState: null,
+      result: null,
+      uploaded: false,
+      outcome: null
+    };
+    const previousState = workUnitHistory.has(id) ? entry.state : undefined;
+    
+    Object.assign(entry, {
+      machine: machineName,
+      project: assignment.project || unit.project || null,
+      run: wu.run !== undefined ? wu.run : null,
+      clone: wu.clone !== undefined ? wu.clone : null,
+      gen: wu.gen !== undefined ? wu.gen : null,
+      slot: unit.group !== undefined ? unit.group : (unit.slot !== undefined ? unit.slot : null),
+      cpus: unit.cpus || 0,
+      gpus: unit.gpus || assignment.gpus || [],
+      state: unit.state || null,
+      progress: unit.progress || unit.wu_progress || 0,
+      ppd: unit.ppd || 0,
+      tpf: unit.tpf || null,
+      creditEstimate: unit.credit || assignment.credit || null,
+      lastSeen: now
+    });
+    if (unit.result) {
+      entry.result = String(unit.result).toUpperCase();
+    }
+    if (UPLOADED_UNIT_STATES.includes(entry.state)) {
+      entry.uploaded = true;
+    }
+    if (entry.state !== previousState) {
+      changed = true;
+    }
+    
+    workUnitHistory.set(id, entry);
+    seen.add(id);
+  });
+  
+  const active = activeUnits.get(instanceId) || new Set();
+  for (const id of active) {
+    const entry = workUnitHistory.get(id);
+    if (!seen.has(id) && entry) {
+      entry.endedAt = live ? now : entry.lastSeen;
+      entry.finalState = entry.state;
+      entry.outcome = getUnitOutcome(entry);
+      changed = true;
+      machineEvents.emit('unitEnded', { instanceId, entry });
+    }
+  }
+  activeUnits.set(instanceId, seen);
+  if (changed) {
+    scheduleHistorySave();
+  }
+}
+
+// 'completed', 'failed' or 'unknown' (left the queue without a result, e.g. deleted mid-run) for a finished history entry
+// From the core's result when the client reports one, else whether the unit got as far as uploading for credit
+function getUnitOutcome(entry) {
+  if (entry.outcome) return entry.outcome;
+  if (FAILED_UNIT_STATES.includes(entry.finalState) || FAILED_UNIT_RESULTS.includes(entry.result)) return 'failed';
+  if (COMPLETED_UNIT_RESULTS.includes(entry.result) || (entry.uploaded && entry.creditEstimate)) return 'completed';
+  return 'unknown';
+}
+
+machineEvents.on('state', ({ instanceId, state }) => recordUnits(instanceId, state, false));
+machineEvents.on('update', ({ instanceId, update, state }) => {
+  if (update[0] === 'units') {
+    recordUnits(instanceId, state, true);
+  }
+});
+
+// PPD and throughput time series
+// Machines and units are sampled from machineData on an interval; older samples are
+// averaged into coarser tiers so a year of history stays small
+const TIMESERIES_FILE = path.join(DATA_DIR, 'timeseries.json');
+const TIMESERIES_INTERVAL = parseInt(process.env.TIMESERIES_INTERVAL) || 60000;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const TIMESERIES_TIERS = [
+  { name: 'raw', bucket: 0, retention: DAY },
+  { name: '15m', bucket: 15 * 60 * 1000, retention: 30 * DAY },
+  { name: '1h', bucket: HOUR, retention: 365 * DAY }
+];
+const TIMESERIES_RANGES = { '1h': HOUR, '6h': 6 * HOUR, '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY, '1y': 365 * DAY };
+// tier name -> series key -> [{t, ...values}]
+// Series keys: 'total', 'machine:<instanceId>', 'unit:<instanceId>:<unit id>' (raw tier only)
+const timeSeries = Object.fromEntries(TIMESERIES_TIERS.map(tier => [tier.name, {}]));
+// tier name -> series key -> {start, sums, count} for the bucket being filled
+const timeSeriesBuckets = Object.fromEntries(TIMESERIES_TIERS.map(tier => [tier.name, {}]));
+
+async function loadTimeSeries() {
+  try {
+    const data = JSON.parse(await fs.readFile(TIMESERIES_FILE, 'utf8'));
+    TIMESERIES_TIERS.forEach(tier => {
+      timeSeries[tier.name] = (data.tiers && data.tiers[tier.name]) || {};
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading time series:', error.message);
+    }
+  }
+}
+
+async function saveTimeSeries() {
+  try {
+    await fs.writeFile(TIMESERIES_FILE, JSON.stringify({ tiers: timeSeries }), 'utf8');
+  } catch (error) {
+    console.error('Error saving time series:', error.message);
   }
+}
+
+function addTimeSeriesSample(seriesKey, t, values, rawOnly = false) {
+  TIMESERIES_TIERS.forEach(tier => {
+    const series = timeSeries[tier.name];
+    if (!tier.bucket) {
+      (series[seriesKey] = series[seriesKey] || []).push({ t, ...values });
+      return;
+    }
+    if (rawOnly) return;
+    
+    // Close the previous bucket as an average once a sample falls into a new one
+    const start = Math.floor(t / tier.bucket) * tier.bucket;
+    const buckets = timeSeriesBuckets[tier.name];
+    let bucket = buckets[seriesKey];
+    if (bucket && bucket.start !== start) {
+      const point = { t: bucket.start };
+      for (const field in bucket.sums) {
+        point[field] = Math.round(bucket.sums[field] / bucket.count * 100) / 100;
+      }
+      (series[seriesKey] = series[seriesKey] || []).push(point);
+      bucket = null;
+    }
+    if (!bucket) {
+      bucket = buckets[seriesKey] = { start, sums: {}, count: 0 };
+    }
+    for (const field in values) {
+      bucket.sums[field] = (bucket.sums[field] || 0) + values[field];
+    }
+    bucket.count++;
+  });
+}
+
+function pruneTimeSeries(now) {
+  TIMESERIES_TIERS.forEach(tier => {
+    const series = timeSeries[tier.name];
+    for (const seriesKey in series) {
+      series[seriesKey] = series[seriesKey].filter(point => point.t >= now - tier.retention);
+      if (series[seriesKey].length === 0) {
+        delete series[seriesKey];
+        delete timeSeriesBuckets[tier.name][seriesKey];
+      }
+    }
+  });
+}
+
+function sampleTimeSeries() {
+  const t = Date.now();
+  const total = { ppd: 0, units: 0, machines: 0, watts: 0, cost: 0 };
+  const rate = getTariffRate(new Date(t));
   
-  if (!instance.enabled) {
-    return res.status(400).json({ error: 'Instance is disabled' });
+  instances.filter(i => i.enabled).forEach(instance => {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    if (!machineState) return;
+    
+    const units = (machineState.units || []).filter(Boolean);
+    const { watts } = getMachinePower(instance.id, machineState);
+    const machine = {
+      ppd: units.reduce((sum, unit) => sum + (unit.ppd || 0), 0),
+      units: units.filter(unit => unit.state === 'RUN').length,
+      watts,
+      // Cost per day at the current draw and rate
+      cost: Math.round(watts * 24 / 1000 * rate * 100) / 100
+    };
+    addTimeSeriesSample(`machine:${instance.id}`, t, machine);
+    
+    units.forEach(unit => {
+      addTimeSeriesSample(`unit:${instance.id}:${getHistoryUnitId(unit)}`, t, {
+        ppd: unit.ppd || 0,
+        tpf: typeof unit.tpf === 'number' ? unit.tpf : 0,
+        progress: unit.progress || unit.wu_progress || 0
+      }, true);
+    });
+    
+    total.ppd += machine.ppd;
+    total.units += machine.units;
+    total.machines++;
+    total.watts += machine.watts;
+    total.cost += machine.cost;
+  });
+  
+  total.cost = Math.round(total.cost * 100) / 100;
+  addTimeSeriesSample('total', t, total);
+  pruneTimeSeries(t);
+  saveTimeSeries();
+}
+
+// Alerts
+// Rules are evaluated against the live machine state on an interval. An alert stays open
+// (active or acknowledged) while its condition holds and is resolved once it clears;
+// the same condition raises a new alert only after the previous one was resolved
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const ALERT_INTERVAL = parseInt(process.env.ALERT_INTERVAL) || 30000;
+const ALERT_HISTORY_LIMIT = 500;
+const DEFAULT_ALERT_RULES = {
+  offline: { enabled: true, minutes: 10 },
+  stalled: { enabled: true, minutes: 30, downloadMinutes: 30, uploadMinutes: 60, readyMinutes: 60 },
+  tpfRegression: { enabled: true, percent: 25 },
+  failedUnits: { enabled: true, count: 3, hours: 24 },
+  ppdFloor: { enabled: false, ppd: 100000, minutes: 15 }
+};
+// Unit state -> stalled rule setting with the minutes a unit may stay in it without progress
+const STALLED_STATE_SETTINGS = { RUN: 'minutes', DOWNLOAD: 'downloadMinutes', UPLOAD: 'uploadMinutes', READY: 'readyMinutes' };
+let alertRules = JSON.parse(JSON.stringify(DEFAULT_ALERT_RULES));
+let alerts = []; // Newest first, open and resolved
+// unit key -> {progress, state, changedAt}, to notice units that stopped progressing
+const unitProgress = new Map();
+// instanceId -> time the machine PPD dropped below the floor
+const ppdBelowSince = new Map();
+// instanceId -> time the machine was last noticed going offline (reconnect attempts don't reset it)
+const offlineSince = new Map();
+
+async function loadAlerts() {
+  try {
+    const data = JSON.parse(await fs.readFile(ALERTS_FILE, 'utf8'));
+    for (const rule in DEFAULT_ALERT_RULES) {
+      alertRules[rule] = { ...DEFAULT_ALERT_RULES[rule], ...((data.rules || {})[rule] || {}) };
+    }
+    alerts = data.alerts || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading alerts:', error.message);
+    }
+  }
+}
+
+async function saveAlerts() {
+  try {
+    // Keep every open alert and the most recent resolved ones
+    let resolved = 0;
+    alerts = alerts.filter(alert => alert.state !== 'resolved' || ++resolved <= ALERT_HISTORY_LIMIT);
+    await fs.writeFile(ALERTS_FILE, JSON.stringify({ rules: alertRules, alerts }, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving alerts:', error.message);
   }
+}
+
+// Median TPF of this machine's recent units of the same project
+function getTPFBaseline(instanceId, project) {
+  const since = Date.now() - 30 * DAY;
+  const samples = [...workUnitHistory.values()]
+    .filter(entry => entry.instanceId === instanceId && entry.project === project && entry.endedAt &&
+      typeof entry.tpf === 'number' && entry.tpf > 0 && new Date(entry.endedAt).getTime() >= since)
+    .map(entry => entry.tpf)
+    .sort((a, b) => a - b);
+  return samples.length ? samples[Math.floor(samples.length / 2)] : null;
+}
+
+// Returns the conditions currently firing, keyed by dedupe key
+function checkAlertRules(now) {
+  const firing = new Map();
   
-  // Handle config command specially (use WebSocket)
-  if (endpoint === 'config' && req.method === 'POST') {
-    try {
-      const { config } = req.body;
-      if (!config) {
-        return res.status(400).json({ error: 'Config object required' });
+  // Time spent disabled doesn't count as offline once re-enabled
+  instances.filter(i => !i.enabled).forEach(instance => offlineSince.delete(instance.id));
+  
+  instances.filter(i => i.enabled).forEach(instance => {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    const machineName = (machineState && machineState.info && machineState.info.mach_name) || instance.name;
+    const raise = (rule, severity, message, unitId = null) => {
+      const key = [rule, instance.id, unitId].filter(Boolean).join(':');
+      firing.set(key, { key, rule, severity, message, instanceId: instance.id, machine: machineName, unitId });
+    };
+    
+    const status = getConnectionStatus(instance.id);
+    const { offline } = alertRules;
+    if (status.state === 'online') {
+      offlineSince.delete(instance.id);
+    } else if (!offlineSince.has(instance.id)) {
+      offlineSince.set(instance.id, now);
+    }
+    if (offline.enabled && offlineSince.has(instance.id) && now - offlineSince.get(instance.id) >= offline.minutes * 60000) {
+      raise('offline', 'critical', `${machineName} has been unreachable for more than ${offline.minutes} minutes` +
+        (status.lastError ? ` (${status.lastError})` : ''));
+    }
+    
+    if (!machineState) return;
+    const units = (machineState.units || []).filter(Boolean);
+    
+    units.forEach(unit => {
+      const unitKey = `${instance.id}:${getHistoryUnitId(unit)}`;
+      const progress = unit.progress || unit.wu_progress || 0;
+      const project = (unit.assignment || {}).project || unit.project;
+      
+      // Units count as stalled after staying in a state without progress for that state's minutes
+      const { stalled } = alertRules;
+      const stalledSetting = STALLED_STATE_SETTINGS[unit.state];
+      const tracked = unitProgress.get(unitKey);
+      if (!tracked || tracked.progress !== progress || tracked.state !== unit.state || !stalledSetting || unit.pause_reason) {
+        unitProgress.set(unitKey, { progress, state: unit.state, changedAt: now });
+      } else if (stalled.enabled && now - tracked.changedAt >= stalled[stalledSetting] * 60000) {
+        raise('stalled', 'warning', unit.state === 'RUN'
+          ? `Project ${project} on ${machineName} has not progressed for more than ${stalled.minutes} minutes`
+          : `Project ${project} on ${machineName} has been in ${unit.state} for more than ${stalled[stalledSetting]} minutes`, unit.id);
       }
       
-      const result = await fahWebSocketCommand(instanceId, instance.host, instance.port, 'config', { config });
-      if (result.success) {
-        res.json({ success: true });
-      } else {
-        res.status(200).json({ 
-          error: true, 
-          message: result.error || 'Failed to save config',
-          connected: false 
+      if (alertRules.tpfRegression.enabled && unit.state === 'RUN' && typeof unit.tpf === 'number' && unit.tpf > 0) {
+        const baseline = getTPFBaseline(instance.id, project);
+        if (baseline && unit.tpf > baseline * (1 + alertRules.tpfRegression.percent / 100)) {
+          raise('tpfRegression', 'warning', `Project ${project} on ${machineName} is running at ${unit.tpf}s TPF, ` +
+            `${Math.round((unit.tpf / baseline - 1) * 100)}% slower than its usual ${baseline}s`, unit.id);
+        }
+      }
+    });
+    
+    const { failedUnits } = alertRules;
+    if (failedUnits.enabled) {
+      const since = now - failedUnits.hours * HOUR;
+      const failed = [...workUnitHistory.values()].filter(entry => entry.instanceId === instance.id &&
+        entry.endedAt && new Date(entry.endedAt).getTime() >= since && getUnitOutcome(entry) === 'failed');
+      if (failed.length >= failedUnits.count) {
+        raise('failedUnits', 'critical', `${failed.length} work units failed or were dumped on ${machineName} in the last ${failedUnits.hours} hours`);
+      }
+    }
+    
+    // Paused or idle machines are expected to produce nothing
+    const { ppdFloor } = alertRules;
+    const ppd = units.reduce((sum, unit) => sum + (unit.ppd || 0), 0);
+    if (ppdFloor.enabled && units.some(unit => unit.state === 'RUN') && ppd < ppdFloor.ppd) {
+      if (!ppdBelowSince.has(instance.id)) {
+        ppdBelowSince.set(instance.id, now);
+      }
+      if (now - ppdBelowSince.get(instance.id) >= ppdFloor.minutes * 60000) {
+        raise('ppdFloor', 'warning', `${machineName} is producing ${ppd.toLocaleString()} PPD, below the ${ppdFloor.ppd.toLocaleString()} PPD floor`);
+      }
+    } else {
+      ppdBelowSince.delete(instance.id);
+    }
+  });
+  
+  // Forget progress of units that left the queue
+  const liveUnits = new Set();
+  instances.forEach(instance => {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    ((machineState && machineState.units) || []).filter(Boolean)
+      .forEach(unit => liveUnits.add(`${instance.id}:${getHistoryUnitId(unit)}`));
+  });
+  for (const unitKey of unitProgress.keys()) {
+    if (!liveUnits.has(unitKey)) unitProgress.delete(unitKey);
+  }
+  
+  return firing;
+}
+
+function evaluateAlerts() {
+  const now = Date.now();
+  const timestamp = new Date(now).toISOString();
+  const firing = checkAlertRules(now);
+  let changed = false;
+  
+  // Resolve open alerts whose condition cleared, refresh the ones still firing
+  alerts.filter(alert => alert.state !== 'resolved').forEach(alert => {
+    const condition = firing.get(alert.key);
+    if (condition) {
+      alert.lastSeen = timestamp;
+      alert.message = condition.message;
+      firing.delete(alert.key);
+    } else {
+      alert.state = 'resolved';
+      alert.resolvedAt = timestamp;
+      changed = true;
+      machineEvents.emit('alert', { type: 'resolved', alert });
+    }
+  });
+  
+  // What is left is new
+  for (const condition of firing.values()) {
+    const alert = {
+      id: `alert-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      ...condition,
+      state: 'active',
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      acknowledgedAt: null,
+      resolvedAt: null
+    };
+    alerts.unshift(alert);
+    changed = true;
+    console.warn(`Alert: ${alert.message}`);
+    machineEvents.emit('alert', { type: 'raised', alert });
+  }
+  
+  if (changed) {
+    saveAlerts();
+  }
+}
+
+machineEvents.on('alert', ({ type, alert }) => {
+  broadcastToBrowsers({ type: 'alert', event: type, alert });
+});
+
+// Webhooks
+// Notifications for machine and work unit events, derived from machineEvents
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_FORMATS = ['json', 'discord', 'slack'];
+const WEBHOOK_EVENTS = [
+  'machine.connected',
+  'machine.disconnected',
+  'machine.paused',
+  'machine.resumed',
+  'unit.completed',
+  'unit.failed',
+  'alert.raised',
+  'alert.resolved'
+];
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_RETRY_DELAY = 2000;
+let webhooks = [];
+// instanceId -> whether the machine was paused in the last state seen
+const pausedMachines = new Map();
+
+async function loadWebhooks() {
+  try {
+    webhooks = JSON.parse(await fs.readFile(WEBHOOKS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading webhooks:', error.message);
+    }
+  }
+}
+
+async function saveWebhooks() {
+  try {
+    await fs.writeFile(WEBHOOKS_FILE, JSON.stringify(webhooks, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving webhooks:', error.message);
+  }
+}
+
+function getMachineName(instanceId) {
+  const instance = instances.find(i => i.id === instanceId);
+  const machineState = instance && machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+  return (machineState && machineState.info && machineState.info.mach_name) || (instance && instance.name) || instanceId;
+}
+
+function formatWebhookPayload(format, event) {
+  const title = `${event.machine}: ${event.event}`;
+  if (format === 'discord') {
+    const colors = { 'machine.connected': 0x4caf50, 'machine.resumed': 0x4caf50, 'unit.completed': 0x2196f3, 'alert.resolved': 0x4caf50 };
+    return {
+      username: 'Folding@Home',
+      embeds: [{ title, description: event.message, color: colors[event.event] || 0xff9800, timestamp: event.time }]
+    };
+  }
+  if (format === 'slack') {
+    return { text: `*${title}*\n${event.message}` };
+  }
+  return event;
+}
+
+// POST one event to one webhook, retrying with a growing delay
+async function deliverWebhook(webhook, event, retries = WEBHOOK_RETRIES) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * Math.pow(2, attempt - 1)));
+    }
+    try {
+      const response = await outboundRequest('webhook', {
+        method: 'post',
+        url: webhook.url,
+        data: formatWebhookPayload(webhook.format, event),
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/json' }
+      }, { url: new URL(webhook.url).origin, webhook: webhook.name });
+      webhook.lastDelivery = { at: new Date().toISOString(), event: event.event, ok: true, status: response.status };
+      saveWebhooks();
+      return webhook.lastDelivery;
+    } catch (error) {
+      lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      // Client errors won't go away by retrying (bad URL, rejected payload), except rate limiting, nor will the outbound policy
+      if (error.blocked || (error.response && error.response.status < 500 && error.response.status !== 429)) {
+        break;
+      }
+    }
+  }
+  console.error(`Webhook ${webhook.name} failed for ${event.event}: ${lastError}`);
+  webhook.lastDelivery = { at: new Date().toISOString(), event: event.event, ok: false, error: lastError };
+  saveWebhooks();
+  return webhook.lastDelivery;
+}
+
+function sendWebhookEvent(eventName, instanceId, message, data = {}) {
+  const event = {
+    event: eventName,
+    time: new Date().toISOString(),
+    instanceId,
+    machine: getMachineName(instanceId),
+    message,
+    data
+  };
+  webhooks
+    .filter(webhook => webhook.enabled && webhook.events.includes(eventName))
+    .forEach(webhook => deliverWebhook(webhook, event));
+}
+
+function isMachinePaused(machineState) {
+  const groups = machineState.groups || {};
+  return !!(machineState.config || {}).paused ||
+    Object.keys(groups).some(name => (groups[name].config || {}).paused);
+}
+
+machineEvents.on('status', ({ instanceId, status, previousState }) => {
+  const wasUp = ['online', 'degraded'].includes(previousState);
+  const isUp = ['online', 'degraded'].includes(status.state);
+  if (isUp && !wasUp) {
+    sendWebhookEvent('machine.connected', instanceId, `${getMachineName(instanceId)} connected`);
+  } else if (wasUp && !isUp) {
+    sendWebhookEvent('machine.disconnected', instanceId,
+      `${getMachineName(instanceId)} disconnected${status.lastError ? ` (${status.lastError})` : ''}`);
+  }
+});
+
+// Only changes are reported, the first state after connecting sets the baseline
+function checkPausedState(instanceId, machineState) {
+  const paused = isMachinePaused(machineState);
+  const previous = pausedMachines.get(instanceId);
+  pausedMachines.set(instanceId, paused);
+  if (previous !== undefined && previous !== paused) {
+    sendWebhookEvent(paused ? 'machine.paused' : 'machine.resumed', instanceId,
+      `${getMachineName(instanceId)} ${paused ? 'paused' : 'resumed folding'}`);
+  }
+}
+
+machineEvents.on('state', ({ instanceId, state }) => checkPausedState(instanceId, state));
+machineEvents.on('update', ({ instanceId, update, state }) => {
+  if (update.includes('paused')) {
+    checkPausedState(instanceId, state);
+  }
+});
+machineEvents.on('disconnected', ({ instanceId }) => pausedMachines.delete(instanceId));
+
+machineEvents.on('unitEnded', ({ instanceId, entry }) => {
+  const unit = `project ${entry.project} (${entry.run}, ${entry.clone}, ${entry.gen})`;
+  const outcome = getUnitOutcome(entry);
+  if (outcome === 'failed') {
+    sendWebhookEvent('unit.failed', instanceId, `Work unit ${unit} failed on ${entry.machine} (${entry.result || entry.finalState})`, entry);
+  } else if (outcome === 'completed') {
+    sendWebhookEvent('unit.completed', instanceId, `Work unit ${unit} completed on ${entry.machine}`, entry);
+  }
+});
+
+machineEvents.on('alert', ({ type, alert }) => {
+  if (type === 'raised' || type === 'resolved') {
+    sendWebhookEvent(`alert.${type}`, alert.instanceId, type === 'resolved' ? `Resolved: ${alert.message}` : alert.message, alert);
+  }
+});
+
+// Prometheus metrics
+// Parses FAH intervals like "1h 10m" or "5d 20h" to seconds (mirrors parseTimeInterval in app.js)
+function parseTimeInterval(value) {
+  if (typeof value === 'number') return value;
+  if (!value || typeof value !== 'string') return null;
+  
+  const re = /(\d+(?:\.\d+)?)\s*([a-zA-Z]+)/g;
+  let totalSeconds = 0;
+  let match;
+  
+  while ((match = re.exec(value)) !== null) {
+    const num = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    
+    if (unit.startsWith('d')) totalSeconds += num * 86400;
+    else if (unit.startsWith('h')) totalSeconds += num * 3600;
+    else if (unit.startsWith('ms')) totalSeconds += num / 1000;
+    else if (unit.startsWith('m')) totalSeconds += num * 60;
+    else if (unit.startsWith('s')) totalSeconds += num;
+  }
+  
+  return totalSeconds;
+}
+
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+// Text exposition format, metrics: {name: {help, type, samples: [{labels, value}]}}
+function formatMetrics(metrics) {
+  const lines = [];
+  for (const name in metrics) {
+    const { help, type, samples } = metrics[name];
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(({ labels, value }) => {
+      const labelText = Object.keys(labels)
+        .map(label => `${label}="${escapeLabelValue(labels[label])}"`)
+        .join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function collectMetrics() {
+  const metrics = {};
+  const metric = (name, type, help) => {
+    metrics[name] = metrics[name] || { help, type, samples: [] };
+    return (labels, value) => metrics[name].samples.push({ labels, value });
+  };
+  
+  const up = metric('fah_instance_up', 'gauge', 'Whether the FAH client is connected (1) or not (0)');
+  const connectionState = metric('fah_instance_connection_state', 'gauge', 'Connection state of the instance, 1 for the current state');
+  const lastSeen = metric('fah_instance_last_seen_timestamp_seconds', 'gauge', 'Last time a message was received from the client');
+  const machinePPD = metric('fah_machine_ppd', 'gauge', 'Estimated points per day of the machine');
+  const groupPaused = metric('fah_group_paused', 'gauge', 'Whether the resource group is paused');
+  const groupFinishing = metric('fah_group_finishing', 'gauge', 'Whether the resource group will stop after its current work units');
+  const groupCPUs = metric('fah_group_cpus', 'gauge', 'CPUs assigned to the resource group');
+  const groupGPUs = metric('fah_group_gpus', 'gauge', 'GPUs enabled in the resource group');
+  const unitsByState = metric('fah_units', 'gauge', 'Work units in the client queue by state');
+  const unitProgress = metric('fah_unit_progress_ratio', 'gauge', 'Work unit progress (0-1)');
+  const unitPPD = metric('fah_unit_ppd', 'gauge', 'Estimated points per day of the work unit');
+  const unitTPF = metric('fah_unit_tpf_seconds', 'gauge', 'Time per frame of the work unit');
+  const unitETA = metric('fah_unit_eta_seconds', 'gauge', 'Estimated time until the work unit completes');
+  const unitCPUs = metric('fah_unit_cpus', 'gauge', 'CPUs assigned to the work unit');
+  const unitGPUs = metric('fah_unit_gpus', 'gauge', 'GPUs assigned to the work unit');
+  const recordedUnits = metric('fah_recorded_units', 'gauge', 'Finished work units in the local history by outcome');
+  
+  instances.forEach(instance => {
+    const labels = { instance: instance.id };
+    const status = instance.enabled ? getConnectionStatus(instance.id) : { state: 'disabled', lastSeen: null };
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    
+    up({ ...labels, name: instance.name }, machineState ? 1 : 0);
+    ['connecting', 'online', 'degraded', 'offline', 'auth-refused', 'disabled'].forEach(state => {
+      connectionState({ ...labels, state }, status.state === state ? 1 : 0);
+    });
+    if (status.lastSeen) {
+      lastSeen(labels, new Date(status.lastSeen).getTime() / 1000);
+    }
+    
+    const outcomes = { completed: 0, failed: 0, unknown: 0 };
+    for (const entry of workUnitHistory.values()) {
+      if (entry.instanceId === instance.id && entry.endedAt) {
+        outcomes[getUnitOutcome(entry)]++;
+      }
+    }
+    Object.keys(outcomes).forEach(outcome => recordedUnits({ ...labels, outcome }, outcomes[outcome]));
+    
+    if (!machineState) return;
+    
+    const groups = machineState.groups || {};
+    Object.keys(groups).forEach(group => {
+      const config = groups[group].config || {};
+      const groupLabels = { ...labels, group };
+      groupPaused(groupLabels, config.paused ? 1 : 0);
+      groupFinishing(groupLabels, !config.paused && config.finish ? 1 : 0);
+      groupCPUs(groupLabels, parseInt(config.cpus) || 0);
+      groupGPUs(groupLabels, Object.values(config.gpus || {}).filter(gpu => gpu.enabled).length);
+    });
+    
+    const units = (machineState.units || []).filter(Boolean);
+    machinePPD(labels, units.reduce((sum, unit) => sum + (unit.ppd || 0), 0));
+    
+    const states = {};
+    units.forEach(unit => {
+      states[unit.state || 'UNKNOWN'] = (states[unit.state || 'UNKNOWN'] || 0) + 1;
+      
+      const assignment = unit.assignment || {};
+      const unitLabels = {
+        ...labels,
+        group: unit.group !== undefined ? unit.group : '',
+        slot: unit.slot !== undefined ? unit.slot : '',
+        project: assignment.project || unit.project || '',
+        unit: unit.id || unit.number || ''
+      };
+      const progress = unit.progress || unit.wu_progress || 0;
+      unitProgress(unitLabels, progress > 1 ? progress / 100 : progress);
+      unitPPD(unitLabels, unit.ppd || 0);
+      const tpf = parseTimeInterval(unit.tpf);
+      if (tpf !== null) unitTPF(unitLabels, tpf);
+      const eta = parseTimeInterval(unit.eta);
+      if (eta !== null) unitETA(unitLabels, eta);
+      unitCPUs(unitLabels, parseInt(unit.cpus) || 0);
+      unitGPUs(unitLabels, (unit.gpus || assignment.gpus || []).length);
+    });
+    Object.keys(states).forEach(state => unitsByState({ ...labels, state }, states[state]));
+  });
+  
+  return formatMetrics(metrics);
+}
+
+// MQTT bridge with Home Assistant discovery (enabled by setting MQTT_URL)
+// Publishes <prefix>/<instanceId>/state and /units, accepts commands on
+// <prefix>/<instanceId>/command (fold, pause, finish or JSON), /folding/set (ON/OFF) and /cpus/set
+const MQTT_URL = process.env.MQTT_URL;
+const MQTT_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'folding-control';
+const MQTT_DISCOVERY_PREFIX = process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant';
+const MQTT_PUBLISH_DELAY = 5000;
+let mqttClient = null;
+// Instances with discovery configs published
+const mqttDiscovered = new Set();
+// instanceId -> pending publish timer, state changes are batched
+const mqttPublishTimers = new Map();
+
+function getMachineSummary(instance) {
+  const status = getConnectionStatus(instance.id);
+  const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+  if (!machineState) {
+    return { name: instance.name, connected: false, connection: status.state, state: 'offline', ppd: 0, units: 0, cpus: 0, defaultGroupCpus: 0, gpus: 0 };
+  }
+  
+  const groups = machineState.groups || {};
+  const configs = Object.keys(groups).length ? Object.values(groups).map(g => g.config || {}) : [machineState.config || {}];
+  const units = (machineState.units || []).filter(Boolean);
+  const paused = isMachinePaused(machineState);
+  const finishing = !paused && configs.some(config => config.finish);
+  // What /cpus/set changes: the default group, or the global config of clients without groups
+  const defaultConfig = Object.keys(groups).length ? (groups[''] && groups[''].config) || {} : machineState.config || {};
+  
+  return {
+    name: (machineState.info && machineState.info.mach_name) || instance.name,
+    connected: true,
+    connection: status.state,
+    state: paused ? 'paused' : (finishing ? 'finishing' : 'folding'),
+    ppd: units.reduce((sum, unit) => sum + (unit.ppd || 0), 0),
+    units: units.filter(unit => unit.state === 'RUN').length,
+    cpus: configs.reduce((sum, config) => sum + (parseInt(config.cpus) || 0), 0),
+    defaultGroupCpus: parseInt(defaultConfig.cpus) || 0,
+    gpus: configs.reduce((sum, config) => sum + Object.values(config.gpus || {}).filter(gpu => gpu.enabled).length, 0)
+  };
+}
+
+function publishDiscovery(instance) {
+  const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+  const info = (machineState && machineState.info) || {};
+  const base = `${MQTT_PREFIX}/${instance.id}`;
+  const objectId = `folding_control_${instance.id.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+  const device = {
+    identifiers: [objectId],
+    name: instance.name,
+    manufacturer: 'Folding@Home',
+    model: `FAH client ${info.version || ''}`.trim()
+  };
+  const availability = [{ topic: `${MQTT_PREFIX}/status` }, { topic: `${base}/availability` }];
+  const entities = [
+    ['sensor', 'ppd', { name: 'PPD', value_template: '{{ value_json.ppd }}', unit_of_measurement: 'PPD', state_class: 'measurement', icon: 'mdi:chart-line' }],
+    ['sensor', 'units', { name: 'Running work units', value_template: '{{ value_json.units }}', state_class: 'measurement', icon: 'mdi:dna' }],
+    ['sensor', 'state', { name: 'State', value_template: '{{ value_json.state }}', icon: 'mdi:state-machine' }],
+    ['binary_sensor', 'connected', { name: 'Connected', value_template: '{{ "ON" if value_json.connected else "OFF" }}', device_class: 'connectivity', availability: [availability[0]] }],
+    ['switch', 'folding', { name: 'Folding', value_template: '{{ "ON" if value_json.state == "folding" else "OFF" }}', command_topic: `${base}/folding/set`, icon: 'mdi:play-pause' }],
+    ['button', 'finish', { name: 'Finish', command_topic: `${base}/command`, payload_press: 'finish', icon: 'mdi:flag-checkered' }],
+    ['number', 'cpus', { name: 'CPUs', value_template: '{{ value_json.defaultGroupCpus }}', command_topic: `${base}/cpus/set`, min: 0, max: parseInt(info.cpus) || 256, step: 1, icon: 'mdi:cpu-64-bit' }]
+  ];
+  
+  entities.forEach(([component, key, config]) => {
+    const payload = {
+      unique_id: `${objectId}_${key}`,
+      object_id: `${objectId}_${key}`,
+      device,
+      availability,
+      availability_mode: 'all',
+      ...(component !== 'button' ? { state_topic: `${base}/state` } : {}),
+      ...config
+    };
+    mqttClient.publish(`${MQTT_DISCOVERY_PREFIX}/${component}/${objectId}/${key}/config`, JSON.stringify(payload), { retain: true });
+  });
+  mqttDiscovered.add(instance.id);
+}
+
+function publishMachine(instanceId) {
+  const instance = instances.find(i => i.id === instanceId);
+  if (!mqttClient || !mqttClient.connected || !instance) return;
+  
+  if (!mqttDiscovered.has(instanceId)) {
+    publishDiscovery(instance);
+  }
+  
+  const base = `${MQTT_PREFIX}/${instance.id}`;
+  const summary = getMachineSummary(instance);
+  const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+  const units = ((machineState && machineState.units) || []).filter(Boolean).map(unit => {
+    const progress = unit.progress || unit.wu_progress || 0;
+    return {
+      id: unit.id || null,
+      project: (unit.assignment || {}).project || unit.project || null,
+      group: unit.group !== undefined ? unit.group : null,
+      state: unit.state || null,
+      progress: Math.round((progress <= 1 ? progress * 100 : progress) * 10) / 10,
+      ppd: unit.ppd || 0,
+      tpf: parseTimeInterval(unit.tpf),
+      eta: parseTimeInterval(unit.eta)
+    };
+  });
+  
+  mqttClient.publish(`${base}/availability`, summary.connected ? 'online' : 'offline', { retain: true });
+  mqttClient.publish(`${base}/state`, JSON.stringify(summary), { retain: true });
+  mqttClient.publish(`${base}/units`, JSON.stringify(units), { retain: true });
+}
+
+function scheduleMachinePublish(instanceId) {
+  if (!mqttClient || mqttPublishTimers.has(instanceId)) return;
+  mqttPublishTimers.set(instanceId, setTimeout(() => {
+    mqttPublishTimers.delete(instanceId);
+    publishMachine(instanceId);
+  }, MQTT_PUBLISH_DELAY));
+}
+
+// Map an MQTT command onto a FAH command
+// Payloads: 'fold' | 'pause' | 'finish', {"state": "pause", "group": "gpu"} or {"cpus": 8, "group": ""}
+function parseMqttCommand(topic, payload, machineState) {
+  const text = payload.toString().trim();
+  if (topic.endsWith('/folding/set')) {
+    return { command: 'state', data: { state: text.toUpperCase() === 'ON' ? 'fold' : 'pause' } };
+  }
+  
+  let request;
+  if (topic.endsWith('/cpus/set')) {
+    request = { cpus: parseInt(text) };
+  } else if (['fold', 'pause', 'finish'].includes(text)) {
+    request = { state: text };
+  } else {
+    try {
+      request = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Unrecognized command: ${text}`);
+    }
+  }
+  
+  if (request.state) {
+    if (!['fold', 'pause', 'finish'].includes(request.state)) {
+      throw new Error(`Unknown state: ${request.state}`);
+    }
+    return { command: 'state', data: request.group !== undefined ? { state: request.state, group: request.group } : { state: request.state } };
+  }
+  
+  if (request.cpus !== undefined) {
+    const cpus = parseInt(request.cpus);
+    if (isNaN(cpus) || cpus < 0) {
+      throw new Error('cpus must be a non-negative number');
+    }
+    // v8.4 assigns CPUs per resource group, older clients globally
+    const groups = (machineState && machineState.groups) || {};
+    const group = request.group !== undefined ? request.group : '';
+    return Object.keys(groups).length
+      ? { command: 'config', data: { config: { groups: { [group]: { cpus } } } } }
+      : { command: 'config', data: { config: { cpus } } };
+  }
+  
+  throw new Error('Command needs a state or cpus');
+}
+
+async function handleMqttCommand(topic, payload) {
+  const instanceId = topic.slice(MQTT_PREFIX.length + 1).split('/')[0];
+  const instance = instances.find(i => i.id === instanceId);
+  if (!instance || !instance.enabled) return;
+  
+  let result;
+  try {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    const { command, data } = parseMqttCommand(topic, payload, machineState);
+    result = await fahWebSocketCommand(instance.id, instance.host, instance.port, command, data, { actor: { actor: 'mqtt' } });
+    result = { command, ...data, success: result.success, error: result.error || null };
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  
+  if (!result.success) {
+    console.error(`MQTT command for ${instanceId} failed: ${result.error}`);
+  }
+  mqttClient.publish(`${MQTT_PREFIX}/${instanceId}/command/result`, JSON.stringify(result));
+  publishMachine(instanceId);
+}
+
+function startMqttBridge() {
+  if (!MQTT_URL) return;
+  
+  const mqtt = require('mqtt');
+  mqttClient = mqtt.connect(MQTT_URL, {
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    will: { topic: `${MQTT_PREFIX}/status`, payload: 'offline', retain: true },
+    reconnectPeriod: 5000
+  });
+  
+  mqttClient.on('connect', () => {
+    console.log(`MQTT bridge connected to ${MQTT_URL}`);
+    mqttClient.publish(`${MQTT_PREFIX}/status`, 'online', { retain: true });
+    mqttClient.subscribe([`${MQTT_PREFIX}/+/command`, `${MQTT_PREFIX}/+/folding/set`, `${MQTT_PREFIX}/+/cpus/set`]);
+    // Home Assistant may have restarted, send discovery and state again
+    mqttDiscovered.clear();
+    instances.filter(i => i.enabled).forEach(instance => publishMachine(instance.id));
+  });
+  
+  mqttClient.on('message', (topic, payload) => {
+    handleMqttCommand(topic, payload);
+  });
+  
+  mqttClient.on('error', (error) => {
+    console.error('MQTT error:', error.message);
+  });
+  
+  machineEvents.on('state', ({ instanceId }) => scheduleMachinePublish(instanceId));
+  machineEvents.on('update', ({ instanceId, update }) => {
+    if (update[0] !== 'log') {
+      scheduleMachinePublish(instanceId);
+    }
+  });
+  machineEvents.on('status', ({ instanceId }) => scheduleMachinePublish(instanceId));
+  
+  // Remove the device from Home Assistant along with the instance
+  machineEvents.on('instanceRemoved', ({ instanceId }) => {
+    const objectId = `folding_control_${instanceId.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+    [['sensor', 'ppd'], ['sensor', 'units'], ['sensor', 'state'], ['binary_sensor', 'connected'],
+      ['switch', 'folding'], ['button', 'finish'], ['number', 'cpus']].forEach(([component, key]) => {
+      mqttClient.publish(`${MQTT_DISCOVERY_PREFIX}/${component}/${objectId}/${key}/config`, '', { retain: true });
+    });
+    ['availability', 'state', 'units'].forEach(topic => {
+      mqttClient.publish(`${MQTT_PREFIX}/${instanceId}/${topic}`, '', { retain: true });
+    });
+    mqttDiscovered.delete(instanceId);
+  });
+}
+
+// Scheduled folding
+// Weekly schedules per instance (or per resource group), evaluated in the schedule's timezone.
+// Each rule is {days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM', action}; the first matching
+// rule wins and defaultAction applies outside all of them. A rule whose end is not after its start
+// runs past midnight. The scheduler compares the wanted action with the last one it applied, so a
+// command is only sent at boundaries (and retried until it succeeds, while the machine is connected
+// and backing off after failures), never against manual changes in between. An override holds a manual action until the next boundary.
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const SCHEDULE_INTERVAL = parseInt(process.env.SCHEDULE_INTERVAL) || 30000;
+const SCHEDULE_ACTIONS = ['fold', 'pause', 'finish'];
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+let schedules = [];
+let scheduleRunning = false;
+// Failed commands are retried after SCHEDULE_INTERVAL, doubling up to this
+const SCHEDULE_MAX_RETRY_DELAY = 15 * 60 * 1000;
+// Schedule ID -> {action, failures, retryAt} for commands that have not succeeded yet
+const scheduleRetries = new Map();
+// Intl formatters are slow to create, keep one per timezone
+const zonedTimeFormats = new Map();
+
+async function loadSchedules() {
+  try {
+    schedules = JSON.parse(await fs.readFile(SCHEDULES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading schedules:', error.message);
+    }
+  }
+}
+
+async function saveSchedules() {
+  try {
+    await fs.writeFile(SCHEDULES_FILE, JSON.stringify(schedules, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving schedules:', error.message);
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 'HH:MM' -> minutes after midnight ('24:00' is allowed as an end)
+function parseScheduleTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return NaN;
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return parseInt(match[2]) < 60 && minutes <= 24 * 60 ? minutes : NaN;
+}
+
+// Wall clock time at `date` in a timezone
+function getZonedTime(date, timeZone) {
+  if (!zonedTimeFormats.has(timeZone)) {
+    zonedTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  zonedTimeFormats.get(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// The instant a wall clock time occurs in a timezone. Times skipped by a DST change
+// are pushed forward by the change (e.g. 02:30 -> 03:30), times repeated by one use the first
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (time) => {
+    const zoned = getZonedTime(new Date(time), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, 0, zoned.minutes) - Math.floor(time / 60000) * 60000;
+  };
+  // DST changes are months apart, so a day either side gives the offsets before and after one
+  const offsetBefore = offsetAt(wallClock - 24 * 60 * 60 * 1000);
+  const offsetAfter = offsetAt(wallClock + 24 * 60 * 60 * 1000);
+  const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter(time => time + offsetAt(time) === wallClock)
+    .sort((a, b) => a - b);
+  // Skipped: read it with the offset from before the change, which lands after the gap
+  return new Date(matches.length ? matches[0] : wallClock - offsetBefore);
+}
+
+// First of the weekly rules ({days, start, end}) covering `date`, or undefined
+function findWeeklyRule(rules, date, timeZone) {
+  const { weekday, minutes } = getZonedTime(date, timeZone);
+  const yesterday = (weekday + 6) % 7;
+  return rules.find(rule => {
+    const start = parseScheduleTime(rule.start);
+    const end = parseScheduleTime(rule.end);
+    if (start < end) {
+      return rule.days.includes(weekday) && minutes >= start && minutes < end;
+    }
+    return (rule.days.includes(weekday) && minutes >= start) || (rule.days.includes(yesterday) && minutes < end);
+  });
+}
+
+// Returns an error message for an invalid weekly rule, or null
+function getWeeklyRuleError(rule) {
+  if (!rule || !Array.isArray(rule.days) || rule.days.length === 0 || rule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Each rule needs days between 0 (Sunday) and 6 (Saturday)';
+  }
+  if (isNaN(parseScheduleTime(rule.start)) || isNaN(parseScheduleTime(rule.end)) || parseScheduleTime(rule.start) === 24 * 60) {
+    return 'Rule start and end must be HH:MM times';
+  }
+  return null;
+}
+
+// The action a schedule wants at `date`
+function getScheduledAction(schedule, date) {
+  const rule = findWeeklyRule(schedule.rules, date, schedule.timezone);
+  return rule ? rule.action : schedule.defaultAction;
+}
+
+// Next time the scheduled action changes within a week: {at, action} or null
+function getNextTransition(schedule, now = new Date()) {
+  const current = getScheduledAction(schedule, now);
+  const today = getZonedTime(now, schedule.timezone);
+  const boundaries = [...new Set(schedule.rules.flatMap(rule => [parseScheduleTime(rule.start), parseScheduleTime(rule.end)]))];
+  const candidates = [];
+  
+  for (let offset = 0; offset <= 8; offset++) {
+    // Date.UTC normalizes day overflow into the next month/year
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    boundaries.forEach(minutes => {
+      const at = zonedTimeToDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), minutes, schedule.timezone);
+      if (at > now) {
+        candidates.push(at);
+      }
+    });
+  }
+  
+  candidates.sort((a, b) => a - b);
+  for (const at of candidates) {
+    const action = getScheduledAction(schedule, at);
+    if (action !== current) {
+      return { at: at.toISOString(), action };
+    }
+  }
+  return null;
+}
+
+// Returns an error message or null
+function validateSchedule(schedule) {
+  if (!instances.some(i => i.id === schedule.instanceId)) {
+    return 'Unknown instance';
+  }
+  if (schedule.group !== null && typeof schedule.group !== 'string') {
+    return 'group must be a group name or null for the whole machine';
+  }
+  if (!isValidTimeZone(schedule.timezone)) {
+    return `Unknown timezone: ${schedule.timezone}`;
+  }
+  if (!SCHEDULE_ACTIONS.includes(schedule.defaultAction)) {
+    return `defaultAction must be one of: ${SCHEDULE_ACTIONS.join(', ')}`;
+  }
+  if (!Array.isArray(schedule.rules)) {
+    return 'rules must be a list';
+  }
+  for (const rule of schedule.rules) {
+    const error = getWeeklyRuleError(rule);
+    if (error) {
+      return error;
+    }
+    if (!SCHEDULE_ACTIONS.includes(rule.action)) {
+      return `Rule action must be one of: ${SCHEDULE_ACTIONS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Send a fold/pause/finish to the schedule's machine or group
+async function applyScheduleAction(schedule, action, actor) {
+  const instance = instances.find(i => i.id === schedule.instanceId);
+  if (!instance || !instance.enabled) {
+    return { success: false, error: 'Instance is not enabled' };
+  }
+  
+  const data = { state: action };
+  if (schedule.group !== null) {
+    data.group = schedule.group;
+  }
+  return fahWebSocketCommand(instance.id, instance.host, instance.port, 'state', data, { actor });
+}
+
+// Schedule as returned by the API, with what it is doing now and next
+function getScheduleStatus(schedule, now = new Date()) {
+  return {
+    ...schedule,
+    scheduledAction: getScheduledAction(schedule, now),
+    next: getNextTransition(schedule, now)
+  };
+}
+
+async function runSchedules() {
+  // A slow command must not overlap the next tick
+  if (scheduleRunning) return;
+  scheduleRunning = true;
+  
+  try {
+    const now = new Date();
+    let changed = false;
+    
+    for (const schedule of schedules.filter(s => s.enabled)) {
+      if (schedule.override) {
+        if (new Date(schedule.override.until) > now) continue;
+        console.log(`Schedule override for ${getMachineName(schedule.instanceId)} expired`);
+        schedule.override = null;
+        changed = true;
+      }
+      
+      const action = getScheduledAction(schedule, now);
+      if (action === schedule.lastAction) {
+        scheduleRetries.delete(schedule.id);
+        continue;
+      }
+      
+      // An offline machine gets the command once it is back, a failing one less and less often
+      const { state } = getConnectionStatus(schedule.instanceId);
+      if (state !== 'online' && state !== 'degraded') continue;
+      const retry = scheduleRetries.get(schedule.id);
+      if (retry && retry.action === action && retry.retryAt > now.getTime()) continue;
+      
+      const result = await applyScheduleAction(schedule, action, { actor: 'scheduler' });
+      if (result.success) {
+        console.log(`Schedule: ${action} ${getMachineName(schedule.instanceId)}${schedule.group !== null ? ` group '${schedule.group}'` : ''}`);
+        schedule.lastAction = action;
+        schedule.lastAppliedAt = now.toISOString();
+        scheduleRetries.delete(schedule.id);
+        changed = true;
+      } else {
+        const failures = retry && retry.action === action ? retry.failures + 1 : 1;
+        const delay = Math.min(SCHEDULE_INTERVAL * 2 ** (failures - 1), SCHEDULE_MAX_RETRY_DELAY);
+        scheduleRetries.set(schedule.id, { action, failures, retryAt: now.getTime() + delay });
+      }
+    }
+    
+    if (changed) {
+      await saveSchedules();
+    }
+  } catch (error) {
+    console.error('Error running schedules:', error.message);
+  } finally {
+    scheduleRunning = false;
+  }
+}
+
+machineEvents.on('instanceRemoved', ({ instanceId }) => {
+  const count = schedules.length;
+  schedules = schedules.filter(schedule => schedule.instanceId !== instanceId);
+  if (schedules.length !== count) {
+    saveSchedules();
+  }
+});
+
+// Energy and cost
+// Power draw is estimated per machine from a wattage profile: idle draw, plus the CPU load
+// share of cpuWatts, plus every GPU in use (per-GPU watts from the profile, or the card's TDP
+// looked up from its description). The tariff has a base rate per kWh and weekly time-of-use
+// periods ({days, start, end, rate}, like schedule rules). Watts and cost per day are recorded
+// with the time series, so energy used and cost can be totalled for any range
+const ENERGY_FILE = path.join(DATA_DIR, 'energy.json');
+const DEFAULT_ENERGY_PROFILE = { idleWatts: 50, cpuWatts: 100, gpuWatts: {} };
+const DEFAULT_GPU_WATTS = 200;
+// Typical board power of common cards, most specific names first
+const GPU_TDP = [
+  [/RTX 4090/i, 450], [/RTX 4080/i, 320], [/RTX 4070 Ti/i, 285], [/RTX 4070/i, 200],
+  [/RTX 4060 Ti/i, 160], [/RTX 4060/i, 115], [/RTX 3090 Ti/i, 450], [/RTX 3090/i, 350],
+  [/RTX 3080 Ti/i, 350], [/RTX 3080/i, 320], [/RTX 3070 Ti/i, 290], [/RTX 3070/i, 220],
+  [/RTX 3060 Ti/i, 200], [/RTX 3060/i, 170], [/RTX 2080 Ti/i, 250], [/RTX 2080/i, 215],
+  [/RTX 2070/i, 175], [/RTX 2060/i, 160], [/GTX 1080 Ti/i, 250], [/GTX 1080/i, 180],
+  [/GTX 1070/i, 150], [/GTX 1060/i, 120], [/RX 7900 XTX/i, 355], [/RX 7900 XT/i, 315],
+  [/RX 6900 XT/i, 300], [/RX 6800 XT/i, 300], [/RX 6800/i, 250], [/RX 6700 XT/i, 230],
+  [/Radeon VII/i, 300]
+];
+let energySettings = {
+  tariff: { currency: 'USD', rate: 0.15, timezone: SERVER_TIMEZONE, periods: [] },
+  profiles: {} // instanceId -> {idleWatts, cpuWatts, gpuWatts: {gpuId: watts}}
+};
+
+async function loadEnergy() {
+  try {
+    const data = JSON.parse(await fs.readFile(ENERGY_FILE, 'utf8'));
+    energySettings = {
+      tariff: { ...energySettings.tariff, ...(data.tariff || {}) },
+      profiles: data.profiles || {}
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading energy settings:', error.message);
+    }
+  }
+}
+
+async function saveEnergy() {
+  try {
+    await fs.writeFile(ENERGY_FILE, JSON.stringify(energySettings, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving energy settings:', error.message);
+  }
+}
+
+function getGpuTDP(description) {
+  const match = GPU_TDP.find(([pattern]) => pattern.test(description || ''));
+  return match ? match[1] : DEFAULT_GPU_WATTS;
+}
+
+// Price per kWh at `date`
+function getTariffRate(date = new Date()) {
+  const { tariff } = energySettings;
+  const period = findWeeklyRule(tariff.periods, date, tariff.timezone);
+  return period ? period.rate : tariff.rate;
+}
+
+// Estimated power draw of a connected machine right now
+function getMachinePower(instanceId, machineState) {
+  const profile = { ...DEFAULT_ENERGY_PROFILE, ...(energySettings.profiles[instanceId] || {}) };
+  const info = machineState.info || {};
+  const groups = machineState.groups || {};
+  
+  // Only units that are running in a group that isn't paused draw power
+  const running = (machineState.units || []).filter(unit =>
+    unit && unit.state === 'RUN' && !((groups[unit.group || ''] || {}).config || {}).paused
+  );
+  const cpus = running.reduce((sum, unit) => sum + (parseInt(unit.cpus) || 0), 0);
+  const cpuLoad = info.cpus ? Math.min(cpus / info.cpus, 1) : 0;
+  const gpuIds = new Set(running.flatMap(unit => unit.gpus || (unit.assignment || {}).gpus || []));
+  
+  const gpus = Object.entries(info.gpus || {}).map(([id, gpu]) => {
+    const configured = profile.gpuWatts[id];
+    return {
+      id,
+      description: gpu.description || id,
+      watts: configured !== undefined ? configured : getGpuTDP(gpu.description),
+      source: configured !== undefined ? 'profile' : 'tdp',
+      active: gpuIds.has(id)
+    };
+  });
+  
+  const cpuWatts = Math.round(profile.cpuWatts * cpuLoad);
+  const gpuWatts = gpus.filter(gpu => gpu.active).reduce((sum, gpu) => sum + gpu.watts, 0);
+  return {
+    watts: profile.idleWatts + cpuWatts + gpuWatts,
+    idleWatts: profile.idleWatts,
+    cpuWatts,
+    gpuWatts,
+    gpus,
+    profiled: !!energySettings.profiles[instanceId]
+  };
+}
+
+// Current power, PPD and cost figures; ppd and watts are per machine or summed for the fleet
+function getEfficiency(ppd, watts, rate) {
+  const kwhPerDay = watts * 24 / 1000;
+  const costPerDay = kwhPerDay * rate;
+  return {
+    ppd,
+    watts,
+    ppdPerWatt: watts > 0 ? Math.round(ppd / watts) : null,
+    kwhPerDay: Math.round(kwhPerDay * 100) / 100,
+    costPerDay: Math.round(costPerDay * 100) / 100,
+    pointsPerCurrency: costPerDay > 0 ? Math.round(ppd / costPerDay) : null
+  };
+}
+
+// Energy used and cost over a range, from the recorded time series
+function getEnergyHistory(seriesKey, range) {
+  const tier = TIMESERIES_TIERS.find(t => t.retention >= TIMESERIES_RANGES[range]);
+  const interval = tier.bucket || TIMESERIES_INTERVAL;
+  const since = Date.now() - TIMESERIES_RANGES[range];
+  const points = (timeSeries[tier.name][seriesKey] || []).filter(point => point.t >= since && point.watts !== undefined);
+  
+  const kwh = points.reduce((sum, point) => sum + point.watts * interval / HOUR / 1000, 0);
+  const cost = points.reduce((sum, point) => sum + (point.cost || 0) * interval / DAY, 0);
+  const credit = points.reduce((sum, point) => sum + (point.ppd || 0) * interval / DAY, 0);
+  return {
+    range,
+    hours: Math.round(points.length * interval / HOUR * 10) / 10,
+    kwh: Math.round(kwh * 100) / 100,
+    cost: Math.round(cost * 100) / 100,
+    points: Math.round(credit),
+    pointsPerKwh: kwh > 0 ? Math.round(credit / kwh) : null
+  };
+}
+
+// Returns an error message or null
+function validateTariff(tariff) {
+  if (typeof tariff.currency !== 'string' || !/^[A-Z]{3}$/.test(tariff.currency)) {
+    return 'currency must be a three-letter code such as USD';
+  }
+  if (typeof tariff.rate !== 'number' || !(tariff.rate >= 0)) {
+    return 'rate must be a price per kWh';
+  }
+  if (!isValidTimeZone(tariff.timezone)) {
+    return `Unknown timezone: ${tariff.timezone}`;
+  }
+  if (!Array.isArray(tariff.periods)) {
+    return 'periods must be a list';
+  }
+  for (const period of tariff.periods) {
+    const error = getWeeklyRuleError(period);
+    if (error) {
+      return error;
+    }
+    if (typeof period.rate !== 'number' || !(period.rate >= 0)) {
+      return 'Each period needs a rate per kWh';
+    }
+  }
+  return null;
+}
+
+// Returns an error message or null
+function validateEnergyProfile(profile) {
+  if (typeof profile.idleWatts !== 'number' || !(profile.idleWatts >= 0)) {
+    return 'idleWatts must be a number of watts';
+  }
+  if (typeof profile.cpuWatts !== 'number' || !(profile.cpuWatts >= 0)) {
+    return 'cpuWatts must be a number of watts';
+  }
+  if (!profile.gpuWatts || typeof profile.gpuWatts !== 'object' || Object.values(profile.gpuWatts).some(watts => typeof watts !== 'number' || !(watts >= 0))) {
+    return 'gpuWatts must map GPU ids to watts';
+  }
+  return null;
+}
+
+machineEvents.on('instanceRemoved', ({ instanceId }) => {
+  if (energySettings.profiles[instanceId]) {
+    delete energySettings.profiles[instanceId];
+    saveEnergy();
+  }
+});
+
+// Backup and restore
+// A single versioned bundle with the fleet's configuration. Runtime data (history, time series,
+// alerts, audit log), accounts and per-user settings are not included
+const BACKUP_FORMAT = 'folding-control-backup';
+const BACKUP_VERSION = 1;
+// Config flags that are folding state rather than configuration
+const RUNTIME_CONFIG_SETTINGS = ['paused', 'finish'];
+// Ids from a bundle end up in the page's onclick handlers, only ids shaped like the generated ones are kept
+const BACKUP_ID_PATTERNS = {
+  instance: /^instance-\d+$/,
+  schedule: /^schedule-\d+(-\d+)?$/,
+  webhook: /^webhook-\d+(-\d+)?$/
+};
+
+function getMachineConfigBackup(machineState) {
+  const config = JSON.parse(JSON.stringify(getAuditConfig(machineState)));
+  if (!config) return null;
+  [config, ...Object.values(config.groups)].forEach(settings => {
+    RUNTIME_CONFIG_SETTINGS.forEach(setting => delete settings[setting]);
+  });
+  return config;
+}
+
+// The proxy without its user name and password
+function getProxyWithoutCredentials(proxy) {
+  const url = new URL(proxy);
+  url.username = '';
+  url.password = '';
+  return url.toString();
+}
+
+// Without includeSecrets, webhook URLs (their tokens are part of the URL), proxy credentials
+// and passkeys are left out and the bundle is marked with secrets: false
+function createBackup(includeMachineConfigs, includeSecrets) {
+  const bundle = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    secrets: includeSecrets,
+    instances: instances.filter(i => i.id !== 'local').map(({ id, name, host, port, enabled }) => ({ id, name, host, port, enabled })),
+    schedules: schedules.map(({ id, instanceId, group, timezone, defaultAction, rules, enabled }) => ({ id, instanceId, group, timezone, defaultAction, rules, enabled })),
+    alertRules,
+    webhooks: webhooks.map(({ id, name, url, format, events, enabled }) => ({ id, name, url: includeSecrets ? url : null, format, events, enabled })),
+    energy: energySettings,
+    ui: dashboardSettings.global,
+    outbound: {
+      ...outboundPolicy,
+      proxy: outboundPolicy.proxy && !includeSecrets ? getProxyWithoutCredentials(outboundPolicy.proxy) : outboundPolicy.proxy
+    }
+  };
+  
+  if (includeMachineConfigs) {
+    bundle.machineConfigs = {};
+    instances.filter(i => i.enabled).forEach(instance => {
+      const config = getMachineConfigBackup(machineData.get(`${instance.id}:${instance.host}:${instance.port}`));
+      if (config) {
+        if (!includeSecrets) delete config.passkey;
+        bundle.machineConfigs[instance.id] = config;
+      }
+    });
+  }
+  return bundle;
+}
+
+// Returns an error message or null; entries are validated again as they are restored
+function validateBackup(bundle) {
+  if (!bundle || bundle.format !== BACKUP_FORMAT) {
+    return 'Not a Folding Control backup';
+  }
+  if (!(bundle.version <= BACKUP_VERSION)) {
+    return `Backup version ${bundle.version} is newer than this server supports (${BACKUP_VERSION})`;
+  }
+  for (const field of ['instances', 'schedules', 'webhooks']) {
+    if (bundle[field] !== undefined && !Array.isArray(bundle[field])) {
+      return `${field} must be a list`;
+    }
+  }
+  if ((bundle.instances || []).some(instance => !instance || !instance.id || typeof instance.name !== 'string' || typeof instance.host !== 'string')) {
+    return 'Each instance needs an id, name and host';
+  }
+  return null;
+}
+
+// mode 'merge' adds what is missing and leaves existing entries and settings alone,
+// 'replace' makes this install match the bundle (the local instance always stays)
+async function restoreBackup(req, bundle, mode, applyMachineConfigs) {
+  const report = {
+    instances: { added: [], kept: [], removed: [] },
+    schedules: { added: 0, skipped: [] },
+    webhooks: { added: 0, skipped: [] },
+    alertRules: false,
+    energy: { tariff: false, profiles: 0 },
+    settings: false,
+    outbound: false,
+    machineConfigs: { applied: [], failed: [] }
+  };
+  // Bundle instance id -> id on this install
+  const idMap = new Map([['local', 'local']]);
+  // Settings a restore overwrites are audited like the matching PUT routes, when they change
+  const auditChanges = (action, changes) => {
+    if (changes.length > 0) {
+      appendAudit({ ...getAuditActor(req), action, changes, details: { backup: mode } });
+    }
+  };
+  
+  if (mode === 'replace') {
+    instances.filter(i => i.id !== 'local').forEach(instance => {
+      appendAudit({ ...getAuditActor(req), action: 'instance.remove', instanceId: instance.id, instance: instance.name, details: { host: instance.host, port: instance.port } });
+      stopSupervising(instance.id);
+      connectionStatus.delete(instance.id);
+      machineEvents.emit('instanceRemoved', { instanceId: instance.id });
+      report.instances.removed.push(instance.name);
+    });
+    instances = instances.filter(i => i.id === 'local');
+  }
+  
+  (bundle.instances || []).forEach(item => {
+    const port = parseInt(item.port) || 7396;
+    const existing = instances.find(i => i.host === item.host && i.port === port);
+    if (existing) {
+      idMap.set(item.id, existing.id);
+      report.instances.kept.push(existing.name);
+      return;
+    }
+    // Keep the bundle's id where possible so the instance keeps its identity across installs
+    const id = BACKUP_ID_PATTERNS.instance.test(item.id) && !instances.some(i => i.id === item.id) ? item.id : null;
+    const instance = createInstance(req, { name: item.name, host: item.host, port }, id);
+    if (item.enabled === false) {
+      instance.enabled = false;
+      stopSupervising(instance.id, 'disabled');
+    }
+    idMap.set(item.id, instance.id);
+    report.instances.added.push(instance.name);
+  });
+  await saveInstances();
+  
+  if (mode === 'replace') {
+    schedules = [];
+    webhooks = [];
+    energySettings.profiles = {};
+  }
+  
+  (bundle.schedules || []).forEach(item => {
+    const schedule = {
+      ...item,
+      id: schedules.some(s => s.id === item.id) || !BACKUP_ID_PATTERNS.schedule.test(item.id) ? `schedule-${Date.now()}-${schedules.length}` : item.id,
+      instanceId: idMap.get(item.instanceId),
+      group: item.group === undefined ? null : item.group,
+      enabled: item.enabled !== false,
+      override: null,
+      lastAction: null,
+      lastAppliedAt: null
+    };
+    if (schedules.some(s => s.instanceId === schedule.instanceId && s.group === schedule.group)) {
+      report.schedules.skipped.push({ id: item.id, reason: 'Already scheduled' });
+      return;
+    }
+    const error = validateSchedule(schedule);
+    if (error) {
+      report.schedules.skipped.push({ id: item.id, reason: error });
+      return;
+    }
+    schedules.push(schedule);
+    report.schedules.added++;
+  });
+  await saveSchedules();
+  
+  (bundle.webhooks || []).forEach(item => {
+    const webhook = {
+      ...item,
+      id: webhooks.some(w => w.id === item.id) || !BACKUP_ID_PATTERNS.webhook.test(item.id) ? `webhook-${Date.now()}-${webhooks.length}` : item.id,
+      enabled: item.enabled !== false,
+      lastDelivery: null
+    };
+    if (!webhook.url && bundle.secrets === false) {
+      report.webhooks.skipped.push({ name: item.name, reason: 'The backup was exported without secrets, add the URL again' });
+      return;
+    }
+    if (webhooks.some(w => w.url === webhook.url)) {
+      report.webhooks.skipped.push({ name: item.name, reason: 'Already configured' });
+      return;
+    }
+    const error = validateWebhook(webhook);
+    if (error) {
+      report.webhooks.skipped.push({ name: item.name, reason: error });
+      return;
+    }
+    webhooks.push(webhook);
+    report.webhooks.added++;
+  });
+  await saveWebhooks();
+  
+  if (mode === 'replace' && bundle.alertRules) {
+    const before = JSON.parse(JSON.stringify(alertRules));
+    for (const rule in DEFAULT_ALERT_RULES) {
+      const settings = bundle.alertRules[rule] || {};
+      alertRules[rule] = { ...DEFAULT_ALERT_RULES[rule] };
+      for (const setting in DEFAULT_ALERT_RULES[rule]) {
+        if (typeof settings[setting] === typeof DEFAULT_ALERT_RULES[rule][setting]) {
+          alertRules[rule][setting] = settings[setting];
+        }
+      }
+    }
+    await saveAlerts();
+    auditChanges('alert.rules', diffConfig(before, alertRules));
+    report.alertRules = true;
+  }
+  
+  if (bundle.energy) {
+    const tariff = { ...energySettings.tariff, ...(bundle.energy.tariff || {}) };
+    if (mode === 'replace' && bundle.energy.tariff && !validateTariff(tariff)) {
+      auditChanges('energy.tariff', diffConfig(energySettings.tariff, tariff));
+      energySettings.tariff = tariff;
+      report.energy.tariff = true;
+    }
+    Object.entries(bundle.energy.profiles || {}).forEach(([bundleId, profile]) => {
+      const instanceId = idMap.get(bundleId);
+      if (!instanceId || energySettings.profiles[instanceId] || validateEnergyProfile({ ...DEFAULT_ENERGY_PROFILE, ...profile })) {
+        return;
+      }
+      energySettings.profiles[instanceId] = { ...DEFAULT_ENERGY_PROFILE, ...profile };
+      report.energy.profiles++;
+    });
+    await saveEnergy();
+  }
+  
+  if (bundle.ui) {
+    const ui = { ...bundle.ui };
+    // Older bundles were written by the browser, with the EOC user ID as text
+    if (typeof ui.eocUserId === 'string') {
+      ui.eocUserId = parseInt(ui.eocUserId) || null;
+    }
+    const current = dashboardSettings.global;
+    const restored = mode === 'replace'
+      ? { ...DEFAULT_SETTINGS, ...ui }
+      : {
+          ...current,
+          teams: [...current.teams, ...(ui.teams || []).filter(team => !current.teams.some(t => t.number === team.number))],
+          eocUserId: current.eocUserId || ui.eocUserId || null,
+          customCss: current.customCss || ui.customCss || ''
+        };
+    const settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => { settings[key] = restored[key]; });
+    if (!validateSettings(settings, Object.keys(DEFAULT_SETTINGS))) {
+      dashboardSettings.global = cleanSettings(settings);
+      await saveSettings();
+      auditChanges('settings.update', diffConfig(getAuditSettings(current), getAuditSettings(dashboardSettings.global)));
+      broadcastSettingsChange();
+      report.settings = true;
+    }
+  }
+  
+  if (mode === 'replace' && bundle.outbound) {
+    const policy = { allowlist: bundle.outbound.allowlist || [], proxy: bundle.outbound.proxy || null };
+    const error = validateOutboundPolicy(policy);
+    // Exported without secrets the proxy has no credentials, keep the ones configured here for the same proxy
+    if (!error && bundle.secrets === false && policy.proxy && outboundPolicy.proxy && getProxyWithoutCredentials(outboundPolicy.proxy) === policy.proxy) {
+      policy.proxy = outboundPolicy.proxy;
+    }
+    if (!error) {
+      const before = outboundPolicy;
+      outboundPolicy = policy;
+      await saveOutboundPolicy();
+      auditChanges('outbound.update', diffConfig(getAuditOutboundPolicy(before), getAuditOutboundPolicy(outboundPolicy)));
+      report.outbound = true;
+    }
+  }
+  
+  // Pushed to the clients, machines that are offline are reported as failed
+  if (applyMachineConfigs) {
+    for (const [bundleId, config] of Object.entries(bundle.machineConfigs || {})) {
+      const instance = instances.find(i => i.id === idMap.get(bundleId));
+      if (!instance || !instance.enabled) {
+        report.machineConfigs.failed.push({ instanceId: bundleId, error: 'Instance is not enabled' });
+        continue;
+      }
+      const result = await fahWebSocketCommand(instance.id, instance.host, instance.port, 'config', { config }, { actor: getAuditActor(req) });
+      if (result.success) {
+        report.machineConfigs.applied.push(instance.id);
+      } else {
+        report.machineConfigs.failed.push({ instanceId: instance.id, error: result.error || 'Not acknowledged' });
+      }
+    }
+  }
+  
+  runSchedules();
+  return report;
+}
+
+// Network discovery
+// Scans an IPv4 CIDR range for FAH clients by opening the same WebSocket endpoint the
+// connection supervisor uses; the client sends its full state (with info.mach_name) right away.
+// Scans run in the background as jobs and are polled for progress
+const DISCOVERY_PORT = 7396;
+const DISCOVERY_CONCURRENCY = parseInt(process.env.DISCOVERY_CONCURRENCY) || 64;
+const DISCOVERY_TIMEOUT = parseInt(process.env.DISCOVERY_TIMEOUT) || 1500;
+const DISCOVERY_MAX_HOSTS = 65536; // a /16
+const DISCOVERY_JOB_TTL = HOUR;
+const discoveryJobs = new Map(); // jobId -> job
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((n, octet) => n * 256 + parseInt(octet), 0);
+}
+
+function intToIp(n) {
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+}
+
+// Returns {first, last} host addresses (network and broadcast excluded up to /30), or null if invalid
+function parseCidr(cidr) {
+  const match = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(cidr).trim());
+  if (!match || match[1].split('.').some(octet => parseInt(octet) > 255)) {
+    return null;
+  }
+  const prefix = parseInt(match[2]);
+  if (prefix > 32) {
+    return null;
+  }
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ipToInt(match[1]) / size) * size;
+  return size > 2
+    ? { first: network + 1, last: network + size - 2 }
+    : { first: network, last: network + size - 1 };
+}
+
+// The server's own IPv4 subnets, narrowed to the /24 around the server's address
+// so the default scan stays quick on large networks
+function getLocalSubnets() {
+  return Object.values(os.networkInterfaces()).flat()
+    .filter(address => address && address.family === 'IPv4' && !address.internal)
+    .map(address => {
+      const prefix = Math.max(parseInt(address.cidr.split('/')[1]), 24);
+      const size = 2 ** (32 - prefix);
+      return `${intToIp(Math.floor(ipToInt(address.address) / size) * size)}/${prefix}`;
+    })
+    .filter((cidr, index, all) => all.indexOf(cidr) === index);
+}
+
+// Resolves {host, port, name, hostname, version} for a FAH client, or null
+function probeFAHClient(host, port, timeout) {
+  return new Promise(resolve => {
+    const ws = new WebSocket(getFAHWebSocketUrl(host, port), { handshakeTimeout: timeout });
+    const finish = (result) => {
+      clearTimeout(timer);
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+    
+    ws.on('message', (rawData) => {
+      try {
+        const message = JSON.parse(rawData.toString());
+        const info = message && !Array.isArray(message) && message.info;
+        finish(info ? {
+          host,
+          port,
+          name: info.mach_name || info.hostname || host,
+          hostname: info.hostname || null,
+          version: info.version || null
+        } : null);
+      } catch (error) {
+        finish(null);
+      }
+    });
+    ws.on('unexpected-response', () => finish(null));
+    ws.on('error', () => finish(null));
+    ws.on('close', () => finish(null));
+  });
+}
+
+function getPublicDiscoveryJob(job) {
+  const { cancelled, ...publicJob } = job;
+  return {
+    ...publicJob,
+    // Mark machines that are already configured
+    found: job.found.map(machine => {
+      const instance = instances.find(i => i.host === machine.host && i.port === machine.port);
+      return { ...machine, instanceId: instance ? instance.id : null };
+    })
+  };
+}
+
+async function runDiscoveryJob(job, ranges) {
+  const hosts = (function* () {
+    for (const range of ranges) {
+      for (let n = range.first; n <= range.last; n++) {
+        yield intToIp(n);
+      }
+    }
+  })();
+  
+  // A fixed number of workers pulling from the same host list
+  const worker = async () => {
+    for (const host of hosts) {
+      if (job.cancelled) return;
+      const machine = await probeFAHClient(host, job.port, job.timeout);
+      job.scanned++;
+      if (machine) {
+        job.found.push(machine);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(job.concurrency, job.total) }, worker));
+  
+  job.status = job.cancelled ? 'cancelled' : 'done';
+  job.finishedAt = new Date().toISOString();
+  setTimeout(() => discoveryJobs.delete(job.id), DISCOVERY_JOB_TTL).unref();
+}
+
+// Get all instances (with their connection status)
+app.get('/api/instances', (req, res) => {
+  res.json(instances.map(instance => ({
+    ...instance,
+    status: getConnectionStatus(instance.id)
+  })));
+});
+
+// Adds and starts supervising an instance; the caller saves instances.json
+function createInstance(req, { name, host, port = 7396 }, id = null) {
+  // Ids are timestamps, bulk adds happen within the same millisecond
+  let timestamp = Date.now();
+  while (!id && instances.some(i => i.id === `instance-${timestamp}`)) timestamp++;
+  
+  const newInstance = {
+    id: id || `instance-${timestamp}`,
+    name,
+    host,
+    port: parseInt(port) || 7396,
+    enabled: true
+  };
+  
+  instances.push(newInstance);
+  appendAudit({ ...getAuditActor(req), action: 'instance.add', instanceId: newInstance.id, instance: name, details: { host, port: newInstance.port } });
+  superviseInstance(newInstance);
+  return newInstance;
+}
+
+// Add a new instance
+app.post('/api/instances', requireRole('admin'), async (req, res) => {
+  const { name, host, port } = req.body;
+  
+  if (!name || !host) {
+    return res.status(400).json({ error: 'Name and host are required' });
+  }
+  
+  const newInstance = createInstance(req, { name, host, port });
+  await saveInstances();
+  res.json(newInstance);
+});
+
+// Add several instances at once, e.g. from a network scan
+// Body: {instances: [{name, host, port}]} - hosts already configured on the same port are skipped
+app.post('/api/instances/bulk', requireRole('admin'), async (req, res) => {
+  const list = req.body && req.body.instances;
+  
+  if (!Array.isArray(list) || list.length === 0) {
+    return res.status(400).json({ error: 'instances must be a non-empty list' });
+  }
+  if (list.some(item => !item || !item.name || !item.host)) {
+    return res.status(400).json({ error: 'Name and host are required for each instance' });
+  }
+  
+  const added = [];
+  const skipped = [];
+  list.forEach(item => {
+    const port = parseInt(item.port) || 7396;
+    if (instances.some(i => i.host === item.host && i.port === port)) {
+      skipped.push({ name: item.name, host: item.host, port, reason: 'Already configured' });
+      return;
+    }
+    added.push(createInstance(req, { ...item, port }));
+  });
+  
+  if (added.length > 0) {
+    await saveInstances();
+  }
+  res.json({ added, skipped });
+});
+
+// Edit an instance without losing its id (and with it its history, schedules and settings)
+// Body: any of {name, host, port, enabled}
+app.patch('/api/instances/:id', requireRole('admin'), async (req, res) => {
+  const instance = instances.find(i => i.id === req.params.id);
+  const { name, host, port, enabled } = req.body || {};
+  
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  // Only the local instance's name and enabled flag are saved, its address is fixed
+  if (instance.id === 'local' && ((host !== undefined && host !== instance.host) || (port !== undefined && parseInt(port) !== instance.port))) {
+    return res.status(400).json({ error: 'The address of the local instance cannot be changed' });
+  }
+  
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'Name cannot be empty' });
+  }
+  if (host !== undefined && (typeof host !== 'string' || !host.trim())) {
+    return res.status(400).json({ error: 'Host cannot be empty' });
+  }
+  const portNumber = port !== undefined ? parseInt(port) : instance.port;
+  if (!(portNumber >= 1 && portNumber <= 65535)) {
+    return res.status(400).json({ error: 'Invalid port' });
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+  
+  const updated = {
+    ...instance,
+    name: name !== undefined ? name.trim() : instance.name,
+    host: host !== undefined ? host.trim() : instance.host,
+    port: portNumber,
+    enabled: enabled !== undefined ? enabled : instance.enabled
+  };
+  if (instances.some(i => i.id !== instance.id && i.host === updated.host && i.port === updated.port)) {
+    return res.status(409).json({ error: `${updated.host}:${updated.port} is already configured` });
+  }
+  
+  const before = { ...instance };
+  Object.assign(instance, updated);
+  await saveInstances();
+  appendAudit({ ...getAuditActor(req), action: 'instance.update', instanceId: instance.id, instance: instance.name, changes: diffConfig(before, instance) });
+  
+  // A new address replaces the connection, disabling closes it
+  if (instance.enabled) {
+    superviseInstance(instance);
+  } else {
+    stopSupervising(instance.id, 'disabled');
+  }
+  res.json({ ...instance, status: getConnectionStatus(instance.id) });
+});
+
+// Remove an instance
+app.delete('/api/instances/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const index = instances.findIndex(i => i.id === id);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  // Don't allow removing the local instance
+  if (instances[index].id === 'local') {
+    return res.status(400).json({ error: 'Cannot remove local instance' });
+  }
+  
+  const [removed] = instances.splice(index, 1);
+  await saveInstances();
+  appendAudit({ ...getAuditActor(req), action: 'instance.remove', instanceId: id, instance: removed.name, details: { host: removed.host, port: removed.port } });
+  stopSupervising(id);
+  connectionStatus.delete(id);
+  machineEvents.emit('instanceRemoved', { instanceId: id });
+  res.json({ success: true });
+});
+
+// Start a network scan (admin)
+// Body: {cidr: '192.168.1.0/24' (comma-separated for several, default: the server's subnets), port, concurrency, timeout}
+app.post('/api/discovery', requireRole('admin'), (req, res) => {
+  const { cidr, port = DISCOVERY_PORT, concurrency = DISCOVERY_CONCURRENCY, timeout = DISCOVERY_TIMEOUT } = req.body || {};
+  
+  if ([...discoveryJobs.values()].some(job => job.status === 'running')) {
+    return res.status(409).json({ error: 'A scan is already running' });
+  }
+  
+  const cidrs = cidr ? String(cidr).split(',').map(c => c.trim()).filter(Boolean) : getLocalSubnets();
+  if (cidrs.length === 0) {
+    return res.status(400).json({ error: 'No local IPv4 subnets found, enter a range to scan' });
+  }
+  const ranges = cidrs.map(parseCidr);
+  if (ranges.some(range => !range)) {
+    return res.status(400).json({ error: 'Ranges must be IPv4 CIDR blocks such as 192.168.1.0/24' });
+  }
+  const total = ranges.reduce((sum, range) => sum + range.last - range.first + 1, 0);
+  if (total > DISCOVERY_MAX_HOSTS) {
+    return res.status(400).json({ error: `Scans are limited to ${DISCOVERY_MAX_HOSTS} addresses (a /16)` });
+  }
+  const portNumber = parseInt(port);
+  if (!(portNumber >= 1 && portNumber <= 65535)) {
+    return res.status(400).json({ error: 'Invalid port' });
+  }
+  
+  const job = {
+    id: crypto.randomUUID(),
+    cidrs,
+    port: portNumber,
+    concurrency: Math.min(Math.max(parseInt(concurrency) || DISCOVERY_CONCURRENCY, 1), 512),
+    timeout: Math.min(Math.max(parseInt(timeout) || DISCOVERY_TIMEOUT, 100), 30000),
+    total,
+    scanned: 0,
+    found: [],
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    by: getAuditActor(req).actor,
+    cancelled: false
+  };
+  discoveryJobs.set(job.id, job);
+  appendAudit({ ...getAuditActor(req), action: 'discovery.scan', details: { cidrs, port: job.port } });
+  
+  runDiscoveryJob(job, ranges).catch(error => {
+    console.error('Error running network scan:', error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  });
+  res.status(202).json(getPublicDiscoveryJob(job));
+});
+
+// The server's subnets (the default scan range)
+app.get('/api/discovery/subnets', requireRole('admin'), (req, res) => {
+  res.json({ subnets: getLocalSubnets(), port: DISCOVERY_PORT, concurrency: DISCOVERY_CONCURRENCY, timeout: DISCOVERY_TIMEOUT });
+});
+
+// Scan progress and the clients found so far
+app.get('/api/discovery/:id', requireRole('admin'), (req, res) => {
+  const job = discoveryJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  res.json(getPublicDiscoveryJob(job));
+});
+
+// Stop a running scan, keeping what it found
+app.delete('/api/discovery/:id', requireRole('admin'), (req, res) => {
+  const job = discoveryJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  job.cancelled = true;
+  res.json({ success: true });
+});
+
+// Download the configuration bundle (admin), ?machineConfigs=true adds the configs of connected machines,
+// ?secrets=true the webhook URLs, proxy credentials and passkeys
+app.get('/api/backup', requireRole('admin'), (req, res) => {
+  const includeMachineConfigs = req.query.machineConfigs === 'true';
+  const includeSecrets = req.query.secrets === 'true';
+  appendAudit({ ...getAuditActor(req), action: 'backup.export', details: { machineConfigs: includeMachineConfigs, secrets: includeSecrets } });
+  res.json(createBackup(includeMachineConfigs, includeSecrets));
+});
+
+// Restore a bundle (admin)
+// Body: {bundle, mode: 'merge' | 'replace', machineConfigs: true to push machine configs to the clients}
+app.post('/api/backup', requireRole('admin'), async (req, res) => {
+  const { bundle, mode = 'merge', machineConfigs = false } = req.body || {};
+  
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be merge or replace' });
+  }
+  const error = validateBackup(bundle);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const report = await restoreBackup(req, bundle, mode, !!machineConfigs);
+  appendAudit({ ...getAuditActor(req), action: 'backup.import', details: { mode, exportedAt: bundle.exportedAt, machineConfigs: !!machineConfigs } });
+  res.json(report);
+});
+
+// Fold, pause or finish a single resource group (FAH v8.4)
+// Body: {group: 'name'} - the default group is named ''
+const GROUP_ACTIONS = ['fold', 'pause', 'finish'];
+
+app.post('/api/fah/:instanceId/groups/:action', requireRole('operator'), async (req, res) => {
+  const { instanceId, action } = req.params;
+  const { group } = req.body || {};
+  const instance = instances.find(i => i.id === instanceId);
+  
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  if (!instance.enabled) {
+    return res.status(400).json({ error: 'Instance is disabled' });
+  }
+  
+  if (!GROUP_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Action must be one of: ${GROUP_ACTIONS.join(', ')}` });
+  }
+  
+  if (typeof group !== 'string') {
+    return res.status(400).json({ error: 'Group name is required' });
+  }
+  
+  const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+  if (machineState && !(machineState.groups || {})[group]) {
+    return res.status(404).json({ error: `Group '${group}' not found` });
+  }
+  
+  const options = { timeout: parseInt(req.query.timeout) || undefined, actor: getAuditActor(req) };
+  const result = await fahWebSocketCommand(instanceId, instance.host, instance.port, 'state', { state: action, group }, options);
+  
+  if (result.success) {
+    res.json(result.data);
+  } else {
+    // Return 200 with error info instead of 500, so frontend can handle gracefully
+    res.status(200).json({
+      error: true,
+      message: result.error,
+      connected: result.acknowledged === false ? result.connected : false,
+      acknowledged: false
+    });
+  }
+});
+
+// Proxy endpoints answered from the machine state
+const FAH_READ_ENDPOINTS = ['info', 'slots', 'units', 'log'];
+// Commands operators may send (the rest, including config, is admin-only)
+const FAH_OPERATOR_ENDPOINTS = ['pause', 'unpause', 'fold', 'finish', 'dump'];
+
+// Role a proxy endpoint needs: reading is open to everyone, fold/pause/finish and unit actions
+// need an operator, anything else reaches the client as a raw command and needs an admin
+function getFahEndpointRole(endpoint) {
+  if (FAH_READ_ENDPOINTS.includes(endpoint) || /^queue\/\d+$/.test(endpoint)) {
+    return 'viewer';
+  }
+  return FAH_OPERATOR_ENDPOINTS.includes(endpoint) ? 'operator' : 'admin';
+}
+
+// Proxy request to a specific FAH instance
+app.all('/api/fah/:instanceId/*', async (req, res) => {
+  const { instanceId } = req.params;
+  const endpoint = req.params[0];
+  const instance = instances.find(i => i.id === instanceId);
+  
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  if (!instance.enabled) {
+    return res.status(400).json({ error: 'Instance is disabled' });
+  }
+  
+  const requiredRole = getFahEndpointRole(endpoint);
+  if (!hasRole(req.user, requiredRole)) {
+    return res.status(403).json({ error: `This requires the ${requiredRole} role` });
+  }
+  // Commands change the machine, a GET (a link, a prefetch) must not
+  if (requiredRole !== 'viewer' && req.method !== 'POST') {
+    return res.status(405).json({ error: `${endpoint} is a command, send it as a POST` });
+  }
+  
+  if (req.body && typeof req.body === 'object' && ('cmd' in req.body || 'time' in req.body)) {
+    return res.status(400).json({ error: 'The request body must not contain cmd or time' });
+  }
+  
+  // Optional per-request acknowledgement timeout, e.g. ?timeout=30000
+  const options = { timeout: parseInt(req.query.timeout) || undefined, actor: getAuditActor(req) };
+  
+  // Handle config command specially (use WebSocket)
+  if (endpoint === 'config' && req.method === 'POST') {
+    try {
+      const { config } = req.body;
+      if (!config) {
+        return res.status(400).json({ error: 'Config object required' });
+      }
+      
+      const result = await fahWebSocketCommand(instanceId, instance.host, instance.port, 'config', { config }, options);
+      if (result.success) {
+        res.json({ success: true, acknowledged: true });
+      } else {
+        res.status(200).json({ 
+          error: true, 
+          message: result.error || 'Failed to save config',
+          connected: !!result.connected,
+          acknowledged: false
         });
       }
-      return;
+      return;
+    } catch (error) {
+      console.error(`Error saving config for ${instanceId}:`, error);
+      res.status(200).json({ 
+        error: true, 
+        message: error.message,
+        connected: false 
+      });
+      return;
+    }
+  }
+  
+  const result = await fahRequest(
+    instanceId,
+    instance.host,
+    instance.port,
+    endpoint,
+    req.method,
+    req.body,
+    options
+  );
+  
+  if (result.success) {
+    res.json(result.data);
+  } else if (result.acknowledged === false) {
+    // The command was sent, but the client did not apply it
+    res.status(200).json({
+      error: true,
+      message: result.error,
+      connected: result.connected,
+      acknowledged: false
+    });
+  } else {
+    // Return 200 with error info instead of 500, so frontend can handle gracefully
+    res.status(200).json({ 
+      error: true, 
+      message: result.error,
+      connected: false 
+    });
+  }
+});
+
+// Test FAH instance connectivity (admin: the older endpoints are sent to the client as raw commands)
+app.get('/api/test/:instanceId', requireRole('admin'), async (req, res) => {
+  const { instanceId } = req.params;
+  const instance = instances.find(i => i.id === instanceId);
+  
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  if (!instance.enabled) {
+    return res.status(400).json({ error: 'Instance is disabled' });
+  }
+  
+  // Try common FAH API endpoints
+  const testEndpoints = [
+    'info',
+    'slots',
+    'queue/0',
+    'queue',
+    'api/info',
+    'api/slots',
+    'api/queue/0'
+  ];
+  
+  const results = {};
+  const options = { actor: getAuditActor(req) };
+  for (const endpoint of testEndpoints) {
+    const result = await fahRequest(instanceId, instance.host, instance.port, endpoint, 'GET', null, options);
+    results[endpoint] = result.success ? 'OK' : result.error;
+  }
+  
+  res.json({
+    instance: instance.name,
+    host: `${instance.host}:${instance.port}`,
+    tests: results
+  });
+});
+
+// Get aggregated data from all instances (GET), or send fold/pause/finish to all of them (POST)
+// Only the endpoints of the per-machine proxy that need no admin are allowed, with the same roles
+app.all('/api/aggregate/*', async (req, res) => {
+  const endpoint = req.params[0];
+  const results = {};
+  
+  const requiredRole = getFahEndpointRole(endpoint);
+  if (requiredRole === 'admin') {
+    return res.status(400).json({ error: `Unknown endpoint, use one of: ${[...FAH_READ_ENDPOINTS, 'queue/<n>', ...FAH_OPERATOR_ENDPOINTS].join(', ')}` });
+  }
+  if (req.method !== (requiredRole === 'viewer' ? 'GET' : 'POST')) {
+    return res.status(405).json({ error: `Use ${requiredRole === 'viewer' ? 'GET' : 'POST'} for ${endpoint}` });
+  }
+  if (!hasRole(req.user, requiredRole)) {
+    return res.status(403).json({ error: `This requires the ${requiredRole} role` });
+  }
+  if (req.body && typeof req.body === 'object' && ('cmd' in req.body || 'time' in req.body)) {
+    return res.status(400).json({ error: 'The request body must not contain cmd or time' });
+  }
+  
+  const options = { timeout: parseInt(req.query.timeout) || undefined, actor: getAuditActor(req) };
+  const promises = instances
+    .filter(i => i.enabled)
+    .map(async (instance) => {
+      const result = await fahRequest(instance.id, instance.host, instance.port, endpoint, req.method, req.body, options);
+      return { instanceId: instance.id, instanceName: instance.name, result };
+    });
+  
+  const responses = await Promise.all(promises);
+  
+  responses.forEach(({ instanceId, instanceName, result }) => {
+    results[instanceId] = {
+      name: instanceName,
+      ...result
+    };
+  });
+  
+  res.json(results);
+});
+
+// Query work unit history
+// Filters: ?machine= (instance id or machine name), ?project=, ?from= and ?to= (dates), ?limit=
+app.get('/api/history', (req, res) => {
+  const { machine, project } = req.query;
+  const from = req.query.from ? new Date(req.query.from).getTime() : null;
+  const to = req.query.to ? new Date(req.query.to).getTime() : null;
+  const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+  
+  // A repeated parameter (?machine=a&machine=b) arrives as an array
+  if ((machine !== undefined && typeof machine !== 'string') || (project !== undefined && typeof project !== 'string')) {
+    return res.status(400).json({ error: 'machine and project must be given once' });
+  }
+  if ((from !== null && isNaN(from)) || (to !== null && isNaN(to))) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+  
+  const entries = [...workUnitHistory.values()].filter(entry => {
+    if (machine && entry.instanceId !== machine && (entry.machine || '').toLowerCase() !== machine.toLowerCase()) {
+      return false;
+    }
+    if (project && String(entry.project) !== String(project)) {
+      return false;
+    }
+    // Keep units that were folding at any point in the range
+    const started = new Date(entry.startedAt).getTime();
+    const ended = entry.endedAt ? new Date(entry.endedAt).getTime() : Date.now();
+    if (from !== null && ended < from) {
+      return false;
+    }
+    if (to !== null && started > to) {
+      return false;
+    }
+    return true;
+  }).sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  
+  // Entries recorded before outcomes were stored get theirs worked out
+  res.json({ total: entries.length, units: entries.slice(0, limit).map(entry => entry.endedAt ? { ...entry, outcome: getUnitOutcome(entry) } : entry) });
+});
+
+// Audit log, newest first (admins only)
+// Filters: actor, instance (id or name), action (prefix, e.g. "fah." or "fah.config"), from, to, limit; ?format=csv to download
+const AUDIT_CSV_COLUMNS = ['time', 'actor', 'tokenId', 'ip', 'action', 'instanceId', 'instance', 'result', 'error', 'data', 'changes', 'details', 'method', 'path', 'status'];
+
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const { actor, instance, action, format } = req.query;
+  const from = req.query.from ? new Date(req.query.from).getTime() : null;
+  const to = req.query.to ? new Date(req.query.to).getTime() : null;
+  const limit = Math.min(parseInt(req.query.limit) || 500, 10000);
+  
+  if ((from !== null && isNaN(from)) || (to !== null && isNaN(to))) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+  
+  let entries;
+  try {
+    entries = await readAudit();
+  } catch (error) {
+    return res.status(500).json({ error: `Error reading audit log: ${error.message}` });
+  }
+  
+  entries = entries.filter(entry => {
+    const time = new Date(entry.time).getTime();
+    if (actor && entry.actor !== actor) return false;
+    if (instance && entry.instanceId !== instance && (entry.instance || '').toLowerCase() !== instance.toLowerCase()) return false;
+    if (action && !(entry.action || '').startsWith(action)) return false;
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    return true;
+  }).reverse();
+  const total = entries.length;
+  entries = entries.slice(0, limit);
+  
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="audit.csv"');
+    return res.send([
+      AUDIT_CSV_COLUMNS.join(','),
+      ...entries.map(entry => AUDIT_CSV_COLUMNS.map(column => escapeCsvValue(entry[column])).join(','))
+    ].join('\n') + '\n');
+  }
+  
+  if (format === 'json') {
+    res.set('Content-Disposition', 'attachment; filename="audit.json"');
+  }
+  res.json({ total, entries });
+});
+
+// Recorded PPD/throughput history
+// ?range= 1h, 6h, 24h (default), 7d, 30d or 1y; ?series= comma separated keys (default: total and every machine)
+app.get('/api/timeseries', (req, res) => {
+  const range = req.query.range || '24h';
+  if (typeof range !== 'string' || !TIMESERIES_RANGES[range]) {
+    return res.status(400).json({ error: `Range must be one of: ${Object.keys(TIMESERIES_RANGES).join(', ')}` });
+  }
+  // A repeated parameter (?series=a&series=b) arrives as an array, several series are comma-separated
+  if (req.query.series !== undefined && typeof req.query.series !== 'string') {
+    return res.status(400).json({ error: 'series must be given once, as a comma-separated list' });
+  }
+  
+  // Use the finest tier that still covers the whole range
+  const tier = TIMESERIES_TIERS.find(t => t.retention >= TIMESERIES_RANGES[range]);
+  const since = Date.now() - TIMESERIES_RANGES[range];
+  const tierSeries = timeSeries[tier.name];
+  const keys = req.query.series
+    ? req.query.series.split(',')
+    : Object.keys(tierSeries).filter(key => !key.startsWith('unit:'));
+  
+  const series = {};
+  keys.forEach(key => {
+    series[key] = (tierSeries[key] || []).filter(point => point.t >= since);
+  });
+  
+  res.json({
+    range,
+    tier: tier.name,
+    interval: tier.bucket || TIMESERIES_INTERVAL,
+    series
+  });
+});
+
+// Power, cost and efficiency per machine and for the fleet, with totals for ?range= (default 24h)
+app.get('/api/energy', (req, res) => {
+  const range = req.query.range || '24h';
+  if (!TIMESERIES_RANGES[range]) {
+    return res.status(400).json({ error: `Range must be one of: ${Object.keys(TIMESERIES_RANGES).join(', ')}` });
+  }
+  
+  const rate = getTariffRate();
+  let totalPPD = 0;
+  let totalWatts = 0;
+  
+  const machines = instances.filter(i => i.enabled).map(instance => {
+    const machineState = machineData.get(`${instance.id}:${instance.host}:${instance.port}`);
+    const machine = {
+      instanceId: instance.id,
+      name: getMachineName(instance.id),
+      profile: { ...DEFAULT_ENERGY_PROFILE, ...(energySettings.profiles[instance.id] || {}) },
+      profiled: !!energySettings.profiles[instance.id],
+      history: getEnergyHistory(`machine:${instance.id}`, range)
+    };
+    if (!machineState) {
+      return { ...machine, connected: false };
+    }
+    
+    const power = getMachinePower(instance.id, machineState);
+    const ppd = (machineState.units || []).filter(Boolean).reduce((sum, unit) => sum + (unit.ppd || 0), 0);
+    totalPPD += ppd;
+    totalWatts += power.watts;
+    return { ...machine, connected: true, power, ...getEfficiency(ppd, power.watts, rate) };
+  });
+  
+  res.json({
+    tariff: energySettings.tariff,
+    rate,
+    machines,
+    total: { ...getEfficiency(totalPPD, totalWatts, rate), history: getEnergyHistory('total', range) }
+  });
+});
+
+// Update the electricity tariff (admin)
+// Body: {currency, rate, timezone, periods: [{days, start, end, rate}]}
+app.put('/api/energy/tariff', requireRole('admin'), async (req, res) => {
+  const tariff = { ...energySettings.tariff };
+  ['currency', 'rate', 'timezone', 'periods'].forEach(field => {
+    if (req.body[field] !== undefined) tariff[field] = req.body[field];
+  });
+  
+  const error = validateTariff(tariff);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const before = energySettings.tariff;
+  energySettings.tariff = tariff;
+  await saveEnergy();
+  appendAudit({ ...getAuditActor(req), action: 'energy.tariff', changes: diffConfig(before, tariff) });
+  res.json(tariff);
+});
+
+// Set a machine's wattage profile (admin), body: {idleWatts, cpuWatts, gpuWatts: {gpuId: watts}}
+app.put('/api/energy/profiles/:instanceId', requireRole('admin'), async (req, res) => {
+  const { instanceId } = req.params;
+  
+  if (!instances.some(i => i.id === instanceId)) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  
+  const profile = { ...DEFAULT_ENERGY_PROFILE, ...(energySettings.profiles[instanceId] || {}) };
+  ['idleWatts', 'cpuWatts', 'gpuWatts'].forEach(field => {
+    if (req.body[field] !== undefined) profile[field] = req.body[field];
+  });
+  
+  const error = validateEnergyProfile(profile);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const before = energySettings.profiles[instanceId] || DEFAULT_ENERGY_PROFILE;
+  energySettings.profiles[instanceId] = profile;
+  await saveEnergy();
+  appendAudit({ ...getAuditActor(req), action: 'energy.profile', instanceId, instance: getMachineName(instanceId), changes: diffConfig(before, profile) });
+  res.json(profile);
+});
+
+// Go back to the default profile (admin)
+app.delete('/api/energy/profiles/:instanceId', requireRole('admin'), async (req, res) => {
+  const { instanceId } = req.params;
+  delete energySettings.profiles[instanceId];
+  await saveEnergy();
+  appendAudit({ ...getAuditActor(req), action: 'energy.profile', instanceId, instance: getMachineName(instanceId), details: { reset: true } });
+  res.json({ success: true });
+});
+
+// List alerts
+// ?state=open (active and acknowledged, default), active, acknowledged, resolved or all; ?limit=
+app.get('/api/alerts', (req, res) => {
+  const filter = req.query.state || 'open';
+  const limit = parseInt(req.query.limit) || 100;
+  const matching = alerts.filter(alert => {
+    if (filter === 'all') return true;
+    if (filter === 'open') return alert.state !== 'resolved';
+    return alert.state === filter;
+  });
+  res.json({ total: matching.length, alerts: matching.slice(0, limit) });
+});
+
+// Acknowledge an open alert (it stays open until its condition clears)
+app.post('/api/alerts/:id/acknowledge', requireRole('operator'), async (req, res) => {
+  const alert = alerts.find(a => a.id === req.params.id);
+  
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  
+  if (alert.state === 'active') {
+    alert.state = 'acknowledged';
+    alert.acknowledgedAt = new Date().toISOString();
+    await saveAlerts();
+    appendAudit({ ...getAuditActor(req), action: 'alert.acknowledge', instanceId: alert.instanceId, details: { id: alert.id, rule: alert.rule } });
+    machineEvents.emit('alert', { type: 'acknowledged', alert });
+  }
+  
+  res.json(alert);
+});
+
+// Alert rule thresholds
+app.get('/api/alerts/rules', (req, res) => {
+  res.json(alertRules);
+});
+
+// Update rule thresholds, e.g. {"stalled": {"minutes": 45}, "ppdFloor": {"enabled": true}}
+app.put('/api/alerts/rules', requireRole('admin'), async (req, res) => {
+  const updates = req.body || {};
+  
+  for (const rule in updates) {
+    if (!DEFAULT_ALERT_RULES[rule]) {
+      return res.status(400).json({ error: `Unknown rule: ${rule}` });
+    }
+    for (const setting in updates[rule]) {
+      const value = updates[rule][setting];
+      const expected = typeof DEFAULT_ALERT_RULES[rule][setting];
+      if (expected === 'undefined' || typeof value !== expected || (expected === 'number' && !(value >= 0))) {
+        return res.status(400).json({ error: `Invalid value for ${rule}.${setting}` });
+      }
+    }
+  }
+  
+  const before = JSON.parse(JSON.stringify(alertRules));
+  for (const rule in updates) {
+    alertRules[rule] = { ...alertRules[rule], ...updates[rule] };
+  }
+  await saveAlerts();
+  appendAudit({ ...getAuditActor(req), action: 'alert.rules', changes: diffConfig(before, alertRules) });
+  evaluateAlerts();
+  res.json(alertRules);
+});
+
+// Validate a webhook definition, returns an error message or null
+function validateWebhook(webhook) {
+  if (!webhook.name || !webhook.url) {
+    return 'Name and URL are required';
+  }
+  if (!/^https?:\/\//i.test(webhook.url)) {
+    return 'URL must start with http:// or https://';
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    return `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`;
+  }
+  if (!Array.isArray(webhook.events) || webhook.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return `Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+}
+
+// List webhooks (and the events they can subscribe to)
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS, webhooks });
+});
+
+// Add a webhook
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  const { name, url, format = 'json', events = WEBHOOK_EVENTS, enabled = true } = req.body;
+  const webhook = { id: `webhook-${Date.now()}`, name, url, format, events, enabled: !!enabled, lastDelivery: null };
+  
+  const error = validateWebhook(webhook);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  webhooks.push(webhook);
+  await saveWebhooks();
+  // Webhook URLs usually embed a secret, leave them out of the audit log
+  appendAudit({ ...getAuditActor(req), action: 'webhook.create', details: { id: webhook.id, name, format, events } });
+  res.json(webhook);
+});
+
+// Update a webhook
+app.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+  
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const { name, url, format, events, enabled } = req.body;
+  const updated = { ...webhook };
+  if (name !== undefined) updated.name = name;
+  if (url !== undefined) updated.url = url;
+  if (format !== undefined) updated.format = format;
+  if (events !== undefined) updated.events = events;
+  if (enabled !== undefined) updated.enabled = !!enabled;
+  
+  const error = validateWebhook(updated);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  Object.assign(webhook, updated);
+  await saveWebhooks();
+  appendAudit({ ...getAuditActor(req), action: 'webhook.update', details: { id: webhook.id, name: webhook.name, urlChanged: url !== undefined, format, events, enabled } });
+  res.json(webhook);
+});
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  const index = webhooks.findIndex(w => w.id === req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const [webhook] = webhooks.splice(index, 1);
+  await saveWebhooks();
+  appendAudit({ ...getAuditActor(req), action: 'webhook.delete', details: { id: webhook.id, name: webhook.name } });
+  res.json({ success: true });
+});
+
+// Send a test event to a webhook and report the delivery result
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+  
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const delivery = await deliverWebhook(webhook, {
+    event: 'test',
+    time: new Date().toISOString(),
+    instanceId: null,
+    machine: 'Folding@Home Control',
+    message: `Test notification for ${webhook.name}`,
+    data: {}
+  }, 0);
+  res.json(delivery);
+});
+
+// Folding schedules (with the current and next scheduled action)
+app.get('/api/schedules', (req, res) => {
+  const now = new Date();
+  res.json(schedules.map(schedule => getScheduleStatus(schedule, now)));
+});
+
+// Add a schedule
+// Body: {instanceId, group (null = whole machine), timezone, defaultAction, rules: [{days, start, end, action}], enabled}
+app.post('/api/schedules', requireRole('admin'), async (req, res) => {
+  const { instanceId, group = null, timezone = SERVER_TIMEZONE, defaultAction = 'fold', rules = [], enabled = true } = req.body;
+  const schedule = {
+    id: `schedule-${Date.now()}`,
+    instanceId,
+    group,
+    timezone,
+    defaultAction,
+    rules,
+    enabled: !!enabled,
+    override: null,
+    lastAction: null,
+    lastAppliedAt: null
+  };
+  
+  const error = validateSchedule(schedule);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  schedules.push(schedule);
+  await saveSchedules();
+  appendAudit({ ...getAuditActor(req), action: 'schedule.create', instanceId, instance: getMachineName(instanceId), details: { id: schedule.id, group, timezone, defaultAction, rules } });
+  runSchedules();
+  res.json(getScheduleStatus(schedule));
+});
+
+// Update a schedule
+app.put('/api/schedules/:id', requireRole('admin'), async (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const updated = { ...schedule };
+  ['group', 'timezone', 'defaultAction', 'rules'].forEach(field => {
+    if (req.body[field] !== undefined) updated[field] = req.body[field];
+  });
+  if (req.body.enabled !== undefined) updated.enabled = !!req.body.enabled;
+  
+  const error = validateSchedule(updated);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  // Apply the new schedule's current action right away
+  Object.assign(schedule, updated, { lastAction: null, override: null });
+  await saveSchedules();
+  appendAudit({ ...getAuditActor(req), action: 'schedule.update', instanceId: schedule.instanceId, instance: getMachineName(schedule.instanceId), details: { id: schedule.id, group: schedule.group, timezone: schedule.timezone, defaultAction: schedule.defaultAction, rules: schedule.rules, enabled: schedule.enabled } });
+  runSchedules();
+  res.json(getScheduleStatus(schedule));
+});
+
+// Remove a schedule (the machine keeps its current state)
+app.delete('/api/schedules/:id', requireRole('admin'), async (req, res) => {
+  const index = schedules.findIndex(s => s.id === req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const [schedule] = schedules.splice(index, 1);
+  scheduleRetries.delete(schedule.id);
+  await saveSchedules();
+  appendAudit({ ...getAuditActor(req), action: 'schedule.delete', instanceId: schedule.instanceId, instance: getMachineName(schedule.instanceId), details: { id: schedule.id, group: schedule.group } });
+  res.json({ success: true });
+});
+
+// Override a schedule until its next boundary, body: {action: 'fold' | 'pause' | 'finish'}
+app.post('/api/schedules/:id/override', requireRole('operator'), async (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.id);
+  const { action } = req.body;
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  if (!SCHEDULE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${SCHEDULE_ACTIONS.join(', ')}` });
+  }
+  
+  const result = await applyScheduleAction(schedule, action, getAuditActor(req));
+  if (!result.success) {
+    return res.status(200).json({ error: true, message: result.error, acknowledged: result.acknowledged });
+  }
+  
+  // Without a boundary in the coming week the override lasts a week
+  const next = getNextTransition(schedule);
+  schedule.override = {
+    action,
+    until: next ? next.at : new Date(Date.now() + 7 * DAY).toISOString(),
+    by: req.user.username
+  };
+  schedule.lastAction = action;
+  schedule.lastAppliedAt = new Date().toISOString();
+  await saveSchedules();
+  res.json(getScheduleStatus(schedule));
+});
+
+// Cancel an override and return to the scheduled action
+app.delete('/api/schedules/:id/override', requireRole('operator'), async (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  schedule.override = null;
+  schedule.lastAction = null;
+  await saveSchedules();
+  appendAudit({ ...getAuditActor(req), action: 'schedule.override.cancel', instanceId: schedule.instanceId, instance: getMachineName(schedule.instanceId), details: { id: schedule.id } });
+  await runSchedules();
+  res.json(getScheduleStatus(schedule));
+});
+
+// Dashboard settings
+// Teams, the EOC user ID, custom CSS and the external API switch, shared by every browser.
+// Users can override the personal ones for themselves; the external API switch is a privacy
+// setting for the whole server, so only admins change it and the stats proxies enforce it
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+const DEFAULT_SETTINGS = { teams: [], eocUserId: null, customCss: '', externalApiEnabled: true };
+const PERSONAL_SETTINGS = ['teams', 'eocUserId', 'customCss'];
+const MAX_CUSTOM_CSS = 100 * 1024;
+let dashboardSettings = {
+  global: { ...DEFAULT_SETTINGS },
+  users: {} // username -> overrides of PERSONAL_SETTINGS
+};
+// False until settings.json is first written, browsers then move their localStorage settings here
+let settingsInitialized = false;
+
+async function loadSettings() {
+  try {
+    const data = JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8'));
+    dashboardSettings = {
+      global: { ...DEFAULT_SETTINGS, ...(data.global || {}) },
+      users: data.users || {}
+    };
+    settingsInitialized = true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading settings:', error.message);
+    }
+  }
+}
+
+async function saveSettings() {
+  try {
+    await fs.writeFile(SETTINGS_FILE, JSON.stringify(dashboardSettings, null, 2), 'utf8');
+    settingsInitialized = true;
+  } catch (error) {
+    console.error('Error saving settings:', error.message);
+  }
+}
+
+// API tokens are for scripts and have no personal settings
+function canOverrideSettings(user) {
+  return !!user && !user.token;
+}
+
+function getSettingsResponse(user) {
+  const overrides = (canOverrideSettings(user) && dashboardSettings.users[user.username]) || {};
+  return {
+    global: dashboardSettings.global,
+    user: overrides,
+    effective: { ...dashboardSettings.global, ...overrides, externalApiEnabled: isExternalApiEnabled() },
+    externalApiLocked: OUTBOUND_DISABLED,
+    personal: PERSONAL_SETTINGS,
+    canOverride: canOverrideSettings(user),
+    initialized: settingsInitialized
+  };
+}
+
+// Returns an error message or null
+function validateSettings(changes, allowed) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (!allowed.includes(key)) {
+      return DEFAULT_SETTINGS[key] !== undefined ? `${key} cannot be set per user` : `Unknown setting: ${key}`;
+    }
+    if (key === 'teams' && (!Array.isArray(value) ||
+        value.some(team => !team || !Number.isInteger(team.number) || team.number <= 0 || typeof team.name !== 'string') ||
+        new Set(value.map(team => team.number)).size !== value.length)) {
+      return 'teams must be a list of {number, name} with unique team numbers';
+    }
+    if (key === 'eocUserId' && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return 'eocUserId must be a positive number or null';
+    }
+    if (key === 'customCss' && (typeof value !== 'string' || value.length > MAX_CUSTOM_CSS)) {
+      return `customCss must be text of at most ${MAX_CUSTOM_CSS} characters`;
+    }
+    if (key === 'externalApiEnabled' && typeof value !== 'boolean') {
+      return 'externalApiEnabled must be true or false';
+    }
+  }
+  return null;
+}
+
+// Teams only keep their number and name, stats are always fetched fresh
+function cleanSettings(settings) {
+  return settings.teams ? { ...settings, teams: settings.teams.map(({ number, name }) => ({ number, name })) } : settings;
+}
+
+// Custom CSS can be long, the audit log only notes that it changed
+function getAuditSettings(settings) {
+  const { customCss, ...rest } = settings;
+  return { ...rest, customCss: customCss ? `${customCss.length} characters` : '' };
+}
+
+// For the proxies to external stats servers
+function requireExternalApi(req, res, next) {
+  if (!isExternalApiEnabled()) {
+    return res.status(403).json({ error: getExternalApiDisabledReason() });
+  }
+  next();
+}
+
+// Browsers reload their settings: everyone for global changes, only that user's for overrides
+function broadcastSettingsChange(username = null) {
+  broadcastToBrowsers({ type: 'settings', username });
+}
+
+// Global settings, the current user's overrides and the effective result
+app.get('/api/settings', (req, res) => {
+  res.json(getSettingsResponse(req.user));
+});
+
+// Change settings for everyone (admin), body: any of teams, eocUserId, customCss, externalApiEnabled
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
+  const changes = req.body || {};
+  const error = validateSettings(changes, Object.keys(DEFAULT_SETTINGS));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (changes.externalApiEnabled && OUTBOUND_DISABLED) {
+    return res.status(400).json({ error: 'External API calls are turned off on the server (OUTBOUND_DISABLED)' });
+  }
+  
+  const before = dashboardSettings.global;
+  dashboardSettings.global = { ...before, ...cleanSettings(changes) };
+  await saveSettings();
+  appendAudit({ ...getAuditActor(req), action: 'settings.update', changes: diffConfig(getAuditSettings(before), getAuditSettings(dashboardSettings.global)) });
+  broadcastSettingsChange();
+  res.json(getSettingsResponse(req.user));
+});
+
+// Override personal settings for the current user, a null value goes back to the global setting
+app.put('/api/settings/user', async (req, res) => {
+  if (!canOverrideSettings(req.user)) {
+    return res.status(400).json({ error: 'API tokens have no personal settings' });
+  }
+  
+  const changes = req.body || {};
+  const overrides = { ...(dashboardSettings.users[req.user.username] || {}) };
+  const values = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete overrides[key];
+    } else {
+      values[key] = value;
+    }
+  }
+  const error = validateSettings(values, PERSONAL_SETTINGS);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const before = dashboardSettings.users[req.user.username] || {};
+  dashboardSettings.users[req.user.username] = { ...overrides, ...cleanSettings(values) };
+  await saveSettings();
+  appendAudit({ ...getAuditActor(req), action: 'settings.user.update', changes: diffConfig(getAuditSettings(before), getAuditSettings(dashboardSettings.users[req.user.username])) });
+  broadcastSettingsChange(req.user.username);
+  res.json(getSettingsResponse(req.user));
+});
+
+// Drop all of the current user's overrides
+app.delete('/api/settings/user', async (req, res) => {
+  if (!canOverrideSettings(req.user)) {
+    return res.status(400).json({ error: 'API tokens have no personal settings' });
+  }
+  const before = dashboardSettings.users[req.user.username] || {};
+  delete dashboardSettings.users[req.user.username];
+  await saveSettings();
+  appendAudit({ ...getAuditActor(req), action: 'settings.user.reset', changes: diffConfig(getAuditSettings(before), getAuditSettings({})) });
+  broadcastSettingsChange(req.user.username);
+  res.json(getSettingsResponse(req.user));
+});
+
+// Outbound requests
+// Everything the server fetches from outside the fleet (stats proxies, webhooks) goes through
+// outboundRequest: the external API switch covers the stats servers, the allowlist (empty = any
+// host) and proxy cover all of it, and each request is appended to outbound.log.
+// Connections to FAH clients are not outbound requests. OUTBOUND_DISABLED=true keeps the external
+// API switch off regardless of the settings, for air-gapped sites
+const OUTBOUND_FILE = path.join(DATA_DIR, 'outbound.json');
+const OUTBOUND_LOG_FILE = path.join(DATA_DIR, 'outbound.log');
+// Past this size outbound.log is moved to outbound.log.1 (replacing the one before) and started anew
+const OUTBOUND_LOG_MAX_BYTES = 5 * 1024 * 1024;
+const OUTBOUND_DISABLED = process.env.OUTBOUND_DISABLED === 'true';
+const OUTBOUND_CATEGORIES = ['stats', 'webhook'];
+// The hosts the stats proxies use, for building an allowlist
+const STATS_HOSTS = ['api.foldingathome.org', 'assign1.foldingathome.org', 'folding.extremeoverclocking.com'];
+// Size of outbound.log, read once and then counted as lines are appended
+let outboundLogSize = null;
+let outboundPolicy = {
+  allowlist: [],
+  proxy: process.env.OUTBOUND_PROXY || null // http://[user:password@]host:port
+};
+
+async function loadOutboundPolicy() {
+  try {
+    const data = JSON.parse(await fs.readFile(OUTBOUND_FILE, 'utf8'));
+    outboundPolicy = { ...outboundPolicy, ...data };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading outbound policy:', error.message);
+    }
+  }
+}
+
+async function saveOutboundPolicy() {
+  try {
+    await fs.writeFile(OUTBOUND_FILE, JSON.stringify(outboundPolicy, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving outbound policy:', error.message);
+  }
+}
+
+function isExternalApiEnabled() {
+  return !OUTBOUND_DISABLED && dashboardSettings.global.externalApiEnabled;
+}
+
+function getExternalApiDisabledReason() {
+  return OUTBOUND_DISABLED ? 'External API calls are turned off on the server' : 'External API calls are disabled in Settings';
+}
+
+// Entries are host names, "*.example.com" also matches its subdomains
+function isHostAllowed(hostname) {
+  return outboundPolicy.allowlist.length === 0 || outboundPolicy.allowlist.some(entry =>
+    entry.startsWith('*.') ? hostname === entry.slice(2) || hostname.endsWith(entry.slice(1)) : hostname === entry);
+}
+
+// Returns an error message or null
+function validateOutboundPolicy(policy) {
+  if (!Array.isArray(policy.allowlist) || policy.allowlist.some(entry => typeof entry !== 'string' || !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(entry))) {
+    return 'allowlist must be a list of host names (*.example.com for subdomains)';
+  }
+  if (policy.proxy !== null) {
+    let url;
+    try {
+      url = new URL(policy.proxy);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return 'proxy must be an http:// or https:// URL, or null';
+    }
+  }
+  return null;
+}
+
+// The proxy password stays out of the audit log
+function getAuditOutboundPolicy(policy) {
+  if (!policy.proxy) return policy;
+  const url = new URL(policy.proxy);
+  if (url.password) url.password = 'redacted';
+  return { ...policy, proxy: url.toString() };
+}
+
+function getProxyAuthorization(proxy) {
+  return proxy.username
+    ? { 'Proxy-Authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}` }
+    : {};
+}
+
+// HTTPS goes through the proxy in a CONNECT tunnel, which axios' own proxy option doesn't do
+function createProxyTunnelAgent(proxy) {
+  const agent = new https.Agent();
+  agent.createConnection = (options, callback) => {
+    const target = `${options.host}:${options.port}`;
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers: { Host: target, ...getProxyAuthorization(proxy) }
+    });
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        return callback(new Error(`Proxy refused the connection: HTTP ${response.statusCode}`));
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    request.once('error', callback);
+    request.end();
+  };
+  return agent;
+}
+
+// axios options for the configured proxy; without one axios still honours HTTP(S)_PROXY
+function getProxyOptions(url) {
+  if (!outboundPolicy.proxy) return {};
+  const proxy = new URL(outboundPolicy.proxy);
+  if (url.protocol === 'https:') {
+    return { proxy: false, httpsAgent: createProxyTunnelAgent(proxy) };
+  }
+  return {
+    proxy: {
+      protocol: proxy.protocol.slice(0, -1),
+      host: proxy.hostname,
+      port: parseInt(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80)
+    },
+    headers: getProxyAuthorization(proxy)
+  };
+}
+
+async function appendOutboundLog(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+  try {
+    if (outboundLogSize === null) {
+      outboundLogSize = await fs.stat(OUTBOUND_LOG_FILE).then(stats => stats.size, () => 0);
+    }
+    if (outboundLogSize + Buffer.byteLength(line) > OUTBOUND_LOG_MAX_BYTES) {
+      outboundLogSize = 0;
+      await fs.rename(OUTBOUND_LOG_FILE, `${OUTBOUND_LOG_FILE}.1`);
+    }
+    outboundLogSize += Buffer.byteLength(line);
+    await fs.appendFile(OUTBOUND_LOG_FILE, line, 'utf8');
+  } catch (error) {
+    console.error('Error writing outbound log:', error.message);
+  }
+}
+
+// The rotated file, then the current one, so at most twice OUTBOUND_LOG_MAX_BYTES is read
+async function readOutboundLog() {
+  const entries = [];
+  for (const file of [`${OUTBOUND_LOG_FILE}.1`, OUTBOUND_LOG_FILE]) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
     } catch (error) {
-      console.error(`Error saving config for ${instanceId}:`, error);
-      res.status(200).json({ 
-        error: true, 
-        message: error.message,
-        connected: false 
-      });
-      return;
+      if (error.code === 'ENOENT') continue;
+      throw error;
     }
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip damaged lines
+      }
+    });
   }
+  return entries;
+}
+
+// axios(config) under the outbound policy. A refused request throws an error with `blocked` set.
+// `logDetails` replaces what is logged, e.g. the url of a webhook, which carries its secret
+async function outboundRequest(category, config, logDetails = {}) {
+  const url = new URL(config.url);
+  const entry = { category, method: (config.method || 'get').toUpperCase(), host: url.host, url: config.url, ...logDetails };
   
-  const result = await fahRequest(
-    instanceId,
-    instance.host,
-    instance.port,
-    endpoint,
-    req.method,
-    req.body
-  );
+  let reason = null;
+  if (category === 'stats' && !isExternalApiEnabled()) {
+    reason = getExternalApiDisabledReason();
+  } else if (!isHostAllowed(url.hostname)) {
+    reason = `${url.hostname} is not in the outbound allowlist`;
+  }
+  if (reason) {
+    appendOutboundLog({ ...entry, blocked: reason });
+    const error = new Error(reason);
+    error.blocked = true;
+    throw error;
+  }
   
-  if (result.success) {
-    res.json(result.data);
-  } else {
-    // Return 200 with error info instead of 500, so frontend can handle gracefully
-    res.status(200).json({ 
-      error: true, 
-      message: result.error,
-      connected: false 
-    });
+  const startedAt = Date.now();
+  try {
+    const proxyOptions = getProxyOptions(url);
+    const response = await axios({ ...config, ...proxyOptions, headers: { ...config.headers, ...proxyOptions.headers } });
+    appendOutboundLog({ ...entry, status: response.status, duration: Date.now() - startedAt });
+    return response;
+  } catch (error) {
+    appendOutboundLog({ ...entry, status: error.response ? error.response.status : null, error: error.message, duration: Date.now() - startedAt });
+    throw error;
   }
+}
+
+// The outbound policy, whether the external API switch is on and whether the server locks it off (admin)
+app.get('/api/outbound', requireRole('admin'), (req, res) => {
+  res.json({ ...outboundPolicy, externalApiEnabled: isExternalApiEnabled(), locked: OUTBOUND_DISABLED, statsHosts: STATS_HOSTS });
 });
 
-// Test FAH instance connectivity
-app.get('/api/test/:instanceId', async (req, res) => {
-  const { instanceId } = req.params;
-  const instance = instances.find(i => i.id === instanceId);
-  
-  if (!instance) {
-    return res.status(404).json({ error: 'Instance not found' });
+// Body: allowlist (host names, empty for any host) and/or proxy (URL or null)
+app.put('/api/outbound', requireRole('admin'), async (req, res) => {
+  const policy = { ...outboundPolicy };
+  if (req.body.allowlist !== undefined) {
+    policy.allowlist = Array.isArray(req.body.allowlist)
+      ? [...new Set(req.body.allowlist.map(entry => String(entry).trim().toLowerCase()).filter(Boolean))]
+      : req.body.allowlist;
   }
-  
-  // Try common FAH API endpoints
-  const testEndpoints = [
-    'info',
-    'slots',
-    'queue/0',
-    'queue',
-    'api/info',
-    'api/slots',
-    'api/queue/0'
-  ];
-  
-  const results = {};
-  for (const endpoint of testEndpoints) {
-    const result = await fahRequest(instanceId, instance.host, instance.port, endpoint);
-    results[endpoint] = result.success ? 'OK' : result.error;
+  if (req.body.proxy !== undefined) {
+    policy.proxy = req.body.proxy || null;
+  }
+  const error = validateOutboundPolicy(policy);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  res.json({
-    instance: instance.name,
-    host: `${instance.host}:${instance.port}`,
-    tests: results
-  });
+  const before = outboundPolicy;
+  outboundPolicy = policy;
+  await saveOutboundPolicy();
+  appendAudit({ ...getAuditActor(req), action: 'outbound.update', changes: diffConfig(getAuditOutboundPolicy(before), getAuditOutboundPolicy(outboundPolicy)) });
+  res.json({ ...outboundPolicy, externalApiEnabled: isExternalApiEnabled(), locked: OUTBOUND_DISABLED, statsHosts: STATS_HOSTS });
 });
 
-// Get aggregated data from all instances
-app.get('/api/aggregate/*', async (req, res) => {
-  const endpoint = req.params[0];
-  const results = {};
+// Outbound requests, newest first (admin). Filters: category (stats or webhook), blocked=true, limit (default 200)
+app.get('/api/outbound/log', requireRole('admin'), async (req, res) => {
+  const { category, blocked } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 200, 10000);
   
-  const promises = instances
-    .filter(i => i.enabled)
-    .map(async (instance) => {
-      const result = await fahRequest(instance.id, instance.host, instance.port, endpoint);
-      return { instanceId: instance.id, instanceName: instance.name, result };
-    });
+  if (category && !OUTBOUND_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `category must be one of ${OUTBOUND_CATEGORIES.join(', ')}` });
+  }
   
-  const responses = await Promise.all(promises);
+  let entries;
+  try {
+    entries = await readOutboundLog();
+  } catch (error) {
+    return res.status(500).json({ error: `Error reading outbound log: ${error.message}` });
+  }
+  entries = entries.filter(entry => (!category || entry.category === category) && (blocked !== 'true' || entry.blocked)).reverse();
+  res.json({ total: entries.length, entries: entries.slice(0, limit) });
+});
+
+// External data cache
+// Answers from the stats servers are kept in cache.json. Fresh entries are served as they are;
+// stale ones are served right away while a refresh runs in the background (stale-while-revalidate),
+// so when the stats servers are down the last known answer keeps being served, however old
+const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
+const CACHE_TTLS = {
+  stats: HOUR, // F@H user and team stats
+  projects: HOUR, // Project assignment summary
+  project: 7 * DAY, // Project descriptions rarely change
+  credits: HOUR, // Logged credits of a work unit
+  eoc: 3 * HOUR // EOC updates every 3 hours
+};
+const CACHE_RETENTION = 30 * DAY; // Entries nobody asked for in this long are dropped
+// Any user can add entries (e.g. by looking up user names), so each source is capped and
+// the least recently used entries go first. Bigger answers are passed through uncached
+const CACHE_MAX_ENTRIES = 500;
+const CACHE_MAX_BYTES = 10 * 1024 * 1024;
+const CACHE_MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const CACHE_SAVE_DELAY = 10000;
+let externalCache = new Map(); // url -> {source, fetchedAt, usedAt, contentType, data, encoding, lastError}
+const cacheRefreshes = new Map(); // url -> request in flight
+let cacheSaveTimer = null;
+
+async function loadCache() {
+  try {
+    const data = JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'));
+    externalCache = new Map(Object.entries(data));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading cache:', error.message);
+    }
+  }
+}
+
+async function saveCache() {
+  cacheSaveTimer = null;
+  const cutoff = Date.now() - CACHE_RETENTION;
+  externalCache.forEach((entry, url) => {
+    if (entry.usedAt < cutoff) externalCache.delete(url);
+  });
+  Object.keys(CACHE_TTLS).forEach(trimCache);
+  try {
+    await fs.writeFile(CACHE_FILE, JSON.stringify(Object.fromEntries(externalCache)), 'utf8');
+  } catch (error) {
+    console.error('Error saving cache:', error.message);
+  }
+}
+
+// Stored size of an entry's data (entries from older cache files don't have it yet)
+function getCacheEntrySize(entry) {
+  if (entry.size === undefined) {
+    entry.size = Buffer.byteLength(typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data) || '');
+  }
+  return entry.size;
+}
+
+// Drop the least recently used entries of a source past CACHE_MAX_ENTRIES or CACHE_MAX_BYTES
+function trimCache(source) {
+  const entries = [...externalCache].filter(([, entry]) => entry.source === source).sort(([, a], [, b]) => b.usedAt - a.usedAt);
+  let bytes = 0;
+  entries.forEach(([url, entry], index) => {
+    bytes += getCacheEntrySize(entry);
+    if (index >= CACHE_MAX_ENTRIES || bytes > CACHE_MAX_BYTES) {
+      externalCache.delete(url);
+    }
+  });
+}
+
+// Stats pages fetch several answers at once, write them in one go
+function scheduleCacheSave() {
+  if (!cacheSaveTimer) {
+    cacheSaveTimer = setTimeout(saveCache, CACHE_SAVE_DELAY);
+  }
+}
+
+// Fetch through the outbound policy and keep the answer if it is a 200. Concurrent requests share one fetch
+function refreshCacheEntry(source, config) {
+  if (cacheRefreshes.has(config.url)) {
+    return cacheRefreshes.get(config.url);
+  }
   
-  responses.forEach(({ instanceId, instanceName, result }) => {
-    results[instanceId] = {
-      name: instanceName,
-      ...result
-    };
+  const refresh = outboundRequest('stats', config).then(response => {
+    if (response.status === 200) {
+      const binary = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer;
+      const entry = {
+        source,
+        fetchedAt: Date.now(),
+        usedAt: Date.now(),
+        contentType: response.headers['content-type'] || null,
+        data: binary ? Buffer.from(response.data).toString('base64') : response.data,
+        encoding: binary ? 'base64' : null,
+        lastError: null
+      };
+      if (getCacheEntrySize(entry) <= CACHE_MAX_ENTRY_BYTES) {
+        externalCache.set(config.url, entry);
+        trimCache(source);
+        scheduleCacheSave();
+      }
+    }
+    return response;
+  }).catch(error => {
+    const entry = externalCache.get(config.url);
+    if (entry) {
+      entry.lastError = { at: Date.now(), message: error.message };
+    }
+    throw error;
+  }).finally(() => {
+    cacheRefreshes.delete(config.url);
   });
+  cacheRefreshes.set(config.url, refresh);
+  return refresh;
+}
+
+function getCachedResponse(entry, state) {
+  return {
+    status: 200,
+    headers: { 'content-type': entry.contentType },
+    data: entry.encoding === 'base64' ? Buffer.from(entry.data, 'base64') : entry.data,
+    cache: { state, age: Date.now() - entry.fetchedAt, error: entry.lastError ? entry.lastError.message : null }
+  };
+}
+
+// outboundRequest for the stats servers with the cache in front. `source` picks the TTL.
+// The response has `cache`: {state: 'HIT' | 'STALE' | 'MISS', age in ms, error of the last refresh}
+async function cachedStatsRequest(source, config) {
+  const entry = externalCache.get(config.url);
+  if (entry) {
+    entry.usedAt = Date.now();
+    if (Date.now() - entry.fetchedAt >= CACHE_TTLS[source] && !cacheRefreshes.has(config.url)) {
+      refreshCacheEntry(source, config).catch(error => {
+        console.error(`[Cache] Refreshing ${config.url} failed, serving the cached answer:`, error.message);
+      });
+    }
+    return getCachedResponse(entry, Date.now() - entry.fetchedAt < CACHE_TTLS[source] ? 'HIT' : 'STALE');
+  }
   
-  res.json(results);
+  const response = await refreshCacheEntry(source, config);
+  return { ...response, cache: { state: 'MISS', age: 0, error: null } };
+}
+
+// X-Cache (HIT, STALE or MISS), X-Cache-Age in seconds and X-Cache-Error when the stats server couldn't be reached
+function setCacheHeaders(res, response) {
+  if (!response.cache) return;
+  res.set('X-Cache', response.cache.state);
+  res.set('X-Cache-Age', String(Math.floor(response.cache.age / 1000)));
+  if (response.cache.error) {
+    res.set('X-Cache-Error', response.cache.error.replace(/[^\x20-\x7e]/g, ''));
+  }
+}
+
+// Cached entries per source (admin)
+app.get('/api/cache', requireRole('admin'), (req, res) => {
+  const sources = {};
+  Object.keys(CACHE_TTLS).forEach(source => {
+    sources[source] = { ttl: CACHE_TTLS[source], entries: 0, bytes: 0, oldest: null, failing: 0 };
+  });
+  externalCache.forEach(entry => {
+    const source = sources[entry.source];
+    if (!source) return;
+    source.entries++;
+    source.bytes += getCacheEntrySize(entry);
+    source.oldest = source.oldest === null ? entry.fetchedAt : Math.min(source.oldest, entry.fetchedAt);
+    if (entry.lastError) source.failing++;
+  });
+  res.json({ entries: externalCache.size, sources });
+});
+
+// Drop every cached answer, the next requests go to the stats servers (admin)
+app.delete('/api/cache', requireRole('admin'), async (req, res) => {
+  const entries = externalCache.size;
+  externalCache.clear();
+  await saveCache();
+  appendAudit({ ...getAuditActor(req), action: 'cache.clear', details: { entries } });
+  res.json({ success: true, entries });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(collectMetrics());
 });
 
 // Proxy endpoint for Folding@Home user stats (to bypass CORS)
-app.get('/api/stats/user/:username', async (req, res) => {
+app.get('/api/stats/user/:username', requireExternalApi, async (req, res) => {
   const { username } = req.params;
   const { team } = req.query;
   
@@ -669,7 +4995,8 @@ app.get('/api/stats/user/:username', async (req, res) => {
     
     console.log(`[Stats Proxy] Fetching user stats from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('stats', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -679,6 +5006,7 @@ app.get('/api/stats/user/:username', async (req, res) => {
         return status < 500; // Don't throw for 4xx errors
       }
     });
+    setCacheHeaders(res, response);
     
     console.log(`[Stats Proxy] User stats response status: ${response.status}`);
     console.log(`[Stats Proxy] Content-Type: ${response.headers['content-type']}`);
@@ -697,6 +5025,9 @@ app.get('/api/stats/user/:username', async (req, res) => {
       res.status(500).json({ error: 'Invalid response format from stats server' });
     }
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error('[Stats Proxy] Error fetching user stats:', error.message);
     if (error.response) {
       console.error('[Stats Proxy] Response status:', error.response.status);
@@ -712,13 +5043,14 @@ app.get('/api/stats/user/:username', async (req, res) => {
 });
 
 // Proxy endpoint for Folding@Home projects summary (to bypass CORS)
-app.get('/api/projects/summary', async (req, res) => {
+app.get('/api/projects/summary', requireExternalApi, async (req, res) => {
   try {
     const url = 'https://assign1.foldingathome.org/api/project/summary';
     
     console.log(`[Projects Proxy] Fetching projects summary from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('projects', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -728,6 +5060,7 @@ app.get('/api/projects/summary', async (req, res) => {
         return status < 500;
       }
     });
+    setCacheHeaders(res, response);
     
     console.log(`[Projects Proxy] Projects summary response status: ${response.status}`);
     console.log(`[Projects Proxy] Content-Type: ${response.headers['content-type']}`);
@@ -742,6 +5075,9 @@ app.get('/api/projects/summary', async (req, res) => {
       res.status(500).json({ error: 'Invalid response format' });
     }
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error('[Projects Proxy] Error fetching projects summary:', error.message);
     if (error.response) {
       res.status(error.response.status).json({ error: error.response.statusText });
@@ -752,7 +5088,7 @@ app.get('/api/projects/summary', async (req, res) => {
 });
 
 // Proxy endpoint for work unit logged credits
-app.get('/api/project/:projectId/run/:run/clone/:clone/gen/:gen', async (req, res) => {
+app.get('/api/project/:projectId/run/:run/clone/:clone/gen/:gen', requireExternalApi, async (req, res) => {
   const { projectId, run, clone, gen } = req.params;
   
   try {
@@ -760,7 +5096,8 @@ app.get('/api/project/:projectId/run/:run/clone/:clone/gen/:gen', async (req, re
     
     console.log(`[Credits Proxy] Fetching logged credits from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('credits', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -770,6 +5107,7 @@ app.get('/api/project/:projectId/run/:run/clone/:clone/gen/:gen', async (req, re
         return status < 500; // Don't throw on 4xx errors
       }
     });
+    setCacheHeaders(res, response);
     
     // Check if response is HTML (error page)
     const contentType = response.headers['content-type'] || '';
@@ -791,13 +5129,16 @@ app.get('/api/project/:projectId/run/:run/clone/:clone/gen/:gen', async (req, re
     res.json(credits);
     
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(`[Credits Proxy] Error fetching credits:`, error.message);
     res.status(500).json({ error: 'Failed to fetch logged credits', message: error.message });
   }
 });
 
 // Proxy endpoint for Extreme Overclocking graph images
-app.get('/api/eoc/graph/:type/:period', async (req, res) => {
+app.get('/api/eoc/graph/:type/:period', requireExternalApi, async (req, res) => {
   const { type, period } = req.params;
   const { userId } = req.query;
   
@@ -821,7 +5162,8 @@ app.get('/api/eoc/graph/:type/:period', async (req, res) => {
     
     console.log(`[EOC Graph Proxy] Fetching graph from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('eoc', {
+      url,
       timeout: 10000,
       responseType: 'arraybuffer',
       headers: {
@@ -832,6 +5174,7 @@ app.get('/api/eoc/graph/:type/:period', async (req, res) => {
         return status < 500;
       }
     });
+    setCacheHeaders(res, response);
     
     if (response.status !== 200) {
       return res.status(response.status).json({ error: 'Failed to fetch graph' });
@@ -842,13 +5185,16 @@ app.get('/api/eoc/graph/:type/:period', async (req, res) => {
     res.send(response.data);
     
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(`[EOC Graph Proxy] Error fetching graph:`, error.message);
     res.status(500).json({ error: 'Failed to fetch graph', message: error.message });
   }
 });
 
 // Proxy endpoint for Extreme Overclocking user stats
-app.get('/api/eoc/user/:userId', async (req, res) => {
+app.get('/api/eoc/user/:userId', requireExternalApi, async (req, res) => {
   const { userId } = req.params;
   
   try {
@@ -856,7 +5202,8 @@ app.get('/api/eoc/user/:userId', async (req, res) => {
     
     console.log(`[EOC Proxy] Fetching user stats from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('eoc', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'text/html',
@@ -866,249 +5213,18 @@ app.get('/api/eoc/user/:userId', async (req, res) => {
         return status < 500; // Don't throw on 4xx errors
       }
     });
+    setCacheHeaders(res, response);
     
     if (response.status !== 200) {
       console.log(`[EOC Proxy] Received status ${response.status}`);
       return res.status(response.status).json({ error: 'Failed to fetch EOC stats' });
     }
     
-    // Parse HTML to extract stats
-    const html = response.data;
-    const stats = {};
-    
-    // Extract main stats table
-    const mainStatsMatch = html.match(/<th>Rank<span[^>]*>[\s\S]*?<\/th>[\s\S]*?<tr[^>]*>([\s\S]*?)<\/tr>/i);
-    if (mainStatsMatch) {
-      const cells = mainStatsMatch[1].matchAll(/<td[^>]*align="right"[^>]*>([\s\S]*?)<\/td>/gi);
-      const values = [];
-      for (const cell of cells) {
-        const text = cell[1].replace(/<[^>]*>/g, '').trim();
-        values.push(text);
-      }
-      if (values.length >= 10) {
-        stats.rankTeam = parseInt(values[0].replace(/,/g, '')) || 0;
-        stats.rankProject = parseInt(values[1].replace(/,/g, '')) || 0;
-        stats.points24hrAvg = parseInt(values[2].replace(/,/g, '')) || 0;
-        stats.pointsLast24hr = parseInt(values[3].replace(/,/g, '')) || 0;
-        stats.pointsLast7days = parseInt(values[4].replace(/,/g, '')) || 0;
-        stats.pointsToday = parseInt(values[5].replace(/,/g, '')) || 0;
-        stats.pointsWeek = parseInt(values[6].replace(/,/g, '')) || 0;
-        stats.totalPoints = parseInt(values[7].replace(/,/g, '')) || 0;
-        stats.totalWUs = parseInt(values[8].replace(/,/g, '')) || 0;
-        stats.firstRecord = values[9] || 'N/A';
-      }
-    }
-    
-    // Extract Conquests and Threats table
-    
-    const conquestsIndex = html.indexOf('Top 5');
-    if (conquestsIndex === -1) {
-      console.log(`[EOC Proxy] Could not find "Top 5" in HTML`);
-    } else {
-      // Get everything after "Top 5"
-      const afterConquests = html.substring(conquestsIndex);  
-      const searchSection = afterConquests.substring(0, 10000);
-      let conquestsTableContent = null;
-      
-      const bgcolorTableMatch = searchSection.match(/<table[^>]*bgcolor\s*=\s*["']?#C0C0C0["']?[^>]*>([\s\S]*?)<\/table>/i);
-      if (bgcolorTableMatch) {
-        const outerContent = bgcolorTableMatch[1];
-        const innerTableMatch = outerContent.match(/<table[^>]*border\s*=\s*["']?0["']?[^>]*>([\s\S]*?)<\/table>/i);
-        if (innerTableMatch && innerTableMatch[1].includes('User')) {
-          conquestsTableContent = innerTableMatch[1];
-        } else if (outerContent.includes('User') && outerContent.includes('Rank')) {
-          conquestsTableContent = outerContent;
-        }
-      }
-      
-      // Strategy 2: If strategy 1 failed, find any table after "Top 5" that contains User/Name/Rank
-      if (!conquestsTableContent) {
-        const allTables = Array.from(searchSection.matchAll(/<table[^>]*>([\s\S]*?)<\/table>/gi));
-        for (const tableMatch of allTables) {
-          const content = tableMatch[1];
-          // Check if this table has the conquests structure
-          if (content.includes('User') && (content.includes('Name') || content.includes('Rank')) && 
-              content.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi)?.length > 1) {
-            conquestsTableContent = content;
-            break;
-          }
-        }
-      }
-      
-      if (conquestsTableContent) {
-        // Extract all rows from the table
-        const rowPatterns = [
-          /<tr[^>]*class\s*=\s*["']?alt[^"']*["']?[^>]*>([\s\S]*?)<\/tr>/gi,
-          /<tr[^>]*>([\s\S]*?)<\/tr>/gi
-        ];
-        
-        let allRows = [];
-        for (const pattern of rowPatterns) {
-          const matches = Array.from(conquestsTableContent.matchAll(pattern));
-          if (matches.length > 0) {
-            allRows = matches;
-            break;
-          }
-        }
-        
-        const conquests = [];
-        
-        // Process each row (skip header row if it exists)
-        for (let i = 0; i < allRows.length; i++) {
-          const rowMatch = allRows[i];
-          const rowContent = rowMatch[1];
-          
-          // Skip header rows (contain <th> tags)
-          if (rowContent.includes('<th>') || rowContent.includes('<th ')) {
-            continue;
-          }
-          
-          // Extract cells from this row
-          const cellMatches = Array.from(rowContent.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi));
-          
-          if (cellMatches.length >= 5) {
-            // Extract name (first cell, might be in an <a> tag)
-            let name = '';
-            const nameCell = cellMatches[0][1];
-            const nameLinkMatch = nameCell.match(/<a[^>]*>([\s\S]*?)<\/a>/i);
-            if (nameLinkMatch) {
-              name = nameLinkMatch[1].replace(/<[^>]*>/g, '').trim();
-            } else {
-              name = nameCell.replace(/<[^>]*>/g, '').trim();
-            }
-            
-            // Skip if name is empty or looks like a header
-            if (!name || name === 'User Name' || name === 'User' || name.includes('Rank')) {
-              continue;
-            }
-            
-            // Extract rank diff (second cell)
-            const rankDiffText = cellMatches[1][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim();
-            const rankDiff = rankDiffText === '--' || rankDiffText === '' ? 0 : (parseInt(rankDiffText) || 0);
-            
-            // Extract points diff (third cell)
-            const pointsDiffText = cellMatches[2][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim();
-            const pointsDiff = pointsDiffText === '--' || pointsDiffText === '' ? 0 : (parseInt(pointsDiffText) || 0);
-            
-            // Extract gain daily (fourth cell)
-            const gainDailyText = cellMatches[3][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim();
-            const gainDaily = gainDailyText === '--' || gainDailyText === '' ? 0 : (parseInt(gainDailyText) || 0);
-            
-            // Extract date overtake (fifth cell)
-            let dateOvertake = cellMatches[4][1].replace(/<[^>]*>/g, '').trim();
-            if (dateOvertake === '--' || dateOvertake === '') {
-              dateOvertake = null;
-            }
-            
-            conquests.push({
-              name,
-              rankDiff,
-              pointsDiff,
-              gainDaily,
-              dateOvertake
-            });
-          }
-        }
-        
-        if (conquests.length > 0) {
-          stats.conquests = conquests;
-          console.log(`[EOC Proxy] Successfully extracted ${conquests.length} conquests/threats entries`);
-        } else {
-          console.log(`[EOC Proxy] Found conquests table structure but extracted 0 data rows (found ${allRows.length} total rows)`);
-        }
-      } else {
-        console.log(`[EOC Proxy] Found "Top 5" but could not find conquests table after it`);
-        console.log(`[EOC Proxy] Search section preview (first 500 chars): ${searchSection.substring(0, 500)}`);
-      }
-    }
-    
-    // Extract Monthly Production table
-    const monthlyMatch = html.match(/<th[^>]*>Monthly Production<\/th>[\s\S]*?<tr[^>]*>[\s\S]*?<th[^>]*>Month<\/th>[\s\S]*?<\/tr>([\s\S]*?)<\/table>/i);
-    if (monthlyMatch) {
-      const tableHtml = monthlyMatch[1];
-      const rowMatches = Array.from(tableHtml.matchAll(/<tr[^>]*class="alt[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi));
-      const monthly = [];
-      
-      for (const rowMatch of rowMatches) {
-        const cells = Array.from(rowMatch[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi));
-        if (cells.length >= 3) {
-          monthly.push({
-            month: cells[0][1].replace(/<[^>]*>/g, '').trim(),
-            points: parseInt(cells[1][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0,
-            wus: parseInt(cells[2][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0
-          });
-        }
-      }
-      if (monthly.length > 0) {
-        stats.monthlyProduction = monthly;
-      }
-    }
-    
-    // Extract Weekly Production table
-    const weeklyMatch = html.match(/<th[^>]*>Weekly Production<\/th>[\s\S]*?<tr[^>]*>[\s\S]*?<th[^>]*>Week<\/th>[\s\S]*?<\/tr>([\s\S]*?)<\/table>/i);
-    if (weeklyMatch) {
-      const tableHtml = weeklyMatch[1];
-      const rowMatches = Array.from(tableHtml.matchAll(/<tr[^>]*class="alt[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi));
-      const weekly = [];
-      
-      for (const rowMatch of rowMatches) {
-        const cells = Array.from(rowMatch[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi));
-        if (cells.length >= 3) {
-          weekly.push({
-            week: cells[0][1].replace(/<[^>]*>/g, '').trim(),
-            points: parseInt(cells[1][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0,
-            wus: parseInt(cells[2][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0
-          });
-        }
-      }
-      if (weekly.length > 0) {
-        stats.weeklyProduction = weekly;
-      }
-    }
-    
-    // Extract Daily Production table
-    const dailyMatch = html.match(/<th[^>]*>Daily Production<\/th>[\s\S]*?<tr[^>]*>[\s\S]*?<th[^>]*>Day<\/th>[\s\S]*?<\/tr>([\s\S]*?)<\/table>/i);
-    if (dailyMatch) {
-      const tableHtml = dailyMatch[1];
-      const rowMatches = Array.from(tableHtml.matchAll(/<tr[^>]*class="alt[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi));
-      const daily = [];
-      
-      for (const rowMatch of rowMatches) {
-        const cells = Array.from(rowMatch[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi));
-        if (cells.length >= 3) {
-          daily.push({
-            day: cells[0][1].replace(/<[^>]*>/g, '').trim(),
-            points: parseInt(cells[1][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0,
-            wus: parseInt(cells[2][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0
-          });
-        }
-      }
-      if (daily.length > 0) {
-        stats.dailyProduction = daily;
-      }
-    }
-    
-    // Extract Hourly Production table
-    const hourlyMatch = html.match(/<th[^>]*>Hourly Production<\/th>[\s\S]*?<tr[^>]*>[\s\S]*?<th[^>]*>Time<\/th>[\s\S]*?<\/tr>([\s\S]*?)<\/table>/i);
-    if (hourlyMatch) {
-      const tableHtml = hourlyMatch[1];
-      const rowMatches = Array.from(tableHtml.matchAll(/<tr[^>]*class="alt[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi));
-      const hourly = [];
-      
-      for (const rowMatch of rowMatches) {
-        const cells = Array.from(rowMatch[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi));
-        if (cells.length >= 3) {
-          hourly.push({
-            time: cells[0][1].replace(/<[^>]*>/g, '').trim(),
-            points: parseInt(cells[1][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0,
-            wus: parseInt(cells[2][1].replace(/<[^>]*>/g, '').replace(/,/g, '').trim()) || 0
-          });
-        }
-      }
-      if (hourly.length > 0) {
-        stats.hourlyProduction = hourly;
-      }
-    }
+    // Parse HTML to extract stats, sections that couldn't be read are listed in stats.diagnostics
+    const stats = parseEOCUserSummary(response.data);
+    stats.diagnostics.forEach(({ section, message }) => {
+      console.warn(`[EOC Proxy] Parse failed for user ${userId}, section ${section}: ${message}`);
+    });
     
     // Graph URLs
     stats.graphUrls = {
@@ -1128,16 +5244,21 @@ app.get('/api/eoc/user/:userId', async (req, res) => {
       }
     };
     
-    console.log(`[EOC Proxy] Successfully parsed stats for user ${userId}`);
+    if (stats.diagnostics.length === 0) {
+      console.log(`[EOC Proxy] Successfully parsed stats for user ${userId}`);
+    }
     res.json(stats);
     
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(`[EOC Proxy] Error fetching EOC stats:`, error.message);
     res.status(500).json({ error: 'Failed to fetch EOC stats', message: error.message });
   }
 });
 
-app.get('/api/project/:projectId', async (req, res) => {
+app.get('/api/project/:projectId', requireExternalApi, async (req, res) => {
   const { projectId } = req.params;
   
   try {
@@ -1145,7 +5266,8 @@ app.get('/api/project/:projectId', async (req, res) => {
     
     console.log(`[Project Proxy] Fetching project details from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('project', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -1155,6 +5277,7 @@ app.get('/api/project/:projectId', async (req, res) => {
         return status < 500; // Don't throw for 4xx errors
       }
     });
+    setCacheHeaders(res, response);
     
     console.log(`[Project Proxy] Project ${projectId} response status: ${response.status}`);
     console.log(`[Project Proxy] Content-Type: ${response.headers['content-type']}`);
@@ -1173,6 +5296,9 @@ app.get('/api/project/:projectId', async (req, res) => {
       res.status(500).json({ error: 'Invalid response format from API server' });
     }
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(`[Project Proxy] Error fetching project ${projectId}:`, error.message);
     if (error.response) {
       console.error('[Project Proxy] Response status:', error.response.status);
@@ -1188,7 +5314,7 @@ app.get('/api/project/:projectId', async (req, res) => {
 });
 
 // Proxy endpoint for Folding@Home team stats (to bypass CORS)
-app.get('/api/stats/team/:teamNumber', async (req, res) => {
+app.get('/api/stats/team/:teamNumber', requireExternalApi, async (req, res) => {
   const { teamNumber } = req.params;
   
   try {
@@ -1196,7 +5322,8 @@ app.get('/api/stats/team/:teamNumber', async (req, res) => {
     
     console.log(`[Stats Proxy] Fetching team stats from: ${url}`);
     
-    const response = await axios.get(url, {
+    const response = await cachedStatsRequest('stats', {
+      url,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -1206,6 +5333,7 @@ app.get('/api/stats/team/:teamNumber', async (req, res) => {
         return status < 500; // Don't throw for 4xx errors
       }
     });
+    setCacheHeaders(res, response);
     
     console.log(`[Stats Proxy] Team stats response status: ${response.status}`);
     console.log(`[Stats Proxy] Content-Type: ${response.headers['content-type']}`);
@@ -1224,6 +5352,9 @@ app.get('/api/stats/team/:teamNumber', async (req, res) => {
       res.status(500).json({ error: 'Invalid response format from stats server' });
     }
   } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(`[Stats Proxy] Error fetching team stats for ${teamNumber}:`, error.message);
     if (error.response) {
       console.error('[Stats Proxy] Response status:', error.response.status);
@@ -1238,6 +5369,193 @@ app.get('/api/stats/team/:teamNumber', async (req, res) => {
   }
 });
 
+// Team leaderboard
+// Members of a team ranked by points. Our user's place in the team is recorded whenever it changes
+const TEAM_RANKS_FILE = path.join(DATA_DIR, 'team-ranks.json');
+const TEAM_RANKS_RETENTION = 365 * DAY;
+const TEAM_RANKS_SAVE_DELAY = 5000;
+const TEAM_LEADERBOARD_TOP = 10; // Members listed from the top of the team
+const TEAM_LEADERBOARD_AROUND = 5; // Members listed above and below our user
+const TEAM_RANKS_MAX_OTHER = 20; // Histories of other teams or users, the least recently used are dropped
+const MAX_TEAM_NUMBER = 2147483647; // F@H team numbers are 32-bit
+// `${team}:${user name}` -> [{time, teamRank, rank, score, wus, members}], least recently used first
+let teamRanks = {};
+let teamRanksSaveTimer = null;
+
+async function loadTeamRanks() {
+  try {
+    teamRanks = JSON.parse(await fs.readFile(TEAM_RANKS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading team ranks:', error.message);
+    }
+  }
+}
+
+async function saveTeamRanks() {
+  teamRanksSaveTimer = null;
+  const cutoff = Date.now() - TEAM_RANKS_RETENTION;
+  Object.keys(teamRanks).forEach(key => {
+    teamRanks[key] = teamRanks[key].filter(entry => entry.time >= cutoff);
+    if (teamRanks[key].length === 0) delete teamRanks[key];
+  });
+  pruneTeamRanks();
+  try {
+    await fs.writeFile(TEAM_RANKS_FILE, JSON.stringify(teamRanks, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving team ranks:', error.message);
+  }
+}
+
+function scheduleTeamRanksSave() {
+  if (!teamRanksSaveTimer) {
+    teamRanksSaveTimer = setTimeout(saveTeamRanks, TEAM_RANKS_SAVE_DELAY);
+  }
+}
+
+// F@H answers with a table, [["name", "id", "rank", "score", "wus"], [...], ...]; a list of member objects works too.
+// Returns the members sorted by points with their place in the team, or null if the answer is neither
+function normalizeTeamMembers(data) {
+  if (!Array.isArray(data)) return null;
+  let members = data;
+  if (Array.isArray(data[0])) {
+    const columns = data[0].map(String);
+    members = data.slice(1).filter(Array.isArray).map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+  }
+  return members
+    .filter(member => member && typeof member === 'object' && member.name !== undefined && member.name !== null)
+    .map(member => ({
+      name: String(member.name),
+      id: member.id ?? null,
+      rank: member.rank ?? null,
+      score: Number(member.score) || 0,
+      wus: Number(member.wus) || 0
+    }))
+    .sort((a, b) => b.score - a.score)
+    .map((member, index) => ({ ...member, teamRank: index + 1 }));
+}
+
+// Histories that are always kept: the dashboard's teams (global and per user) and the teams
+// the machines fold for, under the user names the machines fold as
+function getKeptTeamRankKeys() {
+  const teams = new Set();
+  const users = new Set();
+  [dashboardSettings.global, ...Object.values(dashboardSettings.users)].forEach(settings => {
+    (settings.teams || []).forEach(team => teams.add(team.number));
+  });
+  machineData.forEach(state => {
+    if (!state || !state.config) return;
+    if (Number.isInteger(state.config.team)) teams.add(state.config.team);
+    if (typeof state.config.user === 'string') users.add(state.config.user);
+  });
+  const keys = new Set();
+  teams.forEach(team => users.forEach(user => keys.add(`${team}:${user}`)));
+  return keys;
+}
+
+// Drops the least recently used histories beyond TEAM_RANKS_MAX_OTHER that aren't kept
+function pruneTeamRanks() {
+  const kept = getKeptTeamRankKeys();
+  const others = Object.keys(teamRanks).filter(key => !kept.has(key));
+  others.slice(0, Math.max(0, others.length - TEAM_RANKS_MAX_OTHER)).forEach(key => {
+    delete teamRanks[key];
+  });
+}
+
+// `time` is when the stats server sent the data, a cached answer is only recorded once
+function recordTeamRank(team, member, total, time) {
+  const key = `${team}:${member.name}`;
+  // Moved to the end, the most recently used
+  const entries = teamRanks[key] || [];
+  delete teamRanks[key];
+  teamRanks[key] = entries;
+  pruneTeamRanks();
+  const last = entries[entries.length - 1];
+  if (last && (last.time >= time || (last.teamRank === member.teamRank && last.score === member.score))) return;
+  entries.push({ time, teamRank: member.teamRank, rank: member.rank, score: member.score, wus: member.wus, members: total });
+  scheduleTeamRanksSave();
+}
+
+function getNeighbour(member, current) {
+  if (!member) return null;
+  return { name: member.name, teamRank: member.teamRank, score: member.score, gap: Math.abs(member.score - current.score) };
+}
+
+// Proxy endpoint for Folding@Home team members, `user` is the folding user name to place in the team
+app.get('/api/stats/team/:teamNumber/members', requireExternalApi, async (req, res) => {
+  const user = typeof req.query.user === 'string' ? req.query.user.trim() : '';
+  // Parsed, so 0042 and 42 are stored as the same team
+  const teamNumber = /^\d{1,10}$/.test(req.params.teamNumber) ? parseInt(req.params.teamNumber, 10) : NaN;
+  if (!(teamNumber >= 1 && teamNumber <= MAX_TEAM_NUMBER)) {
+    return res.status(400).json({ error: `Team number must be a number from 1 to ${MAX_TEAM_NUMBER}` });
+  }
+  
+  try {
+    const url = `https://api.foldingathome.org/team/${teamNumber}/members`;
+    
+    console.log(`[Stats Proxy] Fetching team members from: ${url}`);
+    
+    const response = await cachedStatsRequest('stats', {
+      url,
+      timeout: 20000, // Large teams have long member lists
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'Folding@Home-Control/1.0'
+      },
+      validateStatus: function (status) {
+        return status < 500; // Don't throw for 4xx errors
+      }
+    });
+    setCacheHeaders(res, response);
+    
+    if (response.status !== 200 || (response.headers['content-type'] && response.headers['content-type'].includes('text/html'))) {
+      console.error(`[Stats Proxy] Team members response status: ${response.status}`);
+      return res.status(404).json({ error: 'Team not found or members unavailable' });
+    }
+    
+    const members = normalizeTeamMembers(response.data);
+    if (!members) {
+      console.error('[Stats Proxy] Team members response is not a list:', typeof response.data);
+      return res.status(500).json({ error: 'Invalid response format from stats server' });
+    }
+    
+    const current = user
+      ? members.find(member => member.name === user) || members.find(member => member.name.toLowerCase() === user.toLowerCase())
+      : null;
+    let history = [];
+    if (current) {
+      recordTeamRank(teamNumber, current, members.length, Date.now() - response.cache.age);
+      history = teamRanks[`${teamNumber}:${current.name}`] || [];
+    }
+    
+    res.json({
+      team: teamNumber,
+      total: members.length,
+      // The top of the team and the members around our user, in team order
+      members: members.filter(member => member.teamRank <= TEAM_LEADERBOARD_TOP ||
+        (current && Math.abs(member.teamRank - current.teamRank) <= TEAM_LEADERBOARD_AROUND)),
+      user: current ? {
+        ...current,
+        above: getNeighbour(members[current.teamRank - 2], current),
+        below: getNeighbour(members[current.teamRank], current)
+      } : null,
+      history
+    });
+  } catch (error) {
+    if (error.blocked) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error(`[Stats Proxy] Error fetching team members for ${teamNumber}:`, error.message);
+    if (error.response) {
+      res.status(error.response.status).json({ error: error.response.statusText, details: error.response.data });
+    } else if (error.request) {
+      res.status(500).json({ error: 'No response from stats server' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch team members', message: error.message });
+    }
+  }
+});
+
 // Serve favicon
 app.get('/favicon.ico', (req, res) => {
   res.status(204).end();
@@ -1252,6 +5570,26 @@ app.get('/', (req, res) => {
 async function startServer() {
   // Load saved instances
   await loadInstances();
+  await loadUsers();
+  await loadTokens();
+  await loadHistory();
+  await loadTimeSeries();
+  setInterval(sampleTimeSeries, TIMESERIES_INTERVAL);
+  await loadAlerts();
+  setInterval(evaluateAlerts, ALERT_INTERVAL);
+  await loadWebhooks();
+  await loadSchedules();
+  setInterval(runSchedules, SCHEDULE_INTERVAL);
+  await loadEnergy();
+  await loadSettings();
+  await loadOutboundPolicy();
+  await loadCache();
+  await loadTeamRanks();
+  startMqttBridge();
+  
+  // Connect to every enabled instance and keep those connections alive
+  instances.filter(i => i.enabled).forEach(instance => superviseInstance(instance));
+  instances.filter(i => !i.enabled).forEach(instance => setConnectionState(instance.id, 'disabled'));
   
   server.listen(PORT, () => {
     console.log(`Folding@Home Control Server running on http://localhost:${PORT}`);
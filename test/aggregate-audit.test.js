@@ -0,0 +1,132 @@
+// Starts server.js against a fake FAH client and checks who the audit log names for an aggregate command
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// A FAH v8.4 client that sends its state on connect and applies fold/pause/finish
+function startFakeClient() {
+  const state = {
+    info: { mach_name: 'fake-rig', version: '8.4.9', cpus: 4 },
+    config: { user: 'tester', team: 0, paused: false, finish: false },
+    groups: { '': { config: { cpus: 4, paused: false, finish: false } } },
+    units: []
+  };
+  const wss = new WebSocket.Server({ host: '127.0.0.1', port: 0, path: '/api/websocket' });
+  wss.on('connection', (ws) => {
+    ws.send(JSON.stringify(state));
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.cmd !== 'state') return;
+      for (const [key, value] of [['paused', msg.state === 'pause'], ['finish', msg.state === 'finish']]) {
+        state.groups[''].config[key] = value;
+        state.config[key] = value;
+        ws.send(JSON.stringify(['groups', '', 'config', key, value]));
+        ws.send(JSON.stringify(['config', key, value]));
+      }
+    });
+  });
+  return new Promise(resolve => wss.on('listening', () => resolve(wss)));
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(baseUrl) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${baseUrl}/api/auth/status`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('server did not start');
+}
+
+async function readAudit(file, predicate) {
+  // Audit entries are appended without waiting for the write
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const entries = fs.existsSync(file)
+      ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+      : [];
+    const entry = entries.find(predicate);
+    if (entry) return entry;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return undefined;
+}
+
+test('aggregate commands are audited with the caller, read tokens cannot send them', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folding-control-'));
+  const client = await startFakeClient();
+  fs.writeFileSync(path.join(dataDir, 'instances.json'), JSON.stringify([
+    { id: 'local', name: 'Local Instance', host: '127.0.0.1', port: 7396, enabled: false },
+    { id: 'instance-1', name: 'Rig', host: '127.0.0.1', port: client.address().port, enabled: true }
+  ]));
+
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, AUTH_MODE: '', MQTT_URL: '' },
+    stdio: 'ignore'
+  });
+  t.after(() => {
+    child.kill();
+    client.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  await waitForServer(baseUrl);
+
+  const setup = await fetch(`${baseUrl}/api/auth/setup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'correct horse' })
+  });
+  assert.equal(setup.status, 200);
+  const cookie = setup.headers.get('set-cookie').split(';')[0];
+
+  async function createToken(name, scope) {
+    const response = await fetch(`${baseUrl}/api/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify({ name, scope })
+    });
+    assert.equal(response.status, 200);
+    return (await response.json()).token;
+  }
+  const controlToken = await createToken('ci-control', 'control');
+  const readToken = await createToken('ci-read', 'read');
+
+  const denied = await fetch(`${baseUrl}/api/aggregate/pause`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${readToken}` }
+  });
+  assert.equal(denied.status, 403);
+
+  const response = await fetch(`${baseUrl}/api/aggregate/pause`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${controlToken}` }
+  });
+  assert.equal(response.status, 200);
+  const results = await response.json();
+  assert.equal(results['instance-1'].success, true);
+
+  const entry = await readAudit(path.join(dataDir, 'audit.log'), e => e.action === 'fah.state' && e.instanceId === 'instance-1');
+  assert.ok(entry, 'no fah.state audit entry for instance-1');
+  assert.equal(entry.actor, 'token:ci-control');
+  assert.equal(entry.result, 'success');
+  assert.deepEqual(entry.data, { state: 'pause' });
+});
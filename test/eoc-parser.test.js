@@ -0,0 +1,138 @@
+// Parses the saved EOC pages in fixtures/eoc and checks the results listed in fixtures/eoc/README.md
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EOC_SCHEMA_VERSION, parseEOCUserSummary } = require('../eoc-parser');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'eoc');
+
+function parseFixture(name) {
+  return parseEOCUserSummary(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+const SUMMARY = {
+  rankTeam: 12,
+  rankProject: 4567,
+  points24hrAvg: 1234567,
+  pointsLast24hr: 1301220,
+  pointsLast7days: 8456789,
+  pointsToday: 345678,
+  pointsWeek: 2345678,
+  totalPoints: 987654321,
+  totalWUs: 12345,
+  firstRecord: '2019-03-14 18:00:00'
+};
+
+const CONQUESTS = [
+  { name: 'Faster&Folder', rankDiff: -2, pointsDiff: -150000, gainDaily: 25000, dateOvertake: '2026-10-25' },
+  { name: 'NextUp', rankDiff: -1, pointsDiff: -42100, gainDaily: 10500, dateOvertake: '2026-10-23' },
+  { name: 'ExampleFolder', rankDiff: 0, pointsDiff: 0, gainDaily: 0, dateOvertake: null },
+  { name: 'Chaser', rankDiff: 1, pointsDiff: 88200, gainDaily: -12000, dateOvertake: null },
+  { name: 'FarBehind', rankDiff: 2, pointsDiff: 301000, gainDaily: -4000, dateOvertake: null }
+];
+
+const MONTHLY = [
+  { month: 'Oct 2026', points: 20456001, wus: 380 },
+  { month: 'Sep 2026', points: 35002117, wus: 655 }
+];
+
+const HOURLY = [
+  { time: '10-19 14:00', points: 52340, wus: 1 },
+  { time: '10-19 13:00', points: 48110, wus: 1 },
+  { time: '10-19 12:00', points: 0, wus: 0 }
+];
+
+test('user_summary.html: every section parsed, no diagnostics', () => {
+  const result = parseFixture('user_summary.html');
+  assert.equal(result.schemaVersion, EOC_SCHEMA_VERSION);
+  assert.deepEqual(result.diagnostics, []);
+  for (const [field, value] of Object.entries(SUMMARY)) {
+    assert.equal(result[field], value, field);
+  }
+  assert.deepEqual(result.conquests, CONQUESTS);
+  assert.deepEqual(result.monthlyProduction, MONTHLY);
+  assert.deepEqual(result.weeklyProduction, [
+    { week: 'Oct 13', points: 2345678, wus: 43 },
+    { week: 'Oct 06', points: 8102556, wus: 151 }
+  ]);
+  assert.deepEqual(result.dailyProduction, [
+    { day: 'Oct 19', points: 345678, wus: 6 },
+    { day: 'Oct 18', points: 1301220, wus: 24 },
+    { day: 'Oct 17', points: 1198004, wus: 22 }
+  ]);
+  assert.deepEqual(result.hourlyProduction, HOURLY);
+});
+
+test('user_summary_new_user.html: summary and hourly production only', () => {
+  const result = parseFixture('user_summary_new_user.html');
+  assert.equal(result.schemaVersion, EOC_SCHEMA_VERSION);
+  assert.deepEqual(result.diagnostics, [
+    { section: 'conquests', message: 'no "Top 5" conquests and threats section on the page' },
+    { section: 'monthly', message: 'no "Monthly Production" table on the page' },
+    { section: 'weekly', message: 'no "Weekly Production" table on the page' },
+    { section: 'daily', message: 'the "Daily Production" table has no rows' }
+  ]);
+  assert.equal(result.rankTeam, 48);
+  assert.equal(result.rankProject, 1843002);
+  assert.equal(result.totalPoints, 3120);
+  assert.equal(result.totalWUs, 1);
+  assert.equal(result.pointsToday, 0);
+  assert.equal(result.firstRecord, '2026-10-18 21:00:00');
+  assert.deepEqual(result.hourlyProduction, [{ time: '10-18 21:00', points: 3120, wus: 1 }]);
+  for (const field of ['conquests', 'monthlyProduction', 'weeklyProduction', 'dailyProduction']) {
+    assert.equal(result[field], undefined, field);
+  }
+});
+
+test('user_summary_changed_markup.html: broken sections are reported, the rest parsed', () => {
+  const result = parseFixture('user_summary_changed_markup.html');
+  assert.equal(result.schemaVersion, EOC_SCHEMA_VERSION);
+  assert.deepEqual(result.diagnostics, [
+    { section: 'summary', message: 'expected 10 values in the stats table, found 8' },
+    { section: 'weekly', message: 'no "Weekly Production" table on the page' },
+    { section: 'daily', message: 'row 2: points "n/a" and work units "24" must be numbers' }
+  ]);
+  for (const field of [...Object.keys(SUMMARY), 'weeklyProduction', 'dailyProduction']) {
+    assert.equal(result[field], undefined, field);
+  }
+  assert.deepEqual(result.conquests, CONQUESTS);
+  assert.deepEqual(result.monthlyProduction, MONTHLY);
+  assert.deepEqual(result.hourlyProduction, HOURLY);
+});
+
+test('user_not_found.html: no stats, a diagnostic for every section', () => {
+  const result = parseFixture('user_not_found.html');
+  assert.deepEqual(result, {
+    schemaVersion: EOC_SCHEMA_VERSION,
+    diagnostics: [
+      { section: 'summary', message: 'no stats table (a header row with a "Rank" column) on the page' },
+      { section: 'conquests', message: 'no "Top 5" conquests and threats section on the page' },
+      { section: 'monthly', message: 'no "Monthly Production" table on the page' },
+      { section: 'weekly', message: 'no "Weekly Production" table on the page' },
+      { section: 'daily', message: 'no "Daily Production" table on the page' },
+      { section: 'hourly', message: 'no "Hourly Production" table on the page' }
+    ]
+  });
+});
+
+test('a production heading without a table, or a table without rows, is reported for its section', () => {
+  assert.deepEqual(parseEOCUserSummary('<th>Hourly Production</th>').diagnostics.find(d => d.section === 'hourly'), {
+    section: 'hourly',
+    message: 'the "Hourly Production" heading is not in a table'
+  });
+  const result = parseEOCUserSummary('<table><tr><th colspan="3">Monthly Production</th></tr><tr><th>Month</th><th>Points</th><th>WUs</th></tr></table>');
+  assert.deepEqual(result.diagnostics.find(d => d.section === 'monthly'), {
+    section: 'monthly',
+    message: 'the "Monthly Production" table has no rows'
+  });
+  assert.equal(result.monthlyProduction, undefined);
+});
+
+test('unreadable input gives a result with the schema version instead of throwing', () => {
+  for (const html of ['', null, undefined]) {
+    const result = parseEOCUserSummary(html);
+    assert.equal(result.schemaVersion, EOC_SCHEMA_VERSION);
+    assert.ok(result.diagnostics.length > 0);
+  }
+});